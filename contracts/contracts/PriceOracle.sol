@@ -3,12 +3,17 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
 
 /**
  * @title PriceOracle
- * @dev A verifiable price oracle that accepts price updates only from attested ROFL applications
+ * @dev A verifiable price oracle that accepts price updates only from attested ROFL applications.
+ * Every update carries an EIP-712 signed price report from a signer key registered for the app.
+ * Prices are kept per feed, named by the feed id in the report; several feeds can be updated
+ * in one transaction with updatePrices.
  */
-contract PriceOracle is Ownable, ReentrancyGuard {
+contract PriceOracle is Ownable, ReentrancyGuard, EIP712 {
     
     // Price data structure
     struct PriceData {
@@ -18,6 +23,43 @@ contract PriceOracle is Ownable, ReentrancyGuard {
         bytes32 dataHash;   // Hash of the original price data for verification
     }
     
+    // Time-weighted average price over one window
+    struct TwapData {
+        uint256 price;      // TWAP in 8 decimal places
+        uint256 timestamp;  // End of the averaging window (the report timestamp)
+    }
+    
+    // Decoded attestation envelope
+    struct Attestation {
+        string appId;           // ROFL app that produced the report
+        uint256 issuedAt;       // When the attestation was generated
+        uint256 price;          // Attested price
+        uint256 timestamp;      // Attested price timestamp
+        string source;          // Description of the sources behind the price
+        string feed;            // Feed id, e.g. "ETH/USD"
+        uint256 sequence;       // Per-app report counter, strictly increasing per feed
+        uint32[] twapWindows;   // TWAP window lengths in seconds
+        uint256[] twapPrices;   // TWAP over each window, in 8 decimal places
+        bytes teeQuote;         // Self-asserted TEE quote binding the signer key to the enclave
+        bytes signature;        // EIP-712 signature over the PriceReport
+    }
+    
+    // Enclave identity decoded from a TEE quote
+    struct Quote {
+        uint8 version;          // Quote layout version
+        bytes32 reportData;     // keccak256 of the report signer address
+        bytes32 mrEnclave;      // Measurement of the enclave code
+        bytes32 mrSigner;       // Measurement of the enclave signing key
+        uint16 productId;       // Enclave product id
+        uint16 securityVersion; // Security version of the enclave build
+    }
+    
+    // Approval of an enclave build for an app
+    struct EnclaveApproval {
+        bool approved;              // Whether reports from this build are accepted
+        uint16 minSecurityVersion;  // Lowest accepted security version
+    }
+    
     // Threshold configuration
     struct ThresholdConfig {
         uint256 upperBound;  // Upper price threshold
@@ -26,18 +68,50 @@ contract PriceOracle is Ownable, ReentrancyGuard {
     }
     
     // State variables
-    PriceData public latestPrice;
     ThresholdConfig public thresholds;
     
+    // Latest price per feed id, e.g. "ETH/USD"
+    mapping(string => PriceData) public feedPrices;
+    
+    // Latest TWAP per feed id and window length in seconds
+    mapping(string => mapping(uint32 => TwapData)) public feedTwaps;
+    
+    // Feed served by getLatestPrice, getLatestPriceData and getTwap and checked
+    // against the thresholds. The first accepted report sets it unless the
+    // owner chose one, so a single-feed deployment needs no setup.
+    string public defaultFeed;
+    
     // Mapping of authorized ROFL app IDs
     mapping(string => bool) public authorizedApps;
     
     // Mapping to track oracle addresses
     mapping(address => bool) public authorizedOracles;
     
+    // Report signer keys allowed for each ROFL app ID
+    mapping(string => mapping(address => bool)) public authorizedSigners;
+    
+    // Approved enclave builds per ROFL app ID, keyed by measurementId()
+    mapping(string => mapping(bytes32 => EnclaveApproval)) public enclaveApprovals;
+    
+    // Sequence number of the last accepted report from each ROFL app ID, per feed
+    mapping(string => mapping(string => uint256)) public lastSequence;
+    
+    // How far a report timestamp may run ahead of block.timestamp
+    uint256 public maxClockSkew = 60;
+    
     // Constants
     uint256 public constant PRICE_DECIMALS = 8;
     uint256 public constant MAX_PRICE_AGE = 1 hours; // Maximum age for price updates
+    uint256 public constant MAX_CLOCK_SKEW_LIMIT = 15 minutes; // Upper bound for maxClockSkew
+    uint8 public constant QUOTE_VERSION = 1; // Supported TEE quote layout
+    uint256 public constant MAX_TWAP_WINDOWS = 8; // TWAPs accepted per report
+    uint256 public constant MAX_BATCH_SIZE = 32; // Reports accepted per updatePrices call
+    
+    // EIP-712 type of the signed price report; chain id and contract address are bound by the domain,
+    // issuedAt is the attestation timestamp from the envelope
+    bytes32 public constant PRICE_REPORT_TYPEHASH = keccak256(
+        "PriceReport(string feed,uint256 price,uint256 timestamp,string source,string appId,uint256 sequence,uint32[] twapWindows,uint256[] twapPrices,uint256 issuedAt)"
+    );
     
     // Events
     event PriceUpdated(
@@ -47,6 +121,25 @@ contract PriceOracle is Ownable, ReentrancyGuard {
         string appId
     );
     
+    event FeedPriceUpdated(
+        string indexed feed,
+        uint256 price,
+        uint256 timestamp,
+        address indexed oracle
+    );
+    
+    event ReportSkipped(
+        string feed,
+        uint256 sequence,
+        bytes reason
+    );
+    
+    event TwapUpdated(
+        uint32 indexed window,
+        uint256 price,
+        uint256 timestamp
+    );
+    
     event ThresholdBreached(
         uint256 indexed price,
         bool indexed isUpper,
@@ -61,6 +154,17 @@ contract PriceOracle is Ownable, ReentrancyGuard {
     
     event AppAuthorized(string indexed appId, bool authorized);
     event OracleAuthorized(address indexed oracle, bool authorized);
+    event SignerAuthorized(string indexed appId, address indexed signer, bool authorized);
+    event ClockSkewConfigured(uint256 maxClockSkew);
+    event DefaultFeedSet(string feed);
+    event EnclaveApprovalSet(
+        string indexed appId,
+        bytes32 indexed mrEnclave,
+        bytes32 indexed mrSigner,
+        uint16 productId,
+        uint16 minSecurityVersion,
+        bool approved
+    );
     
     // Custom errors
     error UnauthorizedApp(string appId);
@@ -69,21 +173,38 @@ contract PriceOracle is Ownable, ReentrancyGuard {
     error PriceTooOld(uint256 timestamp);
     error InvalidPriceData();
     error ThresholdNotConfigured();
+    error InvalidSignature();
+    error UnauthorizedSigner(string appId, address signer);
+    error FutureTimestamp(uint256 timestamp, uint256 maxTimestamp);
+    error StaleTimestamp(uint256 timestamp, uint256 latestTimestamp);
+    error StaleSequence(string appId, string feed, uint256 sequence, uint256 lastSequence);
+    error InvalidClockSkew(uint256 maxClockSkew);
+    error InvalidQuote();
+    error QuoteSignerMismatch(address signer);
+    error UnapprovedEnclave(string appId, bytes32 mrEnclave, bytes32 mrSigner, uint16 productId);
+    error OutdatedEnclave(string appId, uint16 securityVersion, uint16 minSecurityVersion);
+    error InvalidTwapData();
+    error TwapNotAvailable(uint32 window);
+    error InvalidBatch(uint256 size);
     
     constructor(
         string memory initialAppId,
-        address initialOracle
-    ) Ownable(msg.sender) {
-        // Authorize initial ROFL app and oracle
+        address initialOracle,
+        address initialSigner
+    ) Ownable(msg.sender) EIP712("PriceOracle", "1") {
+        // Authorize initial ROFL app, oracle and report signer
         authorizedApps[initialAppId] = true;
         authorizedOracles[initialOracle] = true;
+        authorizedSigners[initialAppId][initialSigner] = true;
         
         emit AppAuthorized(initialAppId, true);
         emit OracleAuthorized(initialOracle, true);
+        emit SignerAuthorized(initialAppId, initialSigner, true);
     }
     
     /**
-     * @dev Update the price with attestation verification
+     * @dev Update the price of the feed named in the attested report. TWAPs in
+     * the report are stored alongside the spot price.
      * @param price The new price (8 decimal places)
      * @param timestamp Unix timestamp of the price
      * @param attestation ROFL attestation data
@@ -98,54 +219,138 @@ contract PriceOracle is Ownable, ReentrancyGuard {
             revert UnauthorizedOracle(msg.sender);
         }
         
-        // Verify price data validity
-        if (price == 0) {
-            revert InvalidPriceData();
+        // Verify price data validity before decoding anything
+        _revertOnError(_checkPrice(price, timestamp));
+        
+        // Decode the attestation structure
+        Attestation memory report;
+        try this._decodeAttestation(attestation) returns (Attestation memory result) {
+            report = result;
+        } catch {
+            revert InvalidAttestation();
         }
         
-        // Verify timestamp is not too old
-        if (block.timestamp > timestamp + MAX_PRICE_AGE) {
-            revert PriceTooOld(timestamp);
+        // Verify the attested data matches the submitted data
+        if (report.price != price || report.timestamp != timestamp) {
+            revert InvalidAttestation();
         }
         
-        // Verify attestation
-        string memory appId = _verifyAttestation(price, timestamp, attestation);
+        (bytes memory reason, ) = _checkReport(report, bytes32(0));
+        _revertOnError(reason);
         
-        // Check if app is authorized
-        if (!authorizedApps[appId]) {
-            revert UnauthorizedApp(appId);
+        _applyReport(report);
+    }
+    
+    /**
+     * @dev Update several feeds in one transaction. Reports are passed decoded,
+     * so no self-call is needed to decode them, and a quote shared by the
+     * reports is verified once. Each report is checked like in updatePrice; one
+     * that fails is skipped with a ReportSkipped event carrying the error
+     * updatePrice would revert with, and the others still apply.
+     * @param reports Attestations in sequence order, at most MAX_BATCH_SIZE
+     * @return accepted Number of reports applied
+     */
+    function updatePrices(Attestation[] calldata reports) external nonReentrant returns (uint256 accepted) {
+        if (!authorizedOracles[msg.sender]) {
+            revert UnauthorizedOracle(msg.sender);
         }
         
-        // Store the new price data
-        bytes32 dataHash = keccak256(abi.encodePacked(price, timestamp, appId));
-        latestPrice = PriceData({
-            price: price,
-            timestamp: timestamp,
-            oracle: msg.sender,
-            dataHash: dataHash
-        });
-        
-        // Check thresholds and emit events
-        _checkThresholds(price);
+        if (reports.length == 0 || reports.length > MAX_BATCH_SIZE) {
+            revert InvalidBatch(reports.length);
+        }
         
-        emit PriceUpdated(price, timestamp, msg.sender, appId);
+        bytes32 verifiedQuote;
+        for (uint256 i = 0; i < reports.length; i++) {
+            Attestation memory report = reports[i];
+            
+            bytes memory reason = _checkPrice(report.price, report.timestamp);
+            bytes32 quoteKey;
+            if (reason.length == 0) {
+                (reason, quoteKey) = _checkReport(report, verifiedQuote);
+            }
+            
+            if (reason.length > 0) {
+                emit ReportSkipped(report.feed, report.sequence, reason);
+                continue;
+            }
+            
+            verifiedQuote = quoteKey;
+            _applyReport(report);
+            accepted++;
+        }
     }
     
     /**
-     * @dev Get the latest price data
+     * @dev Get the latest price of the default feed
      * @return price The latest price
      * @return timestamp The timestamp of the latest price
      */
     function getLatestPrice() external view returns (uint256 price, uint256 timestamp) {
-        return (latestPrice.price, latestPrice.timestamp);
+        PriceData storage data = feedPrices[defaultFeed];
+        return (data.price, data.timestamp);
     }
     
     /**
-     * @dev Get complete price data including oracle info
+     * @dev Get complete price data of the default feed including oracle info
      * @return priceData The complete price data structure
      */
     function getLatestPriceData() external view returns (PriceData memory priceData) {
-        return latestPrice;
+        return feedPrices[defaultFeed];
+    }
+    
+    /**
+     * @dev Get the latest price of a feed
+     * @param feed Feed id, e.g. "BTC/USD"
+     * @return price The latest price
+     * @return timestamp The timestamp of the latest price
+     */
+    function getFeedPrice(string calldata feed) external view returns (uint256 price, uint256 timestamp) {
+        PriceData storage data = feedPrices[feed];
+        return (data.price, data.timestamp);
+    }
+    
+    /**
+     * @dev Get complete price data of a feed including oracle info
+     * @param feed Feed id, e.g. "BTC/USD"
+     * @return priceData The complete price data structure
+     */
+    function getFeedPriceData(string calldata feed) external view returns (PriceData memory priceData) {
+        return feedPrices[feed];
+    }
+    
+    /**
+     * @dev Get the latest time-weighted average price of the default feed over a window
+     * @param window Window length in seconds, e.g. 1800 for a 30 minute TWAP
+     * @return price The TWAP
+     * @return timestamp The end of the averaging window
+     */
+    function getTwap(uint32 window) external view returns (uint256 price, uint256 timestamp) {
+        return getFeedTwap(defaultFeed, window);
+    }
+    
+    /**
+     * @dev Get the latest time-weighted average price of a feed over a window
+     * @param feed Feed id, e.g. "BTC/USD"
+     * @param window Window length in seconds
+     * @return price The TWAP
+     * @return timestamp The end of the averaging window
+     */
+    function getFeedTwap(string memory feed, uint32 window) public view returns (uint256 price, uint256 timestamp) {
+        TwapData memory twap = feedTwaps[feed][window];
+        if (twap.timestamp == 0) {
+            revert TwapNotAvailable(window);
+        }
+        
+        return (twap.price, twap.timestamp);
+    }
+    
+    /**
+     * @dev Choose the feed served by the single-feed getters and checked against the thresholds
+     * @param feed Feed id, e.g. "ETH/USD"
+     */
+    function setDefaultFeed(string calldata feed) external onlyOwner {
+        defaultFeed = feed;
+        emit DefaultFeedSet(feed);
     }
     
     /**
@@ -190,6 +395,66 @@ contract PriceOracle is Ownable, ReentrancyGuard {
         emit OracleAuthorized(oracle, authorized);
     }
     
+    /**
+     * @dev Authorize or deauthorize a report signer key for a ROFL app
+     * @param appId The ROFL app ID
+     * @param signer Address of the enclave-held signing key
+     * @param authorized Whether to authorize the signer
+     */
+    function setSignerAuthorization(string calldata appId, address signer, bool authorized) external onlyOwner {
+        authorizedSigners[appId][signer] = authorized;
+        emit SignerAuthorized(appId, signer, authorized);
+    }
+    
+    /**
+     * @dev Approve or revoke an enclave build for a ROFL app
+     * @param appId The ROFL app ID
+     * @param mrEnclave Measurement of the enclave code
+     * @param mrSigner Measurement of the enclave signing key
+     * @param productId Enclave product id
+     * @param minSecurityVersion Lowest accepted security version of the build
+     * @param approved Whether to accept reports from the build
+     */
+    function setEnclaveApproval(
+        string calldata appId,
+        bytes32 mrEnclave,
+        bytes32 mrSigner,
+        uint16 productId,
+        uint16 minSecurityVersion,
+        bool approved
+    ) external onlyOwner {
+        enclaveApprovals[appId][measurementId(mrEnclave, mrSigner, productId)] = EnclaveApproval({
+            approved: approved,
+            minSecurityVersion: minSecurityVersion
+        });
+        
+        emit EnclaveApprovalSet(appId, mrEnclave, mrSigner, productId, minSecurityVersion, approved);
+    }
+    
+    /**
+     * @dev Key of an enclave build in enclaveApprovals
+     * @param mrEnclave Measurement of the enclave code
+     * @param mrSigner Measurement of the enclave signing key
+     * @param productId Enclave product id
+     * @return id The measurement id
+     */
+    function measurementId(bytes32 mrEnclave, bytes32 mrSigner, uint16 productId) public pure returns (bytes32 id) {
+        return keccak256(abi.encode(mrEnclave, mrSigner, productId));
+    }
+    
+    /**
+     * @dev Set how far report timestamps may run ahead of the block time
+     * @param skew The allowed clock skew in seconds
+     */
+    function setMaxClockSkew(uint256 skew) external onlyOwner {
+        if (skew > MAX_CLOCK_SKEW_LIMIT) {
+            revert InvalidClockSkew(skew);
+        }
+        
+        maxClockSkew = skew;
+        emit ClockSkewConfigured(skew);
+    }
+    
     /**
      * @dev Check if a price is within configured thresholds
      * @param price The price to check
@@ -212,68 +477,244 @@ contract PriceOracle is Ownable, ReentrancyGuard {
     }
     
     /**
-     * @dev Internal function to verify ROFL attestation
-     * @param price The price being attested
-     * @param timestamp The timestamp being attested
-     * @param attestation The attestation data
-     * @return appId The verified app ID
+     * @dev Internal function to check a price and its timestamp
+     * @param price The price
+     * @param timestamp Unix timestamp of the price
+     * @return reason The encoded custom error, empty if the price is acceptable
      */
-    function _verifyAttestation(
-        uint256 price,
-        uint256 timestamp,
-        bytes calldata attestation
-    ) internal view returns (string memory appId) {
-        // Decode the attestation structure
-        try this._decodeAttestation(attestation) returns (
-            string memory decodedAppId,
-            uint256 attestationTimestamp,
-            uint256 attestedPrice,
-            uint256 attestedDataTimestamp,
-            string memory /* source */,
-            bytes memory /* teeQuote */,
-            bytes32 /* signature */
-        ) {
-            // Verify the attested data matches the submitted data
-            if (attestedPrice != price || attestedDataTimestamp != timestamp) {
-                revert InvalidAttestation();
+    function _checkPrice(uint256 price, uint256 timestamp) internal view returns (bytes memory reason) {
+        if (price == 0) {
+            return abi.encodeWithSelector(InvalidPriceData.selector);
+        }
+        
+        // Verify timestamp is not too old
+        if (block.timestamp > timestamp + MAX_PRICE_AGE) {
+            return abi.encodeWithSelector(PriceTooOld.selector, timestamp);
+        }
+        
+        // Verify timestamp is not in the future beyond the allowed clock skew
+        if (timestamp > block.timestamp + maxClockSkew) {
+            return abi.encodeWithSelector(FutureTimestamp.selector, timestamp, block.timestamp + maxClockSkew);
+        }
+    }
+    
+    /**
+     * @dev Internal function to check a decoded report against its feed, the
+     * signer and enclave registries and the app's sequence for the feed
+     * @param report The decoded attestation
+     * @param verifiedQuote quoteKey of a quote already verified in this transaction
+     * @return reason The encoded custom error, empty if the report is acceptable
+     * @return quoteKey Hash of the report's app, signer and quote
+     */
+    function _checkReport(
+        Attestation memory report,
+        bytes32 verifiedQuote
+    ) internal view returns (bytes memory reason, bytes32 quoteKey) {
+        // Reports must be strictly newer than the stored price, so an older
+        // attested price cannot be replayed to roll the feed back
+        uint256 latestTimestamp = feedPrices[report.feed].timestamp;
+        if (report.timestamp <= latestTimestamp) {
+            return (abi.encodeWithSelector(StaleTimestamp.selector, report.timestamp, latestTimestamp), 0);
+        }
+        
+        // Verify attestation timestamp is recent (within 5 minutes)
+        if (block.timestamp > report.issuedAt + 300) {
+            return (abi.encodeWithSelector(InvalidAttestation.selector), 0);
+        }
+        
+        // Recover the report signer and check it is registered for the claimed app
+        (address signer, ECDSA.RecoverError recoverError, ) = ECDSA.tryRecover(_hashPriceReport(report), report.signature);
+        if (recoverError != ECDSA.RecoverError.NoError) {
+            return (abi.encodeWithSelector(InvalidSignature.selector), 0);
+        }
+        if (!authorizedSigners[report.appId][signer]) {
+            return (abi.encodeWithSelector(UnauthorizedSigner.selector, report.appId, signer), 0);
+        }
+        
+        // The quote must come from an approved, up-to-date enclave build and
+        // vouch for the key that signed the report
+        quoteKey = keccak256(abi.encode(report.appId, signer, report.teeQuote));
+        if (quoteKey != verifiedQuote) {
+            reason = _checkQuote(report.appId, signer, report.teeQuote);
+            if (reason.length > 0) {
+                return (reason, 0);
             }
-            
-            // Verify attestation timestamp is recent (within 5 minutes)
-            if (block.timestamp > attestationTimestamp + 300) {
-                revert InvalidAttestation();
+        }
+        
+        // Check if app is authorized
+        if (!authorizedApps[report.appId]) {
+            return (abi.encodeWithSelector(UnauthorizedApp.selector, report.appId), 0);
+        }
+        
+        // Each report of an app for a feed is accepted at most once, in order
+        uint256 latestSequence = lastSequence[report.appId][report.feed];
+        if (report.sequence <= latestSequence) {
+            return (abi.encodeWithSelector(StaleSequence.selector, report.appId, report.feed, report.sequence, latestSequence), 0);
+        }
+        
+        if (!_validTwaps(report.twapWindows, report.twapPrices)) {
+            return (abi.encodeWithSelector(InvalidTwapData.selector), 0);
+        }
+    }
+    
+    /**
+     * @dev Internal function to check the TWAPs of a report
+     * @param windows Window lengths in seconds
+     * @param prices TWAP over each window
+     * @return valid Whether every window has a nonzero length and price
+     */
+    function _validTwaps(uint32[] memory windows, uint256[] memory prices) internal pure returns (bool valid) {
+        if (windows.length != prices.length || windows.length > MAX_TWAP_WINDOWS) {
+            return false;
+        }
+        
+        for (uint256 i = 0; i < windows.length; i++) {
+            if (windows[i] == 0 || prices[i] == 0) {
+                return false;
             }
-            
-            // In a production environment, we would verify the TEE quote and signature here
-            // For this demo, we'll accept the attestation if the structure is valid
-            
-            return decodedAppId;
+        }
+        return true;
+    }
+    
+    /**
+     * @dev Internal function to store a checked report and emit its events.
+     * Only the default feed emits PriceUpdated and TwapUpdated and is checked
+     * against the thresholds; every feed emits FeedPriceUpdated.
+     * @param report The checked attestation
+     */
+    function _applyReport(Attestation memory report) internal {
+        lastSequence[report.appId][report.feed] = report.sequence;
+        
+        // Store the new price data
+        bytes32 dataHash = keccak256(abi.encodePacked(report.price, report.timestamp, report.appId));
+        feedPrices[report.feed] = PriceData({
+            price: report.price,
+            timestamp: report.timestamp,
+            oracle: msg.sender,
+            dataHash: dataHash
+        });
+        
+        if (bytes(defaultFeed).length == 0) {
+            defaultFeed = report.feed;
+            emit DefaultFeedSet(report.feed);
+        }
+        bool isDefault = keccak256(bytes(report.feed)) == keccak256(bytes(defaultFeed));
+        
+        for (uint256 i = 0; i < report.twapWindows.length; i++) {
+            feedTwaps[report.feed][report.twapWindows[i]] = TwapData({
+                price: report.twapPrices[i],
+                timestamp: report.timestamp
+            });
+            if (isDefault) {
+                emit TwapUpdated(report.twapWindows[i], report.twapPrices[i], report.timestamp);
+            }
+        }
+        
+        if (isDefault) {
+            // Check thresholds and emit events
+            _checkThresholds(report.price);
+            emit PriceUpdated(report.price, report.timestamp, msg.sender, report.appId);
+        }
+        
+        emit FeedPriceUpdated(report.feed, report.price, report.timestamp, msg.sender);
+    }
+    
+    /**
+     * @dev Internal function to check a TEE quote against the enclave registry.
+     * The quote is not signed by TEE hardware: the ROFL app builds it from its
+     * configured measurements, so it is only as trustworthy as the signer key,
+     * which authorizedSigners must already vouch for. The registry keeps a
+     * registered key's reports to the approved builds, but does not by itself
+     * prove what code runs in the enclave.
+     * @param appId The app the report claims to come from
+     * @param signer The recovered report signer
+     * @param teeQuote The quote bytes from the attestation
+     * @return reason The encoded custom error, empty if the quote is acceptable
+     */
+    function _checkQuote(string memory appId, address signer, bytes memory teeQuote) internal view returns (bytes memory reason) {
+        Quote memory quote;
+        try this._decodeQuote(teeQuote) returns (Quote memory result) {
+            quote = result;
         } catch {
-            revert InvalidAttestation();
+            return abi.encodeWithSelector(InvalidQuote.selector);
+        }
+        
+        if (quote.version != QUOTE_VERSION) {
+            return abi.encodeWithSelector(InvalidQuote.selector);
+        }
+        
+        if (quote.reportData != keccak256(abi.encodePacked(signer))) {
+            return abi.encodeWithSelector(QuoteSignerMismatch.selector, signer);
+        }
+        
+        EnclaveApproval memory approval = enclaveApprovals[appId][
+            measurementId(quote.mrEnclave, quote.mrSigner, quote.productId)
+        ];
+        if (!approval.approved) {
+            return abi.encodeWithSelector(UnapprovedEnclave.selector, appId, quote.mrEnclave, quote.mrSigner, quote.productId);
+        }
+        if (quote.securityVersion < approval.minSecurityVersion) {
+            return abi.encodeWithSelector(OutdatedEnclave.selector, appId, quote.securityVersion, approval.minSecurityVersion);
         }
     }
     
+    /**
+     * @dev Internal function to revert with an encoded custom error
+     * @param reason The encoded error; nothing happens if it is empty
+     */
+    function _revertOnError(bytes memory reason) internal pure {
+        if (reason.length > 0) {
+            assembly {
+                revert(add(reason, 32), mload(reason))
+            }
+        }
+    }
+    
+    /**
+     * @dev EIP-712 digest of the price report in an attestation
+     * @param decoded The decoded attestation
+     * @return The typed data hash that the signer signed
+     */
+    function _hashPriceReport(Attestation memory decoded) internal view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            PRICE_REPORT_TYPEHASH,
+            keccak256(bytes(decoded.feed)),
+            decoded.price,
+            decoded.timestamp,
+            keccak256(bytes(decoded.source)),
+            keccak256(bytes(decoded.appId)),
+            decoded.sequence,
+            keccak256(abi.encodePacked(decoded.twapWindows)),
+            keccak256(abi.encodePacked(decoded.twapPrices)),
+            decoded.issuedAt
+        )));
+    }
+    
     /**
      * @dev External function to decode attestation (used internally with try/catch)
      * @param attestation The attestation bytes to decode
+     * @return decoded The decoded attestation
      */
-    function _decodeAttestation(bytes calldata attestation) external pure returns (
-        string memory appId,
-        uint256 attestationTimestamp,
-        uint256 price,
-        uint256 dataTimestamp,
-        string memory source,
-        bytes memory teeQuote,
-        bytes32 signature
-    ) {
+    function _decodeAttestation(bytes calldata attestation) external pure returns (Attestation memory decoded) {
         // Decode the attestation in steps to avoid tuple issues
-        (string memory _appId, uint256 _attestationTimestamp, bytes memory priceDataBytes, bytes memory _teeQuote, bytes32 _signature) = 
-            abi.decode(attestation, (string, uint256, bytes, bytes, bytes32));
+        bytes memory reportBytes;
+        (decoded.appId, decoded.issuedAt, reportBytes, decoded.teeQuote, decoded.signature) =
+            abi.decode(attestation, (string, uint256, bytes, bytes, bytes));
         
-        // Decode the price data tuple separately
-        (uint256 _price, uint256 _dataTimestamp, string memory _source) = 
-            abi.decode(priceDataBytes, (uint256, uint256, string));
-        
-        return (_appId, _attestationTimestamp, _price, _dataTimestamp, _source, _teeQuote, _signature);
+        // Decode the price report separately
+        (decoded.price, decoded.timestamp, decoded.source, decoded.feed, decoded.sequence, decoded.twapWindows, decoded.twapPrices) =
+            abi.decode(reportBytes, (uint256, uint256, string, string, uint256, uint32[], uint256[]));
+    }
+    
+    /**
+     * @dev External function to decode a TEE quote (used internally with try/catch)
+     * @param teeQuote The quote bytes to decode
+     * @return quote The decoded quote
+     */
+    function _decodeQuote(bytes calldata teeQuote) external pure returns (Quote memory quote) {
+        // Trailing attributes and miscSelect are not checked
+        (quote.version, quote.reportData, quote.mrEnclave, quote.mrSigner, quote.productId, quote.securityVersion, , ) =
+            abi.decode(teeQuote, (uint8, bytes32, bytes32, bytes32, uint16, uint16, bytes8, bytes4));
     }
     
     /**
@@ -33,13 +33,15 @@ async function main() {
   // Configuration
   const initialAppId = process.env.ROFL_APP_ID || "demo-price-oracle-rofl";
   const initialOracle = deployerAddress; // Use deployer as initial oracle
+  const initialSigner = process.env.ROFL_SIGNER_ADDRESS || deployerAddress; // Key that signs price reports
   
   console.log("Initial ROFL App ID:", initialAppId);
   console.log("Initial Oracle Address:", initialOracle);
+  console.log("Initial Report Signer:", initialSigner);
   
   // Deploy the contract
   const PriceOracle = await ethers.getContractFactory("PriceOracle");
-  const priceOracle = await PriceOracle.deploy(initialAppId, initialOracle);
+  const priceOracle = await PriceOracle.deploy(initialAppId, initialOracle, initialSigner);
   
   await priceOracle.waitForDeployment();
   const contractAddress = await priceOracle.getAddress();
@@ -59,6 +61,29 @@ async function main() {
   console.log("- Upper bound: $3000");
   console.log("- Enabled: true");
   
+  // Approve the enclave build the ROFL app runs; without ENCLAVE_* this is the
+  // mock attestation backend's placeholder measurement, for development only
+  const enclave = {
+    mrEnclave: process.env.ENCLAVE_MR_ENCLAVE || "0x" + "1".repeat(64),
+    mrSigner: process.env.ENCLAVE_MR_SIGNER || "0x" + "2".repeat(64),
+    productId: Number(process.env.ENCLAVE_PRODUCT_ID || 1),
+    minSecurityVersion: Number(process.env.ENCLAVE_MIN_SECURITY_VERSION || 1)
+  };
+  if (!process.env.ENCLAVE_MR_ENCLAVE) {
+    console.log("WARNING: ENCLAVE_MR_ENCLAVE not set, approving the mock attestation measurement");
+  }
+  
+  console.log("Approving enclave build...");
+  const setEnclaveTx = await priceOracle.setEnclaveApproval(
+    initialAppId,
+    enclave.mrEnclave,
+    enclave.mrSigner,
+    enclave.productId,
+    enclave.minSecurityVersion,
+    true
+  );
+  await setEnclaveTx.wait();
+  
   // Verify deployment
   const latestPrice = await priceOracle.getLatestPrice();
   const thresholds = await priceOracle.getThresholds();
@@ -77,6 +102,8 @@ async function main() {
     deployer: deployerAddress,
     initialAppId: initialAppId,
     initialOracle: initialOracle,
+    initialSigner: initialSigner,
+    enclave: enclave,
     thresholds: {
       lowerBound: lowerBound.toString(),
       upperBound: upperBound.toString(),
@@ -97,6 +124,8 @@ async function main() {
   console.log("1. Update your ROFL app .env file with:");
   console.log(`   CONTRACT_ADDRESS=${contractAddress}`);
   console.log(`   ROFL_APP_ID=${initialAppId}`);
+  console.log(`   CHAIN_ID=${await ethers.provider.getNetwork().then(n => n.chainId)}`);
+  console.log(`   (the ROFL app must sign reports with the key for ${initialSigner})`);
   console.log("");
   console.log("2. Update your frontend .env file with:");
   console.log(`   REACT_APP_CONTRACT_ADDRESS=${contractAddress}`);
@@ -1,20 +1,114 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+const PRICE_REPORT_TYPES = {
+  PriceReport: [
+    { name: "feed", type: "string" },
+    { name: "price", type: "uint256" },
+    { name: "timestamp", type: "uint256" },
+    { name: "source", type: "string" },
+    { name: "appId", type: "string" },
+    { name: "sequence", type: "uint256" },
+    { name: "twapWindows", type: "uint32[]" },
+    { name: "twapPrices", type: "uint256[]" },
+    { name: "issuedAt", type: "uint256" }
+  ]
+};
+
+// Placeholder measurements of the ROFL app's mock attestation backend
+const MOCK_ENCLAVE = {
+  mrEnclave: "0x" + "1".repeat(64),
+  mrSigner: "0x" + "2".repeat(64),
+  productId: 1,
+  securityVersion: 1
+};
+
+function encodeQuote(quote) {
+  return coder.encode(
+    ["uint8", "bytes32", "bytes32", "bytes32", "uint16", "uint16", "bytes8", "bytes4"],
+    [quote.version ?? 1, quote.reportData, quote.mrEnclave, quote.mrSigner, quote.productId, quote.securityVersion, "0x0000000000000007", "0x00000000"]
+  );
+}
+
 describe("PriceOracle", function () {
   let priceOracle;
   let owner;
   let oracle;
   let unauthorized;
+  let reportSigner;
   let appId;
 
+  // Build an attestation the way the ROFL app does: an EIP-712 signed
+  // PriceReport in the (appId, issuedAt, report, teeQuote, signature) envelope.
+  // options.domain overrides domain fields, options.tamper changes the
+  // encoded report after signing, options.signature replaces the signature,
+  // options.quote overrides quote fields and options.teeQuote the whole quote.
+  async function createAttestation(signer, report, options = {}) {
+    const signed = { feed: "ETH/USD", source: "coingecko", appId, sequence: 1, twapWindows: [], twapPrices: [], issuedAt: report.timestamp, ...report };
+    const domain = {
+      name: "PriceOracle",
+      version: "1",
+      chainId: (await ethers.provider.getNetwork()).chainId,
+      verifyingContract: await priceOracle.getAddress(),
+      ...options.domain
+    };
+    const signature = options.signature ?? await signer.signTypedData(domain, PRICE_REPORT_TYPES, signed);
+    
+    const encoded = { ...signed, ...options.tamper };
+    const reportBytes = coder.encode(
+      ["uint256", "uint256", "string", "string", "uint256", "uint32[]", "uint256[]"],
+      [encoded.price, encoded.timestamp, encoded.source, encoded.feed, encoded.sequence, encoded.twapWindows, encoded.twapPrices]
+    );
+    
+    const teeQuote = options.teeQuote ?? encodeQuote({
+      ...MOCK_ENCLAVE,
+      reportData: ethers.keccak256(signer.address),
+      ...options.quote
+    });
+    
+    return coder.encode(
+      ["string", "uint256", "bytes", "bytes", "bytes"],
+      [encoded.appId, encoded.issuedAt, reportBytes, teeQuote, signature]
+    );
+  }
+
+  // The same report in the decoded form updatePrices takes
+  async function createReport(signer, report, options = {}) {
+    const [reportAppId, issuedAt, reportBytes, teeQuote, signature] = coder.decode(
+      ["string", "uint256", "bytes", "bytes", "bytes"],
+      await createAttestation(signer, report, options)
+    );
+    const [price, timestamp, source, feed, sequence, twapWindows, twapPrices] = coder.decode(
+      ["uint256", "uint256", "string", "string", "uint256", "uint32[]", "uint256[]"],
+      reportBytes
+    );
+    
+    return {
+      appId: reportAppId,
+      issuedAt,
+      price,
+      timestamp,
+      source,
+      feed,
+      sequence,
+      twapWindows: [...twapWindows],
+      twapPrices: [...twapPrices],
+      teeQuote,
+      signature
+    };
+  }
+
   beforeEach(async function () {
-    [owner, oracle, unauthorized] = await ethers.getSigners();
+    [owner, oracle, unauthorized, reportSigner] = await ethers.getSigners();
     appId = "test-rofl-app";
 
     const PriceOracle = await ethers.getContractFactory("PriceOracle");
-    priceOracle = await PriceOracle.deploy(appId, oracle.address);
+    priceOracle = await PriceOracle.deploy(appId, oracle.address, reportSigner.address);
     await priceOracle.waitForDeployment();
+    
+    await priceOracle.setEnclaveApproval(appId, MOCK_ENCLAVE.mrEnclave, MOCK_ENCLAVE.mrSigner, MOCK_ENCLAVE.productId, 1, true);
   });
 
   describe("Deployment", function () {
@@ -22,9 +116,10 @@ describe("PriceOracle", function () {
       expect(await priceOracle.owner()).to.equal(owner.address);
     });
 
-    it("Should authorize the initial app and oracle", async function () {
+    it("Should authorize the initial app, oracle and signer", async function () {
       expect(await priceOracle.authorizedApps(appId)).to.be.true;
       expect(await priceOracle.authorizedOracles(oracle.address)).to.be.true;
+      expect(await priceOracle.authorizedSigners(appId, reportSigner.address)).to.be.true;
     });
   });
 
@@ -38,21 +133,7 @@ describe("PriceOracle", function () {
       timestamp = Math.floor(Date.now() / 1000);
       
       // Create a valid attestation
-      const priceDataBytes = ethers.AbiCoder.defaultAbiCoder().encode(
-        ["uint256", "uint256", "string"],
-        [price, timestamp, "coingecko"]
-      );
-      
-      validAttestation = ethers.AbiCoder.defaultAbiCoder().encode(
-        ["string", "uint256", "bytes", "bytes", "bytes32"],
-        [
-          appId,
-          timestamp,
-          priceDataBytes,
-          "0x1234", // mock TEE quote
-          ethers.keccak256(ethers.toUtf8Bytes("mock-signature"))
-        ]
-      );
+      validAttestation = await createAttestation(reportSigner, { price, timestamp });
     });
 
     it("Should accept price updates from authorized oracle", async function () {
@@ -80,22 +161,7 @@ describe("PriceOracle", function () {
 
     it("Should reject old timestamps", async function () {
       const oldTimestamp = Math.floor(Date.now() / 1000) - 7200; // 2 hours ago
-      
-      const oldPriceDataBytes = ethers.AbiCoder.defaultAbiCoder().encode(
-        ["uint256", "uint256", "string"],
-        [price, oldTimestamp, "coingecko"]
-      );
-      
-      const oldAttestation = ethers.AbiCoder.defaultAbiCoder().encode(
-        ["string", "uint256", "bytes", "bytes", "bytes32"],
-        [
-          appId,
-          oldTimestamp,
-          oldPriceDataBytes,
-          "0x1234",
-          ethers.keccak256(ethers.toUtf8Bytes("mock-signature"))
-        ]
-      );
+      const oldAttestation = await createAttestation(reportSigner, { price, timestamp: oldTimestamp });
 
       await expect(
         priceOracle.connect(oracle).updatePrice(price, oldTimestamp, oldAttestation)
@@ -103,6 +169,588 @@ describe("PriceOracle", function () {
     });
   });
 
+  describe("Signed Reports", function () {
+    let price;
+    let timestamp;
+
+    beforeEach(async function () {
+      price = ethers.parseUnits("2000", 8);
+      timestamp = Math.floor(Date.now() / 1000);
+    });
+
+    it("Should reject reports signed by an unregistered key", async function () {
+      const forged = await createAttestation(unauthorized, { price, timestamp });
+
+      await expect(
+        priceOracle.connect(oracle).updatePrice(price, timestamp, forged)
+      ).to.be.revertedWithCustomError(priceOracle, "UnauthorizedSigner")
+        .withArgs(appId, unauthorized.address);
+    });
+
+    it("Should reject reports whose price was changed after signing", async function () {
+      const higherPrice = ethers.parseUnits("2500", 8);
+      const tampered = await createAttestation(reportSigner, { price, timestamp }, { tamper: { price: higherPrice } });
+
+      await expect(
+        priceOracle.connect(oracle).updatePrice(higherPrice, timestamp, tampered)
+      ).to.be.revertedWithCustomError(priceOracle, "UnauthorizedSigner");
+    });
+
+    it("Should reject reports whose feed or source was changed after signing", async function () {
+      const otherFeed = await createAttestation(reportSigner, { price, timestamp }, { tamper: { feed: "BTC/USD" } });
+      const otherSource = await createAttestation(reportSigner, { price, timestamp }, { tamper: { source: "binance" } });
+
+      await expect(
+        priceOracle.connect(oracle).updatePrice(price, timestamp, otherFeed)
+      ).to.be.revertedWithCustomError(priceOracle, "UnauthorizedSigner");
+      await expect(
+        priceOracle.connect(oracle).updatePrice(price, timestamp, otherSource)
+      ).to.be.revertedWithCustomError(priceOracle, "UnauthorizedSigner");
+    });
+
+    it("Should reject reports whose attestation time was changed after signing", async function () {
+      // An expired report dressed up as fresh by rewriting the envelope timestamp
+      const refreshed = await createAttestation(reportSigner, { price, timestamp, issuedAt: timestamp - 600 }, {
+        tamper: { issuedAt: timestamp }
+      });
+
+      await expect(
+        priceOracle.connect(oracle).updatePrice(price, timestamp, refreshed)
+      ).to.be.revertedWithCustomError(priceOracle, "UnauthorizedSigner");
+    });
+
+    it("Should reject a submitted price that differs from the signed report", async function () {
+      const attestation = await createAttestation(reportSigner, { price, timestamp });
+
+      await expect(
+        priceOracle.connect(oracle).updatePrice(price + 1n, timestamp, attestation)
+      ).to.be.revertedWithCustomError(priceOracle, "InvalidAttestation");
+    });
+
+    it("Should reject reports signed for another contract", async function () {
+      const attestation = await createAttestation(reportSigner, { price, timestamp }, {
+        domain: { verifyingContract: unauthorized.address }
+      });
+
+      await expect(
+        priceOracle.connect(oracle).updatePrice(price, timestamp, attestation)
+      ).to.be.revertedWithCustomError(priceOracle, "UnauthorizedSigner");
+    });
+
+    it("Should reject reports signed for another chain", async function () {
+      const attestation = await createAttestation(reportSigner, { price, timestamp }, {
+        domain: { chainId: 23294 }
+      });
+
+      await expect(
+        priceOracle.connect(oracle).updatePrice(price, timestamp, attestation)
+      ).to.be.revertedWithCustomError(priceOracle, "UnauthorizedSigner");
+    });
+
+    it("Should reject a signer registered only for a different app", async function () {
+      await priceOracle.setAppAuthorization("other-app", true);
+      await priceOracle.setSignerAuthorization("other-app", unauthorized.address, true);
+
+      // Signed by other-app's key but claiming to come from test-rofl-app
+      const attestation = await createAttestation(unauthorized, { price, timestamp });
+
+      await expect(
+        priceOracle.connect(oracle).updatePrice(price, timestamp, attestation)
+      ).to.be.revertedWithCustomError(priceOracle, "UnauthorizedSigner")
+        .withArgs(appId, unauthorized.address);
+    });
+
+    it("Should reject malformed signatures", async function () {
+      const attestation = await createAttestation(reportSigner, { price, timestamp }, {
+        signature: ethers.keccak256(ethers.toUtf8Bytes("mock-signature"))
+      });
+
+      await expect(
+        priceOracle.connect(oracle).updatePrice(price, timestamp, attestation)
+      ).to.be.revertedWithCustomError(priceOracle, "InvalidSignature");
+    });
+
+    it("Should reject reports from a revoked signer", async function () {
+      await priceOracle.setSignerAuthorization(appId, reportSigner.address, false);
+      const attestation = await createAttestation(reportSigner, { price, timestamp });
+
+      await expect(
+        priceOracle.connect(oracle).updatePrice(price, timestamp, attestation)
+      ).to.be.revertedWithCustomError(priceOracle, "UnauthorizedSigner");
+    });
+  });
+
+  describe("Enclave Registry", function () {
+    let price;
+    let timestamp;
+
+    beforeEach(async function () {
+      price = ethers.parseUnits("2000", 8);
+      timestamp = Math.floor(Date.now() / 1000);
+    });
+
+    it("Should record approvals and emit an event", async function () {
+      const mrEnclave = "0x" + "a".repeat(64);
+      const mrSigner = "0x" + "b".repeat(64);
+
+      await expect(priceOracle.setEnclaveApproval(appId, mrEnclave, mrSigner, 7, 3, true))
+        .to.emit(priceOracle, "EnclaveApprovalSet")
+        .withArgs(appId, mrEnclave, mrSigner, 7, 3, true);
+
+      const id = await priceOracle.measurementId(mrEnclave, mrSigner, 7);
+      const approval = await priceOracle.enclaveApprovals(appId, id);
+      expect(approval.approved).to.be.true;
+      expect(approval.minSecurityVersion).to.equal(3);
+    });
+
+    it("Should reject reports from an unapproved enclave build", async function () {
+      const mrEnclave = "0x" + "9".repeat(64);
+      const attestation = await createAttestation(reportSigner, { price, timestamp }, { quote: { mrEnclave } });
+
+      await expect(
+        priceOracle.connect(oracle).updatePrice(price, timestamp, attestation)
+      ).to.be.revertedWithCustomError(priceOracle, "UnapprovedEnclave")
+        .withArgs(appId, mrEnclave, MOCK_ENCLAVE.mrSigner, MOCK_ENCLAVE.productId);
+    });
+
+    it("Should reject a build approved only for another app", async function () {
+      await priceOracle.setEnclaveApproval(appId, MOCK_ENCLAVE.mrEnclave, MOCK_ENCLAVE.mrSigner, MOCK_ENCLAVE.productId, 1, false);
+      await priceOracle.setEnclaveApproval("other-app", MOCK_ENCLAVE.mrEnclave, MOCK_ENCLAVE.mrSigner, MOCK_ENCLAVE.productId, 1, true);
+      const attestation = await createAttestation(reportSigner, { price, timestamp });
+
+      await expect(
+        priceOracle.connect(oracle).updatePrice(price, timestamp, attestation)
+      ).to.be.revertedWithCustomError(priceOracle, "UnapprovedEnclave");
+    });
+
+    it("Should reject builds below the minimum security version", async function () {
+      await priceOracle.setEnclaveApproval(appId, MOCK_ENCLAVE.mrEnclave, MOCK_ENCLAVE.mrSigner, MOCK_ENCLAVE.productId, 2, true);
+      const outdated = await createAttestation(reportSigner, { price, timestamp });
+
+      await expect(
+        priceOracle.connect(oracle).updatePrice(price, timestamp, outdated)
+      ).to.be.revertedWithCustomError(priceOracle, "OutdatedEnclave")
+        .withArgs(appId, 1, 2);
+
+      const current = await createAttestation(reportSigner, { price, timestamp }, { quote: { securityVersion: 2 } });
+      await priceOracle.connect(oracle).updatePrice(price, timestamp, current);
+    });
+
+    it("Should reject reports from a revoked build", async function () {
+      await priceOracle.setEnclaveApproval(appId, MOCK_ENCLAVE.mrEnclave, MOCK_ENCLAVE.mrSigner, MOCK_ENCLAVE.productId, 1, false);
+      const attestation = await createAttestation(reportSigner, { price, timestamp });
+
+      await expect(
+        priceOracle.connect(oracle).updatePrice(price, timestamp, attestation)
+      ).to.be.revertedWithCustomError(priceOracle, "UnapprovedEnclave");
+    });
+
+    it("Should reject a quote that vouches for a different key", async function () {
+      const attestation = await createAttestation(reportSigner, { price, timestamp }, {
+        quote: { reportData: ethers.keccak256(unauthorized.address) }
+      });
+
+      await expect(
+        priceOracle.connect(oracle).updatePrice(price, timestamp, attestation)
+      ).to.be.revertedWithCustomError(priceOracle, "QuoteSignerMismatch")
+        .withArgs(reportSigner.address);
+    });
+
+    it("Should reject malformed quotes and unknown quote versions", async function () {
+      const malformed = await createAttestation(reportSigner, { price, timestamp }, { teeQuote: "0x1234" });
+      const unknownVersion = await createAttestation(reportSigner, { price, timestamp }, { quote: { version: 2 } });
+
+      await expect(
+        priceOracle.connect(oracle).updatePrice(price, timestamp, malformed)
+      ).to.be.revertedWithCustomError(priceOracle, "InvalidQuote");
+      await expect(
+        priceOracle.connect(oracle).updatePrice(price, timestamp, unknownVersion)
+      ).to.be.revertedWithCustomError(priceOracle, "InvalidQuote");
+    });
+
+    it("Should reject registry changes from non-owner", async function () {
+      await expect(
+        priceOracle.connect(unauthorized).setEnclaveApproval(appId, MOCK_ENCLAVE.mrEnclave, MOCK_ENCLAVE.mrSigner, 1, 1, true)
+      ).to.be.revertedWithCustomError(priceOracle, "OwnableUnauthorizedAccount");
+    });
+  });
+
+  describe("Replay Protection", function () {
+    let price;
+    let timestamp;
+
+    beforeEach(async function () {
+      price = ethers.parseUnits("2000", 8);
+      timestamp = Math.floor(Date.now() / 1000);
+
+      const attestation = await createAttestation(reportSigner, { price, timestamp, sequence: 5 });
+      await priceOracle.connect(oracle).updatePrice(price, timestamp, attestation);
+    });
+
+    it("Should track the last accepted sequence per app and feed", async function () {
+      expect(await priceOracle.lastSequence(appId, "ETH/USD")).to.equal(5);
+      expect(await priceOracle.lastSequence(appId, "BTC/USD")).to.equal(0);
+    });
+
+    it("Should reject a resubmitted attestation", async function () {
+      const attestation = await createAttestation(reportSigner, { price, timestamp, sequence: 5 });
+
+      await expect(
+        priceOracle.connect(oracle).updatePrice(price, timestamp, attestation)
+      ).to.be.revertedWithCustomError(priceOracle, "StaleTimestamp")
+        .withArgs(timestamp, timestamp);
+    });
+
+    it("Should reject an older report even with a higher sequence", async function () {
+      const olderPrice = ethers.parseUnits("1900", 8);
+      const attestation = await createAttestation(reportSigner, { price: olderPrice, timestamp: timestamp - 60, sequence: 6 });
+
+      await expect(
+        priceOracle.connect(oracle).updatePrice(olderPrice, timestamp - 60, attestation)
+      ).to.be.revertedWithCustomError(priceOracle, "StaleTimestamp");
+    });
+
+    it("Should reject a newer report with a reused or lower sequence", async function () {
+      const reused = await createAttestation(reportSigner, { price, timestamp: timestamp + 1, sequence: 5 });
+      const lower = await createAttestation(reportSigner, { price, timestamp: timestamp + 1, sequence: 4 });
+
+      await expect(
+        priceOracle.connect(oracle).updatePrice(price, timestamp + 1, reused)
+      ).to.be.revertedWithCustomError(priceOracle, "StaleSequence")
+        .withArgs(appId, "ETH/USD", 5, 5);
+      await expect(
+        priceOracle.connect(oracle).updatePrice(price, timestamp + 1, lower)
+      ).to.be.revertedWithCustomError(priceOracle, "StaleSequence")
+        .withArgs(appId, "ETH/USD", 4, 5);
+    });
+
+    it("Should accept a newer report with a higher sequence", async function () {
+      const newPrice = ethers.parseUnits("2100", 8);
+      const attestation = await createAttestation(reportSigner, { price: newPrice, timestamp: timestamp + 1, sequence: 9 });
+
+      await priceOracle.connect(oracle).updatePrice(newPrice, timestamp + 1, attestation);
+
+      const [latestPrice] = await priceOracle.getLatestPrice();
+      expect(latestPrice).to.equal(newPrice);
+      expect(await priceOracle.lastSequence(appId, "ETH/USD")).to.equal(9);
+    });
+
+    it("Should track sequences separately for each app", async function () {
+      await priceOracle.setAppAuthorization("other-app", true);
+      await priceOracle.setSignerAuthorization("other-app", reportSigner.address, true);
+      await priceOracle.setEnclaveApproval("other-app", MOCK_ENCLAVE.mrEnclave, MOCK_ENCLAVE.mrSigner, MOCK_ENCLAVE.productId, 1, true);
+      const attestation = await createAttestation(reportSigner, { price, timestamp: timestamp + 1, appId: "other-app", sequence: 1 });
+
+      await priceOracle.connect(oracle).updatePrice(price, timestamp + 1, attestation);
+
+      expect(await priceOracle.lastSequence("other-app", "ETH/USD")).to.equal(1);
+      expect(await priceOracle.lastSequence(appId, "ETH/USD")).to.equal(5);
+    });
+
+    it("Should track sequences separately for interleaved feeds", async function () {
+      const btcPrice = ethers.parseUnits("60000", 8);
+      const btc = await createAttestation(reportSigner, { feed: "BTC/USD", price: btcPrice, timestamp, sequence: 3 });
+      const eth = await createAttestation(reportSigner, { price, timestamp: timestamp + 1, sequence: 6 });
+      const laterBtc = await createAttestation(reportSigner, { feed: "BTC/USD", price: btcPrice, timestamp: timestamp + 1, sequence: 4 });
+
+      // BTC/USD has seen no report, so a sequence below ETH/USD's is accepted
+      await priceOracle.connect(oracle).updatePrice(btcPrice, timestamp, btc);
+      await priceOracle.connect(oracle).updatePrice(price, timestamp + 1, eth);
+      await priceOracle.connect(oracle).updatePrice(btcPrice, timestamp + 1, laterBtc);
+
+      expect(await priceOracle.lastSequence(appId, "ETH/USD")).to.equal(6);
+      expect(await priceOracle.lastSequence(appId, "BTC/USD")).to.equal(4);
+    });
+
+    it("Should reject a reused sequence on the same feed only", async function () {
+      const btcPrice = ethers.parseUnits("60000", 8);
+      const btc = await createAttestation(reportSigner, { feed: "BTC/USD", price: btcPrice, timestamp, sequence: 5 });
+      const reusedBtc = await createAttestation(reportSigner, { feed: "BTC/USD", price: btcPrice, timestamp: timestamp + 1, sequence: 5 });
+
+      await priceOracle.connect(oracle).updatePrice(btcPrice, timestamp, btc);
+
+      await expect(
+        priceOracle.connect(oracle).updatePrice(btcPrice, timestamp + 1, reusedBtc)
+      ).to.be.revertedWithCustomError(priceOracle, "StaleSequence")
+        .withArgs(appId, "BTC/USD", 5, 5);
+    });
+  });
+
+  describe("TWAP", function () {
+    let price;
+    let timestamp;
+    let twap5m;
+    let twap30m;
+
+    beforeEach(async function () {
+      price = ethers.parseUnits("2000", 8);
+      timestamp = Math.floor(Date.now() / 1000);
+      twap5m = ethers.parseUnits("1995", 8);
+      twap30m = ethers.parseUnits("1980", 8);
+    });
+
+    it("Should store TWAPs from the report next to the spot price", async function () {
+      const attestation = await createAttestation(reportSigner, {
+        price, timestamp, twapWindows: [300, 1800], twapPrices: [twap5m, twap30m]
+      });
+
+      await expect(priceOracle.connect(oracle).updatePrice(price, timestamp, attestation))
+        .to.emit(priceOracle, "TwapUpdated").withArgs(300, twap5m, timestamp)
+        .and.to.emit(priceOracle, "TwapUpdated").withArgs(1800, twap30m, timestamp);
+
+      expect(await priceOracle.getTwap(300)).to.deep.equal([twap5m, BigInt(timestamp)]);
+      expect(await priceOracle.getTwap(1800)).to.deep.equal([twap30m, BigInt(timestamp)]);
+    });
+
+    it("Should keep earlier TWAPs for windows missing from a report", async function () {
+      const first = await createAttestation(reportSigner, {
+        price, timestamp, twapWindows: [300, 1800], twapPrices: [twap5m, twap30m]
+      });
+      const second = await createAttestation(reportSigner, {
+        price, timestamp: timestamp + 1, sequence: 2, twapWindows: [300], twapPrices: [price]
+      });
+
+      await priceOracle.connect(oracle).updatePrice(price, timestamp, first);
+      await priceOracle.connect(oracle).updatePrice(price, timestamp + 1, second);
+
+      expect(await priceOracle.getTwap(300)).to.deep.equal([price, BigInt(timestamp + 1)]);
+      expect(await priceOracle.getTwap(1800)).to.deep.equal([twap30m, BigInt(timestamp)]);
+    });
+
+    it("Should revert for windows without a published TWAP", async function () {
+      await expect(priceOracle.getTwap(300))
+        .to.be.revertedWithCustomError(priceOracle, "TwapNotAvailable")
+        .withArgs(300);
+    });
+
+    it("Should reject TWAPs changed after signing", async function () {
+      const attestation = await createAttestation(reportSigner, {
+        price, timestamp, twapWindows: [300], twapPrices: [twap5m]
+      }, { tamper: { twapPrices: [twap30m] } });
+
+      await expect(
+        priceOracle.connect(oracle).updatePrice(price, timestamp, attestation)
+      ).to.be.revertedWithCustomError(priceOracle, "UnauthorizedSigner");
+    });
+
+    it("Should reject mismatched, zero or too many TWAPs", async function () {
+      const reports = [
+        { twapWindows: [300, 1800], twapPrices: [twap5m] },
+        { twapWindows: [0], twapPrices: [twap5m] },
+        { twapWindows: [300], twapPrices: [0] },
+        { twapWindows: [1, 2, 3, 4, 5, 6, 7, 8, 9], twapPrices: Array(9).fill(twap5m) }
+      ];
+
+      for (const report of reports) {
+        const attestation = await createAttestation(reportSigner, { price, timestamp, ...report });
+        await expect(
+          priceOracle.connect(oracle).updatePrice(price, timestamp, attestation)
+        ).to.be.revertedWithCustomError(priceOracle, "InvalidTwapData");
+      }
+    });
+  });
+
+  describe("Multiple Feeds", function () {
+    let timestamp;
+    let ethPrice;
+    let btcPrice;
+
+    beforeEach(async function () {
+      timestamp = Math.floor(Date.now() / 1000);
+      ethPrice = ethers.parseUnits("2000", 8);
+      btcPrice = ethers.parseUnits("60000", 8);
+    });
+
+    it("Should keep prices per feed, with the first feed as the default", async function () {
+      const eth = await createAttestation(reportSigner, { price: ethPrice, timestamp, sequence: 1 });
+      const btc = await createAttestation(reportSigner, { feed: "BTC/USD", price: btcPrice, timestamp, sequence: 2 });
+
+      await expect(priceOracle.connect(oracle).updatePrice(ethPrice, timestamp, eth))
+        .to.emit(priceOracle, "DefaultFeedSet").withArgs("ETH/USD");
+      await expect(priceOracle.connect(oracle).updatePrice(btcPrice, timestamp, btc))
+        .to.emit(priceOracle, "FeedPriceUpdated").withArgs("BTC/USD", btcPrice, timestamp, oracle.address)
+        .and.not.to.emit(priceOracle, "PriceUpdated");
+
+      expect(await priceOracle.getFeedPrice("ETH/USD")).to.deep.equal([ethPrice, BigInt(timestamp)]);
+      expect(await priceOracle.getFeedPrice("BTC/USD")).to.deep.equal([btcPrice, BigInt(timestamp)]);
+      expect(await priceOracle.getLatestPrice()).to.deep.equal([ethPrice, BigInt(timestamp)]);
+    });
+
+    it("Should check timestamps per feed", async function () {
+      const eth = await createAttestation(reportSigner, { price: ethPrice, timestamp, sequence: 1 });
+      const btc = await createAttestation(reportSigner, { feed: "BTC/USD", price: btcPrice, timestamp: timestamp - 10, sequence: 2 });
+      const staleEth = await createAttestation(reportSigner, { price: ethPrice, timestamp: timestamp - 5, sequence: 3 });
+
+      await priceOracle.connect(oracle).updatePrice(ethPrice, timestamp, eth);
+      await priceOracle.connect(oracle).updatePrice(btcPrice, timestamp - 10, btc);
+      await expect(priceOracle.connect(oracle).updatePrice(ethPrice, timestamp - 5, staleEth))
+        .to.be.revertedWithCustomError(priceOracle, "StaleTimestamp")
+        .withArgs(timestamp - 5, timestamp);
+    });
+
+    it("Should let the owner choose the default feed", async function () {
+      const btc = await createAttestation(reportSigner, {
+        feed: "BTC/USD", price: btcPrice, timestamp, twapWindows: [300], twapPrices: [btcPrice]
+      });
+      await priceOracle.connect(oracle).updatePrice(btcPrice, timestamp, btc);
+
+      await expect(priceOracle.connect(unauthorized).setDefaultFeed("ETH/USD"))
+        .to.be.revertedWithCustomError(priceOracle, "OwnableUnauthorizedAccount");
+      await expect(priceOracle.setDefaultFeed("ETH/USD"))
+        .to.emit(priceOracle, "DefaultFeedSet").withArgs("ETH/USD");
+
+      expect(await priceOracle.getLatestPrice()).to.deep.equal([0n, 0n]);
+      await expect(priceOracle.getTwap(300)).to.be.revertedWithCustomError(priceOracle, "TwapNotAvailable");
+      expect(await priceOracle.getFeedTwap("BTC/USD", 300)).to.deep.equal([btcPrice, BigInt(timestamp)]);
+    });
+  });
+
+  describe("Batched Updates", function () {
+    let timestamp;
+    let prices;
+
+    beforeEach(async function () {
+      timestamp = Math.floor(Date.now() / 1000);
+      prices = {
+        "ETH/USD": ethers.parseUnits("2000", 8),
+        "BTC/USD": ethers.parseUnits("60000", 8),
+        "SOL/USD": ethers.parseUnits("150", 8)
+      };
+    });
+
+    // One report per feed, with consecutive sequences from `first`
+    function createReports(first, reportTimestamp = timestamp) {
+      return Promise.all(Object.entries(prices).map(([feed, price], index) =>
+        createReport(reportSigner, { feed, price, timestamp: reportTimestamp, sequence: first + index })
+      ));
+    }
+
+    it("Should update several feeds in one transaction", async function () {
+      const reports = await createReports(1);
+
+      expect(await priceOracle.connect(oracle).updatePrices.staticCall(reports)).to.equal(3);
+      await expect(priceOracle.connect(oracle).updatePrices(reports))
+        .to.emit(priceOracle, "FeedPriceUpdated").withArgs("ETH/USD", prices["ETH/USD"], timestamp, oracle.address)
+        .and.to.emit(priceOracle, "FeedPriceUpdated").withArgs("BTC/USD", prices["BTC/USD"], timestamp, oracle.address)
+        .and.to.emit(priceOracle, "FeedPriceUpdated").withArgs("SOL/USD", prices["SOL/USD"], timestamp, oracle.address)
+        .and.to.emit(priceOracle, "PriceUpdated").withArgs(prices["ETH/USD"], timestamp, oracle.address, appId);
+
+      for (const [feed, price] of Object.entries(prices)) {
+        expect(await priceOracle.getFeedPrice(feed)).to.deep.equal([price, BigInt(timestamp)]);
+      }
+      expect(await priceOracle.lastSequence(appId, "ETH/USD")).to.equal(1);
+      expect(await priceOracle.lastSequence(appId, "BTC/USD")).to.equal(2);
+      expect(await priceOracle.lastSequence(appId, "SOL/USD")).to.equal(3);
+    });
+
+    it("Should skip invalid reports and apply the rest", async function () {
+      const reports = await createReports(1);
+      reports[1] = await createReport(unauthorized, { feed: "BTC/USD", price: prices["BTC/USD"], timestamp, sequence: 2 });
+      const reason = priceOracle.interface.encodeErrorResult("UnauthorizedSigner", [appId, unauthorized.address]);
+
+      await expect(priceOracle.connect(oracle).updatePrices(reports))
+        .to.emit(priceOracle, "ReportSkipped").withArgs("BTC/USD", 2, reason);
+
+      expect(await priceOracle.getFeedPrice("ETH/USD")).to.deep.equal([prices["ETH/USD"], BigInt(timestamp)]);
+      expect(await priceOracle.getFeedPrice("BTC/USD")).to.deep.equal([0n, 0n]);
+      expect(await priceOracle.getFeedPrice("SOL/USD")).to.deep.equal([prices["SOL/USD"], BigInt(timestamp)]);
+    });
+
+    it("Should skip replayed and stale reports within a batch", async function () {
+      const [eth] = await createReports(1);
+      const staleEth = await createReport(reportSigner, { price: prices["ETH/USD"], timestamp, sequence: 2 });
+      const reused = await createReport(reportSigner, { price: prices["ETH/USD"], timestamp: timestamp + 1, sequence: 1 });
+
+      await expect(priceOracle.connect(oracle).updatePrices([eth, staleEth, reused]))
+        .to.emit(priceOracle, "ReportSkipped")
+        .withArgs("ETH/USD", 2, priceOracle.interface.encodeErrorResult("StaleTimestamp", [timestamp, timestamp]))
+        .and.to.emit(priceOracle, "ReportSkipped")
+        .withArgs("ETH/USD", 1, priceOracle.interface.encodeErrorResult("StaleSequence", [appId, "ETH/USD", 1, 1]));
+
+      expect(await priceOracle.lastSequence(appId, "ETH/USD")).to.equal(1);
+    });
+
+    it("Should reject empty or oversized batches and unauthorized callers", async function () {
+      const reports = await createReports(1);
+      const maxBatchSize = Number(await priceOracle.MAX_BATCH_SIZE());
+
+      await expect(priceOracle.connect(unauthorized).updatePrices(reports))
+        .to.be.revertedWithCustomError(priceOracle, "UnauthorizedOracle");
+      await expect(priceOracle.connect(oracle).updatePrices([]))
+        .to.be.revertedWithCustomError(priceOracle, "InvalidBatch").withArgs(0);
+      await expect(priceOracle.connect(oracle).updatePrices(Array(maxBatchSize + 1).fill(reports[0])))
+        .to.be.revertedWithCustomError(priceOracle, "InvalidBatch").withArgs(maxBatchSize + 1);
+    });
+
+    it("Should use less gas than separate updates", async function () {
+      // Every feed already has a price, so both paths overwrite storage
+      await priceOracle.connect(oracle).updatePrices(await createReports(1, timestamp - 2));
+
+      let separateGas = 0n;
+      for (const report of await createReports(4, timestamp - 1)) {
+        const attestation = await createAttestation(reportSigner, {
+          feed: report.feed, price: report.price, timestamp: timestamp - 1, sequence: report.sequence
+        });
+        const tx = await priceOracle.connect(oracle).updatePrice(report.price, timestamp - 1, attestation);
+        separateGas += (await tx.wait()).gasUsed;
+      }
+
+      const tx = await priceOracle.connect(oracle).updatePrices(await createReports(7));
+      const batchGas = (await tx.wait()).gasUsed;
+
+      expect(batchGas).to.be.lessThan(separateGas * 2n / 3n);
+    });
+  });
+
+  describe("Clock Skew", function () {
+    let price;
+
+    beforeEach(async function () {
+      price = ethers.parseUnits("2000", 8);
+    });
+
+    it("Should reject timestamps beyond the allowed clock skew", async function () {
+      const now = (await ethers.provider.getBlock("latest")).timestamp;
+      const future = now + 600;
+      const attestation = await createAttestation(reportSigner, { price, timestamp: future });
+
+      await expect(
+        priceOracle.connect(oracle).updatePrice(price, future, attestation)
+      ).to.be.revertedWithCustomError(priceOracle, "FutureTimestamp");
+    });
+
+    it("Should accept timestamps within the allowed clock skew", async function () {
+      const now = (await ethers.provider.getBlock("latest")).timestamp;
+      const ahead = now + 30;
+      const attestation = await createAttestation(reportSigner, { price, timestamp: ahead });
+
+      await priceOracle.connect(oracle).updatePrice(price, ahead, attestation);
+
+      const [, latestTimestamp] = await priceOracle.getLatestPrice();
+      expect(latestTimestamp).to.equal(ahead);
+    });
+
+    it("Should allow owner to configure the clock skew", async function () {
+      await expect(priceOracle.setMaxClockSkew(600))
+        .to.emit(priceOracle, "ClockSkewConfigured")
+        .withArgs(600);
+
+      const now = (await ethers.provider.getBlock("latest")).timestamp;
+      const future = now + 300;
+      const attestation = await createAttestation(reportSigner, { price, timestamp: future });
+      await priceOracle.connect(oracle).updatePrice(price, future, attestation);
+    });
+
+    it("Should reject invalid clock skew configuration", async function () {
+      await expect(
+        priceOracle.setMaxClockSkew(3600)
+      ).to.be.revertedWithCustomError(priceOracle, "InvalidClockSkew");
+      await expect(
+        priceOracle.connect(unauthorized).setMaxClockSkew(120)
+      ).to.be.revertedWithCustomError(priceOracle, "OwnableUnauthorizedAccount");
+    });
+  });
+
   describe("Thresholds", function () {
     beforeEach(async function () {
       // Set thresholds: $1500 - $2500
@@ -114,22 +762,7 @@ describe("PriceOracle", function () {
     it("Should emit threshold breach event for high price", async function () {
       const highPrice = ethers.parseUnits("3000", 8); // Above upper bound
       const timestamp = Math.floor(Date.now() / 1000);
-      
-      const highPriceDataBytes = ethers.AbiCoder.defaultAbiCoder().encode(
-        ["uint256", "uint256", "string"],
-        [highPrice, timestamp, "coingecko"]
-      );
-      
-      const attestation = ethers.AbiCoder.defaultAbiCoder().encode(
-        ["string", "uint256", "bytes", "bytes", "bytes32"],
-        [
-          appId,
-          timestamp,
-          highPriceDataBytes,
-          "0x1234",
-          ethers.keccak256(ethers.toUtf8Bytes("mock-signature"))
-        ]
-      );
+      const attestation = await createAttestation(reportSigner, { price: highPrice, timestamp });
 
       await expect(
         priceOracle.connect(oracle).updatePrice(highPrice, timestamp, attestation)
@@ -140,22 +773,7 @@ describe("PriceOracle", function () {
     it("Should emit threshold breach event for low price", async function () {
       const lowPrice = ethers.parseUnits("1000", 8); // Below lower bound
       const timestamp = Math.floor(Date.now() / 1000);
-      
-      const lowPriceDataBytes = ethers.AbiCoder.defaultAbiCoder().encode(
-        ["uint256", "uint256", "string"],
-        [lowPrice, timestamp, "coingecko"]
-      );
-      
-      const attestation = ethers.AbiCoder.defaultAbiCoder().encode(
-        ["string", "uint256", "bytes", "bytes", "bytes32"],
-        [
-          appId,
-          timestamp,
-          lowPriceDataBytes,
-          "0x1234",
-          ethers.keccak256(ethers.toUtf8Bytes("mock-signature"))
-        ]
-      );
+      const attestation = await createAttestation(reportSigner, { price: lowPrice, timestamp });
 
       await expect(
         priceOracle.connect(oracle).updatePrice(lowPrice, timestamp, attestation)
@@ -196,10 +814,24 @@ describe("PriceOracle", function () {
       expect(await priceOracle.authorizedOracles(unauthorized.address)).to.be.true;
     });
 
+    it("Should allow owner to authorize/deauthorize signers", async function () {
+      await expect(priceOracle.setSignerAuthorization(appId, unauthorized.address, true))
+        .to.emit(priceOracle, "SignerAuthorized")
+        .withArgs(appId, unauthorized.address, true);
+      
+      expect(await priceOracle.authorizedSigners(appId, unauthorized.address)).to.be.true;
+      
+      await priceOracle.setSignerAuthorization(appId, unauthorized.address, false);
+      expect(await priceOracle.authorizedSigners(appId, unauthorized.address)).to.be.false;
+    });
+
     it("Should reject authorization changes from non-owner", async function () {
       await expect(
         priceOracle.connect(unauthorized).setAppAuthorization("test", true)
       ).to.be.revertedWithCustomError(priceOracle, "OwnableUnauthorizedAccount");
+      await expect(
+        priceOracle.connect(unauthorized).setSignerAuthorization(appId, unauthorized.address, true)
+      ).to.be.revertedWithCustomError(priceOracle, "OwnableUnauthorizedAccount");
     });
   });
 });
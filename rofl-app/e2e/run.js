@@ -0,0 +1,267 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { PriceOracle } = require('../src/oracle');
+const { MockPriceServer, loadScenario } = require('../src/sources/mock-server');
+const { loadConfig, secretValues } = require('../src/config/loader');
+const { configureLogging } = require('../src/utils/logger');
+const { formatTable } = require('../src/cli');
+
+const USAGE = `Usage: node e2e/run.js [scenario ...] [--rpc <url>] [--verbose]
+
+Runs each scenario (default: every file in e2e/scenarios) against a fresh
+PriceOracle deployment on a local node, with the sources served by the mock
+price server, and checks the FeedPriceUpdated events against its expectations.
+Start the node first with "npx hardhat node" in contracts/, after
+"npx hardhat compile".
+
+  --rpc <url>  Node to deploy to and run against (default E2E_RPC_URL or
+               http://127.0.0.1:8545)
+  --verbose    Show the oracle's logs below errors`;
+
+const ARTIFACT = path.join(__dirname, '../../contracts/artifacts/contracts/PriceOracle.sol/PriceOracle.json');
+const SCENARIOS = path.join(__dirname, 'scenarios');
+
+// Hardhat's well-known development accounts #0 (contract owner) and #1
+// (oracle and report signer); only ever funded on local nodes
+const OWNER_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+const ORACLE_KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+
+const APP_ID = 'e2e-price-oracle';
+
+// The mock attestation backend's placeholder measurements
+const MOCK_ENCLAVE = { mrEnclave: '0x' + '1'.repeat(64), mrSigner: '0x' + '2'.repeat(64), productId: 1, minSecurityVersion: 1 };
+
+// Seconds the oracle keeps running after the last step, for its final
+// updates to land
+const DEFAULT_SETTLE = 10;
+
+// Default percentage a final price may be off by
+const DEFAULT_TOLERANCE = 0.5;
+
+function parseArgs(argv) {
+  const args = { files: [], rpcUrl: process.env.E2E_RPC_URL || 'http://127.0.0.1:8545', verbose: false };
+  for (let index = 0; index < argv.length; index++) {
+    if (argv[index] === '--rpc') {
+      args.rpcUrl = argv[++index];
+    } else if (argv[index] === '--verbose') {
+      args.verbose = true;
+    } else if (argv[index] === '--help') {
+      args.help = true;
+    } else {
+      args.files.push(argv[index]);
+    }
+  }
+  
+  if (args.files.length === 0) {
+    args.files = fs.readdirSync(SCENARIOS)
+      .filter(file => /\.(ya?ml|json)$/.test(file))
+      .sort()
+      .map(file => path.join(SCENARIOS, file));
+  }
+  return args;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function deployOracleContract(artifact, owner, oracleAddress) {
+  const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode, owner);
+  const contract = await factory.deploy(APP_ID, oracleAddress, oracleAddress);
+  await contract.waitForDeployment();
+  
+  const { mrEnclave, mrSigner, productId, minSecurityVersion } = MOCK_ENCLAVE;
+  await (await contract.setEnclaveApproval(APP_ID, mrEnclave, mrSigner, productId, minSecurityVersion, true)).wait();
+  return contract.getAddress();
+}
+
+// The oracle's configuration for a scenario: every source on the mock server,
+// then the scenario's own env settings
+function scenarioEnv(scenario, { baseUrl, rpcUrl, chainId, stateFile, feeds }) {
+  const overrides = Object.fromEntries(Object.entries(scenario.env || {}).map(([name, value]) => [name, String(value)]));
+  return {
+    ROFL_APP_ID: APP_ID,
+    ROFL_PRIVATE_KEY: ORACLE_KEY,
+    ATTESTATION_BACKEND: 'mock',
+    RPC_URL: rpcUrl,
+    CHAIN_ID: String(chainId),
+    STATE_FILE: stateFile,
+    // Longer than the transaction manager's receipt polling, so a tick never
+    // tries to replace a tx the node already mined
+    PRICE_UPDATE_INTERVAL: '4000',
+    PRICE_SOURCES: 'coingecko,binance,coinbase,kraken',
+    COINGECKO_BASE_URL: baseUrl,
+    BINANCE_BASE_URL: baseUrl,
+    COINBASE_BASE_URL: baseUrl,
+    KRAKEN_BASE_URL: baseUrl,
+    HTTP_SOURCE_URL: `${baseUrl}/price/{symbol}`,
+    HTTP_SOURCE_PRICE_PATH: 'price',
+    HTTP_SOURCE_TIMESTAMP_PATH: 'timestamp',
+    // Every tick sees the scripted price, and only the scenario throttles
+    SOURCE_CACHE_TTL: '1000',
+    COINGECKO_REQUESTS_PER_MINUTE: '600',
+    KRAKEN_REQUESTS_PER_MINUTE: '600',
+    ...overrides,
+    PRICE_FEEDS: JSON.stringify(feeds)
+  };
+}
+
+function countMatches(count, expected) {
+  if (typeof expected === 'number') {
+    return count === expected;
+  }
+  return count >= (expected.min ?? 0) && count <= (expected.max ?? Infinity);
+}
+
+function describeCount(expected) {
+  return typeof expected === 'number' ? String(expected) : `${expected.min ?? 0}..${expected.max ?? 'any'}`;
+}
+
+// Checks of one feed's published prices against the scenario's expect entry:
+//   updates: 3 or { min, max }    FeedPriceUpdated events
+//   skipped: 0 or { min, max }    ReportSkipped events
+//   range: [low, high]            every published price within
+//   final: 2200                   last published price, within tolerance
+//   tolerance: 0.5                percent, for final
+function checkFeed(expected, prices, skipped) {
+  const checks = [];
+  if (expected.updates !== undefined) {
+    checks.push({ check: 'updates', expected: describeCount(expected.updates), actual: prices.length, ok: countMatches(prices.length, expected.updates) });
+  }
+  if (expected.skipped !== undefined) {
+    checks.push({ check: 'skipped', expected: describeCount(expected.skipped), actual: skipped, ok: countMatches(skipped, expected.skipped) });
+  }
+  if (expected.range) {
+    const [low, high] = expected.range;
+    checks.push({
+      check: 'range',
+      expected: `${low}..${high}`,
+      actual: prices.length > 0 ? `${Math.min(...prices)}..${Math.max(...prices)}` : null,
+      ok: prices.every(price => price >= low && price <= high)
+    });
+  }
+  if (expected.final !== undefined) {
+    const tolerance = expected.tolerance ?? DEFAULT_TOLERANCE;
+    const final = prices[prices.length - 1];
+    checks.push({
+      check: 'final',
+      expected: `${expected.final} ±${tolerance}%`,
+      actual: final,
+      ok: final !== undefined && Math.abs(final - expected.final) / expected.final * 100 <= tolerance
+    });
+  }
+  return checks;
+}
+
+async function runScenario(file, args, artifact) {
+  const scenario = loadScenario(file);
+  const provider = new ethers.JsonRpcProvider(args.rpcUrl, undefined, { staticNetwork: true });
+  const { chainId } = await provider.getNetwork();
+  const owner = new ethers.NonceManager(new ethers.Wallet(OWNER_KEY, provider));
+  const oracleAddress = new ethers.Wallet(ORACLE_KEY).address;
+  
+  const feeds = [];
+  for (const entry of scenario.feeds || Object.keys(scenario.prices)) {
+    const spec = typeof entry === 'string' ? { id: entry } : entry;
+    feeds.push({ ...spec, contractAddress: await deployOracleContract(artifact, owner, oracleAddress) });
+  }
+  const fromBlock = await provider.getBlockNumber();
+  
+  const server = new MockPriceServer(scenario, { port: 0 });
+  await server.start();
+  const stateFile = path.join(os.tmpdir(), `oracle-e2e-${process.pid}-${Date.now()}.json`);
+  const config = loadConfig({
+    argv: [],
+    env: scenarioEnv(scenario, { baseUrl: `http://127.0.0.1:${server.port}`, rpcUrl: args.rpcUrl, chainId, stateFile, feeds })
+  });
+  configureLogging({
+    ...config.logging,
+    level: args.verbose ? config.logging.level : 'error',
+    secrets: secretValues(config)
+  });
+  
+  const oracle = new PriceOracle(config);
+  try {
+    server.reset();
+    await oracle.start();
+    await sleep((server.duration + (scenario.settle ?? DEFAULT_SETTLE)) * 1000);
+  } finally {
+    await oracle.stop();
+    await server.stop();
+    fs.rmSync(stateFile, { force: true });
+  }
+  
+  const results = [];
+  for (const feed of config.feeds) {
+    const contract = new ethers.Contract(feed.contractAddress, artifact.abi, provider);
+    const updates = await contract.queryFilter(contract.filters.FeedPriceUpdated(feed.id), fromBlock);
+    const skipped = await contract.queryFilter(contract.filters.ReportSkipped(), fromBlock);
+    const prices = updates.map(event => Number(ethers.formatUnits(event.args.price, feed.decimals)));
+    
+    results.push({
+      feed: feed.id,
+      prices,
+      checks: checkFeed(scenario.expect?.[feed.id] || {}, prices, skipped.filter(event => event.args.feed === feed.id).length)
+    });
+  }
+  return { scenario, requests: server.requests, results };
+}
+
+function report({ scenario, requests, results }) {
+  const rows = results.flatMap(result => result.checks.map(check => ({
+    feed: result.feed,
+    ...check,
+    ok: check.ok ? 'ok' : 'FAIL'
+  })));
+  
+  const lines = [`${scenario.name}${scenario.description ? `: ${scenario.description}` : ''}`];
+  for (const result of results) {
+    lines.push(`  ${result.feed} published ${result.prices.length > 0 ? result.prices.join(', ') : 'nothing'}`);
+  }
+  const served = Object.entries(requests)
+    .map(([source, modes]) => `${source} ${Object.entries(modes).map(([mode, count]) => `${mode} ${count}`).join('/')}`);
+  lines.push(`  Requests served: ${served.join(', ') || 'none'}`);
+  if (rows.length > 0) {
+    lines.push(formatTable(rows, ['feed', 'check', 'expected', 'actual', 'ok']));
+  }
+  console.log(`${lines.join('\n')}\n`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (!fs.existsSync(ARTIFACT)) {
+    console.error(`Missing ${ARTIFACT}; run "npx hardhat compile" in contracts/ first`);
+    return 1;
+  }
+  const artifact = JSON.parse(fs.readFileSync(ARTIFACT, 'utf8'));
+  
+  let failed = 0;
+  for (const file of args.files) {
+    try {
+      const outcome = await runScenario(file, args, artifact);
+      report(outcome);
+      if (outcome.results.some(result => result.checks.some(check => !check.ok))) {
+        failed += 1;
+      }
+    } catch (error) {
+      console.error(`${file}: ${error.shortMessage || error.message}\n`);
+      failed += 1;
+    }
+  }
+  
+  console.log(`${args.files.length - failed} of ${args.files.length} scenarios passed`);
+  return failed > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  main().then(code => process.exit(code));
+}
+
+module.exports = { checkFeed, runScenario };
@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const { Logger } = require('./utils/logger');
+
+const MAX_BODY_BYTES = 16 * 1024;
+const MIN_UPDATE_INTERVAL = 1000;
+
+function clientError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size <= MAX_BODY_BYTES) {
+        body += chunk;
+      }
+    });
+    req.on('end', () => {
+      if (size > MAX_BODY_BYTES) {
+        reject(clientError('Request body too large'));
+        return;
+      }
+      if (!body) {
+        resolve({});
+        return;
+      }
+      try {
+        resolve(JSON.parse(body));
+      } catch (error) {
+        reject(clientError('Request body is not valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function badRequest(message) {
+  return { status: 400, body: { error: message } };
+}
+
+// Runtime control of the oracle, mounted on OracleServer under /admin. Every
+// route requires "Authorization: Bearer <ADMIN_TOKEN>"; without a configured
+// token the routes aren't registered at all. Changes are not persisted and
+// revert to the configured values on restart.
+class AdminApi {
+  constructor(oracle, config) {
+    this.oracle = oracle;
+    this.token = config.admin.token;
+    this.logger = new Logger('AdminApi');
+  }
+  
+  register(server) {
+    if (!this.token) {
+      this.logger.info('ADMIN_TOKEN not set, admin API disabled');
+      return;
+    }
+    
+    server.route('GET', '/admin/state', this.guard(() => this.getState()));
+    server.route('GET', '/admin/decisions', this.guard((req, url) => this.getDecisions(url)));
+    server.route('POST', '/admin/pause', this.guard(() => this.pause()));
+    server.route('POST', '/admin/resume', this.guard(() => this.resume()));
+    server.route('POST', '/admin/update', this.guard(req => this.forceUpdate(req)));
+    server.route('POST', '/admin/config', this.guard(req => this.updateConfig(req)));
+  }
+  
+  guard(handler) {
+    return async (req, url) => {
+      if (!this.isAuthorized(req)) {
+        this.logger.warn(`Rejected unauthorized ${req.method} ${url.pathname}`);
+        return { status: 401, body: { error: 'Unauthorized' } };
+      }
+      
+      return handler(req, url);
+    };
+  }
+  
+  isAuthorized(req) {
+    const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+    if (!match) {
+      return false;
+    }
+    
+    // Compare digests so the check takes the same time whatever the input
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(match[1]), digest(this.token));
+  }
+  
+  getState() {
+    return { status: 200, body: this.oracle.getStatus() };
+  }
+  
+  getDecisions(url) {
+    const feedId = url.searchParams.get('feed');
+    const limit = parseInt(url.searchParams.get('limit')) || 0;
+    
+    if (feedId && !this.oracle.feeds.has(feedId)) {
+      return { status: 404, body: { error: `Unknown feed ${feedId}` } };
+    }
+    
+    const decisions = {};
+    for (const [id, state] of this.oracle.feeds) {
+      if (!feedId || id === feedId) {
+        decisions[id] = limit > 0 ? state.decisions.slice(-limit) : [...state.decisions];
+      }
+    }
+    return { status: 200, body: decisions };
+  }
+  
+  pause() {
+    this.oracle.pause();
+    return this.getState();
+  }
+  
+  async resume() {
+    await this.oracle.resume();
+    return this.getState();
+  }
+  
+  async forceUpdate(req) {
+    const { feed } = await readJsonBody(req);
+    
+    if (feed !== undefined && !this.oracle.feeds.has(feed)) {
+      return { status: 404, body: { error: `Unknown feed ${feed}` } };
+    }
+    if (!this.oracle.isRunning) {
+      return { status: 409, body: { error: 'Oracle is not running' } };
+    }
+    if (this.oracle.isUpdating) {
+      return { status: 409, body: { error: 'An update tick is already running' } };
+    }
+    if (!this.oracle.lease.isLeader) {
+      const { holder } = this.oracle.lease;
+      return { status: 409, body: { error: 'This replica is a follower; force the update on the leader', leader: holder } };
+    }
+    
+    this.logger.info(`Forced update of ${feed || 'all feeds'} via admin API`);
+    await this.oracle.fetchAndUpdatePrice({ force: true, feedId: feed });
+    return this.getState();
+  }
+  
+  async updateConfig(req) {
+    const { feed, updateInterval, thresholdPercentage } = await readJsonBody(req);
+    
+    if (updateInterval === undefined && thresholdPercentage === undefined) {
+      return badRequest('Expected updateInterval and/or thresholdPercentage');
+    }
+    if (updateInterval !== undefined && (!Number.isInteger(updateInterval) || updateInterval < MIN_UPDATE_INTERVAL)) {
+      return badRequest(`updateInterval must be an integer of at least ${MIN_UPDATE_INTERVAL}ms`);
+    }
+    if (thresholdPercentage !== undefined) {
+      if (typeof thresholdPercentage !== 'number' || !(thresholdPercentage > 0)) {
+        return badRequest('thresholdPercentage must be a positive number');
+      }
+      if (!feed) {
+        return badRequest('thresholdPercentage requires a feed');
+      }
+      if (!this.oracle.feeds.has(feed)) {
+        return { status: 404, body: { error: `Unknown feed ${feed}` } };
+      }
+    }
+    
+    // The loop is shared by all feeds, so the interval applies to every feed
+    if (updateInterval !== undefined) {
+      this.oracle.setUpdateInterval(updateInterval);
+    }
+    if (thresholdPercentage !== undefined) {
+      this.oracle.setFeedThreshold(feed, thresholdPercentage);
+    }
+    
+    return this.getState();
+  }
+}
+
+module.exports = { AdminApi };
@@ -0,0 +1,86 @@
+const { ethers } = require('ethers');
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  
+  return sorted.length % 2 === 0
+    ? (sorted[mid - 1] + sorted[mid]) / 2
+    : sorted[mid];
+}
+
+function deviationPercentage(value, reference) {
+  return Math.abs((value - reference) / reference) * 100;
+}
+
+// Convert a decimal price into the contract's fixed-point representation
+function toFixedPoint(price, decimals = 8) {
+  return ethers.parseUnits(Number(price).toFixed(decimals), decimals);
+}
+
+// Reduce quotes from several sources to a single median price. Quotes older
+// than maxQuoteAge seconds are dropped first, then any quote further than
+// maxDeviationPercentage from the median of the rest. Throws unless at least
+// minSources quotes survive both filters.
+function aggregateQuotes(quotes, options) {
+  const { minSources, maxDeviationPercentage, maxQuoteAge } = options;
+  const now = Math.floor(Date.now() / 1000);
+  const rejected = [];
+  
+  const fresh = quotes.filter(quote => {
+    if (now - quote.timestamp > maxQuoteAge) {
+      rejected.push({ source: quote.source, price: quote.price, reason: 'stale' });
+      return false;
+    }
+    return true;
+  });
+  
+  if (fresh.length === 0) {
+    throw new Error('No fresh quotes available from any price source');
+  }
+  
+  const reference = median(fresh.map(quote => quote.price));
+  
+  const accepted = fresh.filter(quote => {
+    if (deviationPercentage(quote.price, reference) > maxDeviationPercentage) {
+      rejected.push({ source: quote.source, price: quote.price, reason: 'outlier' });
+      return false;
+    }
+    return true;
+  });
+  
+  if (accepted.length < minSources) {
+    const error = new Error(
+      `Price quorum not reached: ${accepted.length}/${minSources} sources agree`
+    );
+    error.rejected = rejected;
+    throw error;
+  }
+  
+  return {
+    method: 'median',
+    price: Number(median(accepted.map(quote => quote.price)).toFixed(8)),
+    timestamp: now,
+    accepted,
+    rejected
+  };
+}
+
+// Compact, JSON-encoded summary of an aggregate for the attestation source field
+function describeAggregate(aggregate, feed) {
+  return JSON.stringify({
+    feed: feed.id,
+    method: aggregate.method,
+    price: aggregate.price,
+    sources: Object.fromEntries(aggregate.accepted.map(quote => [quote.source, quote.price])),
+    rejected: aggregate.rejected.map(quote => quote.source)
+  });
+}
+
+module.exports = {
+  median,
+  deviationPercentage,
+  toFixedPoint,
+  aggregateQuotes,
+  describeAggregate
+};
@@ -1,175 +0,0 @@
-const { ethers } = require('ethers');
-const { Logger } = require('./utils/logger');
-
-class ROFLAttestation {
-  constructor(appId) {
-    this.appId = appId;
-    this.logger = new Logger('ROFLAttestation');
-  }
-  
-  async generateAttestation(priceData) {
-    try {
-      this.logger.debug('Generating ROFL attestation for price data...');
-      
-      // In a real ROFL environment, this would use the TEE's attestation capabilities
-      // For this demo, we'll create a mock attestation structure
-      
-      const attestationData = {
-        appId: this.appId,
-        timestamp: Math.floor(Date.now() / 1000),
-        priceData: {
-          price: priceData.price,
-          timestamp: priceData.timestamp,
-          source: priceData.source
-        },
-        teeQuote: await this.generateMockTEEQuote(priceData),
-        signature: await this.signPriceData(priceData)
-      };
-      
-      // Encode attestation as bytes
-      const encoded = this.encodeAttestation(attestationData);
-      
-      this.logger.debug('Attestation generated successfully');
-      return encoded;
-      
-    } catch (error) {
-      this.logger.error('Failed to generate attestation:', error);
-      throw error;
-    }
-  }
-  
-  async generateMockTEEQuote(priceData) {
-    // In a real implementation, this would be generated by the TEE
-    // This is a mock structure for demonstration
-    const quoteData = {
-      version: 1,
-      reportData: ethers.keccak256(
-        ethers.AbiCoder.defaultAbiCoder().encode(
-          ['uint256', 'uint256', 'string'],
-          [priceData.price, priceData.timestamp, priceData.source]
-        )
-      ),
-      mrEnclave: '0x' + '1'.repeat(64), // Mock measurement
-      mrSigner: '0x' + '2'.repeat(64),  // Mock signer
-      productId: 1,
-      securityVersion: 1,
-      attributes: '0x0000000000000007', // Mock attributes
-      miscSelect: '0x00000000'
-    };
-    
-    return ethers.AbiCoder.defaultAbiCoder().encode(
-      ['uint8', 'bytes32', 'bytes32', 'bytes32', 'uint16', 'uint16', 'bytes8', 'bytes4'],
-      [
-        quoteData.version,
-        quoteData.reportData,
-        quoteData.mrEnclave,
-        quoteData.mrSigner,
-        quoteData.productId,
-        quoteData.securityVersion,
-        quoteData.attributes,
-        quoteData.miscSelect
-      ]
-    );
-  }
-  
-  async signPriceData(priceData) {
-    // Create a deterministic signature for the price data
-    // In production, this would use the TEE's signing key
-    const messageHash = ethers.keccak256(
-      ethers.AbiCoder.defaultAbiCoder().encode(
-        ['uint256', 'uint256', 'string', 'string'],
-        [priceData.price, priceData.timestamp, priceData.source, this.appId]
-      )
-    );
-    
-    // Mock signature (in production, this would be signed by TEE)
-    return ethers.keccak256(ethers.concat([messageHash, ethers.toUtf8Bytes(this.appId)]));
-  }
-  
-  encodeAttestation(attestationData) {
-    // Encode price data separately to match contract expectation
-    const priceDataBytes = ethers.AbiCoder.defaultAbiCoder().encode(
-      ['uint256', 'uint256', 'string'],
-      [
-        attestationData.priceData.price,
-        attestationData.priceData.timestamp,
-        attestationData.priceData.source
-      ]
-    );
-    
-    // Encode the complete attestation structure
-    return ethers.AbiCoder.defaultAbiCoder().encode(
-      ['string', 'uint256', 'bytes', 'bytes', 'bytes32'],
-      [
-        attestationData.appId,
-        attestationData.timestamp,
-        priceDataBytes,
-        attestationData.teeQuote,
-        attestationData.signature
-      ]
-    );
-  }
-  
-  static decodeAttestation(attestationBytes) {
-    try {
-      const decoded = ethers.AbiCoder.defaultAbiCoder().decode(
-        ['string', 'uint256', 'bytes', 'bytes', 'bytes32'],
-        attestationBytes
-      );
-      
-      // Decode price data separately
-      const priceDataDecoded = ethers.AbiCoder.defaultAbiCoder().decode(
-        ['uint256', 'uint256', 'string'],
-        decoded[2]
-      );
-      
-      return {
-        appId: decoded[0],
-        timestamp: decoded[1],
-        priceData: {
-          price: priceDataDecoded[0],
-          timestamp: priceDataDecoded[1],
-          source: priceDataDecoded[2]
-        },
-        teeQuote: decoded[3],
-        signature: decoded[4]
-      };
-    } catch (error) {
-      throw new Error(`Failed to decode attestation: ${error.message}`);
-    }
-  }
-  
-  static async verifyAttestation(attestationBytes, expectedAppId) {
-    try {
-      const attestation = ROFLAttestation.decodeAttestation(attestationBytes);
-      
-      // Verify app ID matches
-      if (attestation.appId !== expectedAppId) {
-        throw new Error('App ID mismatch');
-      }
-      
-      // Verify timestamp is recent (within 5 minutes)
-      const now = Math.floor(Date.now() / 1000);
-      if (Math.abs(now - attestation.timestamp) > 300) {
-        throw new Error('Attestation timestamp too old');
-      }
-      
-      // In production, would verify TEE quote and signature
-      // For demo purposes, we'll just validate the structure
-      
-      return {
-        valid: true,
-        appId: attestation.appId,
-        priceData: attestation.priceData
-      };
-      
-    } catch (error) {
-      return {
-        valid: false,
-        error: error.message
-      };
-    }
-  }
-}
-
-module.exports = { ROFLAttestation };
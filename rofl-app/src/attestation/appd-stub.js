@@ -0,0 +1,113 @@
+const fs = require('fs');
+const http = require('http');
+const { ethers } = require('ethers');
+const { Logger } = require('../utils/logger');
+
+// Stand-in for ROFL appd serving the endpoints AppdBackend uses on a UNIX
+// socket, so the appd code path runs outside a TEE. Keys are derived
+// deterministically from the seed, the key id and the kind, like appd derives
+// them from the app identity. Not for production: the seed is the only secret.
+class AppdStubServer {
+  constructor(options = {}) {
+    this.socketPath = options.socketPath || '/tmp/rofl-appd.sock';
+    this.appId = options.appId || 'rofl1qstubappid';
+    this.seed = options.seed || 'rofl-appd-stub';
+    this.logger = new Logger('AppdStub');
+    this.server = null;
+  }
+  
+  deriveKey(keyId, kind) {
+    return ethers.keccak256(ethers.toUtf8Bytes(`${this.seed}:${this.appId}:${kind}:${keyId}`)).slice(2);
+  }
+  
+  async handle(req, res) {
+    if (req.method === 'GET' && req.url === '/rofl/v1/app/id') {
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.end(this.appId);
+      return;
+    }
+    
+    if (req.method === 'POST' && req.url === '/rofl/v1/keys/generate') {
+      let body = '';
+      for await (const chunk of req) {
+        body += chunk;
+      }
+      
+      let request;
+      try {
+        request = JSON.parse(body);
+      } catch (error) {
+        res.writeHead(400);
+        res.end('invalid JSON');
+        return;
+      }
+      if (!request.key_id || request.kind !== 'secp256k1') {
+        res.writeHead(400);
+        res.end('key_id and kind "secp256k1" are required');
+        return;
+      }
+      
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ key: this.deriveKey(request.key_id, request.kind) }));
+      return;
+    }
+    
+    res.writeHead(404);
+    res.end('Not found');
+  }
+  
+  start() {
+    // A stale socket from an earlier run would make listen() fail
+    if (fs.existsSync(this.socketPath)) {
+      fs.unlinkSync(this.socketPath);
+    }
+    
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => {
+        this.logger.error('Request failed:', error);
+        res.writeHead(500);
+        res.end();
+      });
+    });
+    
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.socketPath, () => {
+        this.logger.info(`appd stub for ${this.appId} listening on ${this.socketPath}`);
+        resolve();
+      });
+    });
+  }
+  
+  stop() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+    
+    return new Promise(resolve => this.server.close(() => {
+      this.server = null;
+      resolve();
+    }));
+  }
+}
+
+// node src/attestation/appd-stub.js [socketPath], with APPD_STUB_APP_ID and
+// APPD_STUB_SEED to choose the app id and key seed
+if (require.main === module) {
+  const stub = new AppdStubServer({
+    socketPath: process.argv[2] || process.env.ROFL_APPD_SOCKET,
+    appId: process.env.APPD_STUB_APP_ID,
+    seed: process.env.APPD_STUB_SEED
+  });
+  
+  stub.start().catch(error => {
+    console.error('Failed to start appd stub:', error.message);
+    process.exit(1);
+  });
+  
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => stub.stop().then(() => process.exit(0)));
+  }
+}
+
+module.exports = { AppdStubServer };
@@ -0,0 +1,72 @@
+const axios = require('axios');
+const { AttestationBackend } = require('./base');
+const { withRetry } = require('../utils/retry');
+
+// Talks to the ROFL appd REST API on its UNIX socket, which is mounted into
+// containers running inside a ROFL TEE. The report signing key is derived by
+// appd from the app's identity, so it survives restarts and redeployments of
+// the same app but is never available outside the enclave.
+//
+// appd does not hand out raw quotes: the enclave itself is attested when ROFL
+// registers the app's replicas. The quote therefore carries the measurements
+// of the deployed build (from its rofl.yaml) next to the report data.
+class AppdBackend extends AttestationBackend {
+  constructor(options = {}) {
+    super('appd', {
+      socketPath: '/run/rofl-appd.sock',
+      keyId: 'price-oracle-signer',
+      timeout: 10000,
+      ...options
+    });
+    
+    if (!this.options.mrEnclave || !this.options.mrSigner) {
+      throw new Error('ROFL appd attestation backend requires the mrEnclave and mrSigner of the deployed build');
+    }
+    
+    this.signerKey = null;
+  }
+  
+  async request(method, path, data) {
+    const response = await withRetry(() => axios.request({
+      method,
+      url: `http://localhost${path}`,
+      socketPath: this.options.socketPath,
+      data,
+      timeout: this.options.timeout,
+      headers: { 'Content-Type': 'application/json' }
+    }));
+    
+    return response.data;
+  }
+  
+  async init() {
+    try {
+      this.appId = String(await this.request('GET', '/rofl/v1/app/id')).trim();
+      
+      const { key } = await this.request('POST', '/rofl/v1/keys/generate', {
+        key_id: this.options.keyId,
+        kind: 'secp256k1'
+      });
+      this.signerKey = key.startsWith('0x') ? key : `0x${key}`;
+      
+      this.logger.info(`Running as ROFL app ${this.appId}, signer key "${this.options.keyId}" from ${this.options.socketPath}`);
+    
+    } catch (error) {
+      this.logger.error(`Failed to reach ROFL appd at ${this.options.socketPath}:`, error);
+      throw error;
+    }
+  }
+  
+  async getSignerKey() {
+    if (!this.signerKey) {
+      throw new Error('appd attestation backend is not initialized');
+    }
+    return this.signerKey;
+  }
+  
+  async getQuote(reportData) {
+    return this.createQuote(reportData);
+  }
+}
+
+module.exports = { AppdBackend };
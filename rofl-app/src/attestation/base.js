@@ -0,0 +1,73 @@
+const { ethers } = require('ethers');
+const { Logger } = require('../utils/logger');
+
+// Layout of the TEE quote carried in every attestation
+const QUOTE_TYPES = ['uint8', 'bytes32', 'bytes32', 'bytes32', 'uint16', 'uint16', 'bytes8', 'bytes4'];
+const QUOTE_VERSION = 1;
+
+function encodeQuote(quote) {
+  return ethers.AbiCoder.defaultAbiCoder().encode(QUOTE_TYPES, [
+    quote.version ?? QUOTE_VERSION,
+    quote.reportData,
+    quote.mrEnclave,
+    quote.mrSigner,
+    quote.productId,
+    quote.securityVersion,
+    quote.attributes ?? '0x0000000000000007',
+    quote.miscSelect ?? '0x00000000'
+  ]);
+}
+
+function decodeQuote(quoteBytes) {
+  const decoded = ethers.AbiCoder.defaultAbiCoder().decode(QUOTE_TYPES, quoteBytes);
+  return {
+    version: Number(decoded[0]),
+    reportData: decoded[1],
+    mrEnclave: decoded[2],
+    mrSigner: decoded[3],
+    productId: Number(decoded[4]),
+    securityVersion: Number(decoded[5]),
+    attributes: decoded[6],
+    miscSelect: decoded[7]
+  };
+}
+
+// Where report signing keys and TEE quotes come from. init() runs once at
+// startup and may fill in appId when the backend knows which app it runs as.
+class AttestationBackend {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.options = options;
+    this.appId = null;
+    this.logger = new Logger(`Attestation:${name}`);
+  }
+  
+  async init() {}
+  
+  // Hex private key of the report signer
+  async getSignerKey() {
+    throw new Error(`Attestation backend ${this.name} does not implement getSignerKey`);
+  }
+  
+  // Encoded quote binding reportData (32 bytes) to the enclave
+  async getQuote(reportData) {
+    throw new Error(`Attestation backend ${this.name} does not implement getQuote`);
+  }
+  
+  // Enclave identity of the configured build; the contract only accepts
+  // builds its owner approved with setEnclaveApproval
+  measurement() {
+    return {
+      mrEnclave: this.options.mrEnclave,
+      mrSigner: this.options.mrSigner,
+      productId: this.options.productId,
+      securityVersion: this.options.securityVersion
+    };
+  }
+  
+  createQuote(reportData) {
+    return encodeQuote({ reportData, ...this.measurement() });
+  }
+}
+
+module.exports = { AttestationBackend, QUOTE_TYPES, QUOTE_VERSION, encodeQuote, decodeQuote };
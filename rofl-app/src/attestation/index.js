@@ -0,0 +1,309 @@
+const { ethers } = require('ethers');
+const { Logger } = require('../utils/logger');
+const { AttestationBackend, encodeQuote, decodeQuote } = require('./base');
+const { MockBackend } = require('./mock');
+const { AppdBackend } = require('./appd');
+
+const ATTESTATION_BACKENDS = {
+  mock: MockBackend,
+  appd: AppdBackend
+};
+
+// EIP-712 domain and type of the signed price report; must match PriceOracle.sol
+const DOMAIN_NAME = 'PriceOracle';
+const DOMAIN_VERSION = '1';
+
+const PRICE_REPORT_TYPES = {
+  PriceReport: [
+    { name: 'feed', type: 'string' },
+    { name: 'price', type: 'uint256' },
+    { name: 'timestamp', type: 'uint256' },
+    { name: 'source', type: 'string' },
+    { name: 'appId', type: 'string' },
+    { name: 'sequence', type: 'uint256' },
+    { name: 'twapWindows', type: 'uint32[]' },
+    { name: 'twapPrices', type: 'uint256[]' },
+    { name: 'issuedAt', type: 'uint256' }
+  ]
+};
+
+// Attestation envelope and the price report inside it
+const ENVELOPE_TYPES = ['string', 'uint256', 'bytes', 'bytes', 'bytes'];
+const REPORT_TYPES = ['uint256', 'uint256', 'string', 'string', 'uint256', 'uint32[]', 'uint256[]'];
+
+class ROFLAttestation {
+  constructor(appId, backend) {
+    this.appId = appId;
+    this.backend = backend;
+    this.signer = null;
+    this.logger = new Logger('ROFLAttestation');
+    
+    // Sequence number of the last report. The contract accepts only strictly
+    // increasing sequences per app, so the oracle restores it on restart.
+    this.sequence = 0;
+  }
+  
+  // Moves the sequence forward to at least the given value, never back
+  advanceSequence(sequence) {
+    this.sequence = Math.max(this.sequence, Number(sequence));
+  }
+  
+  async init() {
+    try {
+      await this.backend.init();
+      
+      if (this.backend.appId && this.backend.appId !== this.appId) {
+        throw new Error(`Running as ROFL app ${this.backend.appId}, but ROFL_APP_ID is ${this.appId}`);
+      }
+      
+      // Reports are signed with this key; its address must be registered for
+      // the app on each contract with setSignerAuthorization
+      this.signer = new ethers.Wallet(await this.backend.getSignerKey());
+      this.logger.info(`Signing price reports as ${this.signer.address} (${this.backend.name} backend)`);
+    
+    } catch (error) {
+      this.logger.error('Failed to initialize attestation backend:', error);
+      throw error;
+    }
+  }
+  
+  get signerAddress() {
+    return this.signer ? this.signer.address : null;
+  }
+  
+  // domain: { chainId, verifyingContract } of the contract the report is for.
+  // priceData.twaps is an optional list of { window, price } published with
+  // the spot price.
+  async generateAttestation(priceData, domain) {
+    try {
+      this.logger.debug('Generating ROFL attestation for price data...');
+      
+      // Signed along with the report, so the contract's freshness check on the
+      // envelope timestamp can't be bypassed by rewriting it
+      const issuedAt = Math.floor(Date.now() / 1000);
+      const report = {
+        feed: priceData.feed,
+        price: priceData.price,
+        timestamp: priceData.timestamp,
+        source: priceData.source,
+        appId: this.appId,
+        sequence: ++this.sequence,
+        twapWindows: (priceData.twaps || []).map(twap => twap.window),
+        twapPrices: (priceData.twaps || []).map(twap => twap.price),
+        issuedAt
+      };
+      
+      const attestationData = {
+        appId: this.appId,
+        timestamp: issuedAt,
+        report,
+        teeQuote: await this.generateTEEQuote(),
+        signature: await this.signPriceReport(report, domain)
+      };
+      
+      // Encode attestation as bytes
+      const encoded = ROFLAttestation.encodeAttestation(attestationData);
+      
+      this.logger.debug('Attestation generated successfully');
+      return encoded;
+    
+    } catch (error) {
+      this.logger.error('Failed to generate attestation:', error);
+      throw error;
+    }
+  }
+  
+  async generateTEEQuote() {
+    // The quote's report data binds the signing key to the enclave
+    return this.backend.getQuote(ethers.keccak256(this.signer.address));
+  }
+  
+  async signPriceReport(report, domain) {
+    return this.signer.signTypedData(
+      ROFLAttestation.domainFor(domain),
+      PRICE_REPORT_TYPES,
+      report
+    );
+  }
+  
+  static encodeAttestation(attestationData) {
+    // Encode the report separately to match contract expectation
+    const { report } = attestationData;
+    const reportBytes = ethers.AbiCoder.defaultAbiCoder().encode(
+      REPORT_TYPES,
+      [report.price, report.timestamp, report.source, report.feed, report.sequence, report.twapWindows, report.twapPrices]
+    );
+    
+    // Encode the complete attestation structure
+    return ethers.AbiCoder.defaultAbiCoder().encode(
+      ENVELOPE_TYPES,
+      [
+        attestationData.appId,
+        attestationData.timestamp,
+        reportBytes,
+        attestationData.teeQuote,
+        attestationData.signature
+      ]
+    );
+  }
+  
+  static domainFor({ chainId, verifyingContract }) {
+    return {
+      name: DOMAIN_NAME,
+      version: DOMAIN_VERSION,
+      chainId,
+      verifyingContract
+    };
+  }
+  
+  static decodeAttestation(attestationBytes) {
+    try {
+      const decoded = ethers.AbiCoder.defaultAbiCoder().decode(ENVELOPE_TYPES, attestationBytes);
+      
+      // Decode the report separately
+      const reportDecoded = ethers.AbiCoder.defaultAbiCoder().decode(REPORT_TYPES, decoded[2]);
+      
+      return {
+        appId: decoded[0],
+        timestamp: decoded[1],
+        report: {
+          feed: reportDecoded[3],
+          price: reportDecoded[0],
+          timestamp: reportDecoded[1],
+          source: reportDecoded[2],
+          appId: decoded[0],
+          sequence: reportDecoded[4],
+          twapWindows: reportDecoded[5].map(Number),
+          twapPrices: [...reportDecoded[6]],
+          issuedAt: decoded[1]
+        },
+        teeQuote: decoded[3],
+        quote: decodeQuote(decoded[3]),
+        signature: decoded[4]
+      };
+    } catch (error) {
+      throw new Error(`Failed to decode attestation: ${error.message}`);
+    }
+  }
+  
+  // Attestation in the decoded form the contract's updatePrices takes
+  static toReport(attestationBytes) {
+    const { appId, timestamp, report, teeQuote, signature } = ROFLAttestation.decodeAttestation(attestationBytes);
+    
+    return {
+      appId,
+      issuedAt: timestamp,
+      price: report.price,
+      timestamp: report.timestamp,
+      source: report.source,
+      feed: report.feed,
+      sequence: report.sequence,
+      twapWindows: report.twapWindows,
+      twapPrices: report.twapPrices,
+      teeQuote,
+      signature
+    };
+  }
+  
+  // Inverse of toReport, e.g. for a report taken from an updatePrices call
+  static fromReport(report) {
+    return ROFLAttestation.encodeAttestation({
+      appId: report.appId,
+      timestamp: report.issuedAt,
+      report: {
+        feed: report.feed,
+        price: report.price,
+        timestamp: report.timestamp,
+        source: report.source,
+        sequence: report.sequence,
+        twapWindows: [...report.twapWindows],
+        twapPrices: [...report.twapPrices]
+      },
+      teeQuote: report.teeQuote,
+      signature: report.signature
+    });
+  }
+  
+  // Off-chain counterpart of the contract's signature checks. options.signer
+  // is the expected signer, options.maxAge the allowed attestation age in
+  // seconds (default 300, null to skip).
+  static async verifyAttestation(attestationBytes, expectedAppId, domain, options = {}) {
+    const { signer: expectedSigner, maxAge = 300 } = options;
+    
+    try {
+      const attestation = ROFLAttestation.decodeAttestation(attestationBytes);
+      
+      // Verify app ID matches
+      if (attestation.appId !== expectedAppId) {
+        throw new Error('App ID mismatch');
+      }
+      
+      // Verify timestamp is recent (within 5 minutes by default)
+      const now = Math.floor(Date.now() / 1000);
+      if (maxAge !== null && Math.abs(now - Number(attestation.timestamp)) > maxAge) {
+        throw new Error('Attestation timestamp too old');
+      }
+      
+      // Recover the key that signed the report for this chain and contract
+      const signer = ethers.verifyTypedData(
+        ROFLAttestation.domainFor(domain),
+        PRICE_REPORT_TYPES,
+        attestation.report,
+        attestation.signature
+      );
+      if (expectedSigner && signer !== ethers.getAddress(expectedSigner)) {
+        throw new Error(`Report signed by unexpected key ${signer}`);
+      }
+      
+      // The quote must vouch for the signing key
+      if (attestation.quote.reportData !== ethers.keccak256(signer)) {
+        throw new Error('TEE quote does not match the report signer');
+      }
+      
+      return {
+        valid: true,
+        appId: attestation.appId,
+        signer,
+        report: attestation.report,
+        quote: attestation.quote
+      };
+    
+    } catch (error) {
+      return {
+        valid: false,
+        error: error.message
+      };
+    }
+  }
+}
+
+// Build the configured attestation backend from the oracle configuration
+function createAttestationBackend(config) {
+  const { backend: name, ...settings } = config.attestation;
+  const Backend = ATTESTATION_BACKENDS[name];
+  if (!Backend) {
+    throw new Error(`Unknown attestation backend: ${name}`);
+  }
+  
+  // Unset settings keep the backend's own defaults
+  const options = Object.fromEntries(Object.entries(settings).filter(([, value]) => value !== null && value !== undefined));
+  if (name === 'mock') {
+    options.signerKey = config.rofl.signerKey || config.rofl.privateKey;
+  }
+  
+  return new Backend(options);
+}
+
+module.exports = {
+  ROFLAttestation,
+  AttestationBackend,
+  MockBackend,
+  AppdBackend,
+  ATTESTATION_BACKENDS,
+  createAttestationBackend,
+  encodeQuote,
+  decodeQuote,
+  PRICE_REPORT_TYPES,
+  DOMAIN_NAME,
+  DOMAIN_VERSION
+};
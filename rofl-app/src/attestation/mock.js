@@ -0,0 +1,30 @@
+const { AttestationBackend } = require('./base');
+
+// Development backend: signs with a configured key and produces a quote with
+// the configured (by default placeholder) measurements. Nothing it produces
+// is backed by a TEE.
+class MockBackend extends AttestationBackend {
+  constructor(options = {}) {
+    super('mock', {
+      mrEnclave: '0x' + '1'.repeat(64), // Mock measurement
+      mrSigner: '0x' + '2'.repeat(64),  // Mock signer
+      productId: 1,
+      securityVersion: 1,
+      ...options
+    });
+    
+    if (!options.signerKey) {
+      throw new Error('Mock attestation backend requires a signer key');
+    }
+  }
+  
+  async getSignerKey() {
+    return this.options.signerKey;
+  }
+  
+  async getQuote(reportData) {
+    return this.createQuote(reportData);
+  }
+}
+
+module.exports = { MockBackend };
@@ -0,0 +1,92 @@
+const { ethers } = require('ethers');
+const { deviationPercentage } = require('./aggregator');
+
+// Keeps a single bad tick, e.g. an API glitch returning 10x the price, from
+// being published. Checked before the update policy:
+//   1. bounds - prices outside [minPrice, maxPrice] are never published
+//   2. jump   - a move of more than maxJumpPercentage from the on-chain price
+//      is held until at least confirmingSources sources quote it (more than
+//      the quorum every aggregate already has), or until
+//      it persists for `confirmations` consecutive samples, each within
+//      `tolerance` percent of the first held one. A confirmed level stays
+//      accepted until the on-chain price catches up with it.
+// Operator-forced updates skip the jump rule but never the bounds.
+class CircuitBreaker {
+  constructor(feed, tolerance) {
+    this.feedId = feed.id;
+    this.decimals = feed.decimals;
+    this.options = feed.circuitBreaker;
+    this.tolerance = tolerance;
+    this.held = null;
+    this.confirmed = null;
+  }
+  
+  isHolding() {
+    return this.held !== null;
+  }
+  
+  check(state, newPrice, sourceCount, force = false) {
+    const price = Number(ethers.formatUnits(newPrice, this.decimals));
+    const { enabled, minPrice, maxPrice, maxJumpPercentage, confirmations, confirmingSources } = this.options;
+    
+    if (!enabled) {
+      return { tripped: false };
+    }
+    
+    if ((minPrice !== null && price < minPrice) || (maxPrice !== null && price > maxPrice)) {
+      return { tripped: true, rule: 'bounds', price, minPrice, maxPrice };
+    }
+    
+    if (!state.lastPrice || force) {
+      this.held = null;
+      this.confirmed = null;
+      return { tripped: false };
+    }
+    
+    const lastPrice = Number(ethers.formatUnits(state.lastPrice, this.decimals));
+    const jump = Number(deviationPercentage(price, lastPrice).toFixed(4));
+    if (jump <= maxJumpPercentage) {
+      this.held = null;
+      this.confirmed = null;
+      return { tripped: false };
+    }
+    
+    // The update for a confirmed jump may still be pending
+    if (this.confirmed !== null && deviationPercentage(price, this.confirmed) <= maxJumpPercentage) {
+      return { tripped: false };
+    }
+    
+    if (sourceCount >= confirmingSources) {
+      this.held = null;
+      this.confirmed = price;
+      return { tripped: false, confirmedBy: 'sources', jump, sources: sourceCount };
+    }
+    
+    if (this.held && deviationPercentage(price, this.held.price) <= this.tolerance) {
+      this.held.samples += 1;
+    } else {
+      this.held = { price, samples: 1 };
+    }
+    
+    if (this.held.samples >= confirmations) {
+      this.held = null;
+      this.confirmed = price;
+      return { tripped: false, confirmedBy: 'samples', jump, samples: confirmations };
+    }
+    
+    return {
+      tripped: true,
+      rule: 'jump',
+      price,
+      lastPrice,
+      jump,
+      maxJumpPercentage,
+      samples: this.held.samples,
+      confirmations,
+      sources: sourceCount,
+      confirmingSources
+    };
+  }
+}
+
+module.exports = { CircuitBreaker };
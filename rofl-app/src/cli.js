@@ -0,0 +1,620 @@
+#!/usr/bin/env node
+const { ethers } = require('ethers');
+const { PriceOracle } = require('./oracle');
+const { ROFLAttestation } = require('./attestation');
+const { configureLogging } = require('./utils/logger');
+const { loadConfig, secretValues } = require('./config/loader');
+const {
+  DEFAULT_GAS_PER_UPDATE,
+  DEFAULT_GAS_PRICE_GWEI,
+  loadPriceHistory,
+  parameterSets,
+  simulateParameterSets
+} = require('./simulation');
+const { MAX_PRICE_AGE } = require('./policy');
+
+const USAGE = `Usage: oracle-cli <command> [options]
+
+Commands:
+  status                          On-chain price, age, thresholds and authorizations per feed
+  fetch --dry-run                 Query the configured sources and print the aggregate; never submits
+  submit-once [--force]           Run one update tick, wait for its transactions and exit
+  decode-attestation <hex|txhash> Decode an attestation, or one from an updatePrice(s) transaction
+  verify-attestation <hex|txhash> Check an attestation's signature, quote and on-chain registrations
+  simulate <file>                 Replay a price history (CSV or JSON) through the update policy
+
+Options:
+  --feed <id>          Only this feed
+  --json               Machine-readable output
+  --force              submit-once: push even if the update policy would skip
+  --contract <address> verify-attestation: contract the report was signed for
+  --signer <address>   verify-attestation: expected report signer
+  --max-age <seconds>  verify-attestation: also reject older attestations
+  --threshold <list>   simulate: threshold percentages to compare, e.g. 0.25,0.5,1
+  --interval <list>    simulate: update intervals in ms
+  --heartbeat <list>   simulate: heartbeats in seconds
+  --gas-price <gwei>   simulate: gas price for the cost estimate (default ${DEFAULT_GAS_PRICE_GWEI})
+  --gas-per-update <n> simulate: gas used per update (default ${DEFAULT_GAS_PER_UPDATE})
+  --verbose            Show oracle logs below warnings
+  --config <file>, --profile <name>
+                       Same as for the oracle daemon`;
+
+// Contract prices use 8 decimals unless the feed says otherwise
+const DEFAULT_DECIMALS = 8;
+
+const VALUE_FLAGS = [
+  'feed', 'contract', 'signer', 'max-age', 'config', 'profile',
+  'threshold', 'interval', 'heartbeat', 'gas-price', 'gas-per-update'
+];
+const BOOLEAN_FLAGS = ['json', 'dry-run', 'force', 'verbose', 'help'];
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+// "0.5,1" -> [0.5, 1] for the simulate parameter lists
+function parseNumberList(flag, value, { integer = false, min = 0 } = {}) {
+  const numbers = String(value).split(',').map(item => Number(item.trim()));
+  if (numbers.some(number => !Number.isFinite(number) || number < min || (integer && !Number.isInteger(number)))) {
+    throw new UsageError(`--${flag} must be a comma-separated list of ${integer ? 'whole numbers' : 'numbers'} of at least ${min}`);
+  }
+  return numbers;
+}
+
+// Flags in "--flag value" or "--flag=value" form; --config and --profile are
+// also read by the config loader
+function parseCliArgs(argv) {
+  const args = { positional: [] };
+  for (let index = 0; index < argv.length; index++) {
+    const match = /^--([a-z-]+)(?:=(.*))?$/.exec(argv[index]);
+    if (!match) {
+      args.positional.push(argv[index]);
+      continue;
+    }
+    
+    const [, flag, inline] = match;
+    const key = flag.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+    if (BOOLEAN_FLAGS.includes(flag)) {
+      args[key] = true;
+    } else if (VALUE_FLAGS.includes(flag)) {
+      args[key] = inline ?? argv[++index];
+      if (args[key] === undefined) {
+        throw new UsageError(`--${flag} needs a value`);
+      }
+    } else {
+      throw new UsageError(`Unknown option --${flag}`);
+    }
+  }
+  
+  args.command = args.positional.shift();
+  if (args.maxAge !== undefined) {
+    args.maxAge = Number(args.maxAge);
+    if (!Number.isInteger(args.maxAge) || args.maxAge < 0) {
+      throw new UsageError('--max-age must be a whole number of seconds');
+    }
+  }
+  if (args.threshold !== undefined) {
+    args.threshold = parseNumberList('threshold', args.threshold, { min: 0.001 });
+  }
+  if (args.interval !== undefined) {
+    args.interval = parseNumberList('interval', args.interval, { integer: true, min: 1000 });
+  }
+  if (args.heartbeat !== undefined) {
+    args.heartbeat = parseNumberList('heartbeat', args.heartbeat, { integer: true, min: 1 });
+  }
+  for (const [flag, key] of [['gas-price', 'gasPrice'], ['gas-per-update', 'gasPerUpdate']]) {
+    if (args[key] !== undefined) {
+      args[key] = Number(args[key]);
+      if (!Number.isFinite(args[key]) || args[key] <= 0) {
+        throw new UsageError(`--${flag} must be a positive number`);
+      }
+    }
+  }
+  return args;
+}
+
+function display(value) {
+  if (value === null || value === undefined) {
+    return '-';
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'yes' : 'no';
+  }
+  return String(value);
+}
+
+// Column-aligned table with a header row
+function formatTable(rows, columns) {
+  const cells = rows.map(row => columns.map(column => display(row[column])));
+  const widths = columns.map((column, index) => Math.max(column.length, ...cells.map(row => row[index].length)));
+  const line = values => values.map((value, index) => value.padEnd(widths[index])).join('  ').trimEnd();
+  
+  return [
+    line(columns),
+    line(widths.map(width => '-'.repeat(width))),
+    ...cells.map(line)
+  ].join('\n');
+}
+
+// "label  value" lines for a flat object
+function formatFields(fields) {
+  const width = Math.max(...Object.keys(fields).map(label => label.length));
+  return Object.entries(fields)
+    .map(([label, value]) => `${label.padEnd(width)}  ${display(value)}`)
+    .join('\n');
+}
+
+function toJson(value) {
+  return JSON.stringify(value, (key, item) => (typeof item === 'bigint' ? item.toString() : item), 2);
+}
+
+// "300s 1995.5, 1800s 1980.25" for a list of { window, price }
+function formatTwaps(twaps) {
+  return twaps.length > 0 ? twaps.map(twap => `${twap.window}s ${twap.price}`).join(', ') : null;
+}
+
+function isoTime(seconds) {
+  return seconds ? new Date(Number(seconds) * 1000).toISOString() : null;
+}
+
+class OracleCli {
+  constructor(config, args) {
+    this.config = config;
+    this.args = args;
+    this.oracle = new PriceOracle(config);
+    this.interface = new ethers.Interface(this.oracle.contractABI);
+  }
+  
+  async run() {
+    const commands = {
+      'status': () => this.status(),
+      'fetch': () => this.fetch(),
+      'submit-once': () => this.submitOnce(),
+      'decode-attestation': () => this.decodeAttestation(),
+      'verify-attestation': () => this.verifyAttestation(),
+      'simulate': () => this.simulate()
+    };
+    
+    const command = commands[this.args.command];
+    if (!command) {
+      throw new UsageError(this.args.command ? `Unknown command ${this.args.command}` : 'No command given');
+    }
+    return command();
+  }
+  
+  // Feed states selected with --feed, or all of them
+  selectedFeeds() {
+    const states = [...this.oracle.feeds.values()];
+    if (!this.args.feed) {
+      return states;
+    }
+    
+    const state = this.oracle.feeds.get(this.args.feed);
+    if (!state) {
+      throw new UsageError(`Unknown feed ${this.args.feed} (configured: ${[...this.oracle.feeds.keys()].join(', ')})`);
+    }
+    return [state];
+  }
+  
+  print(result, render) {
+    console.log(this.args.json ? toJson(result) : render(result));
+  }
+  
+  async status() {
+    this.oracle.checkFeedContracts();
+    this.oracle.connectContracts();
+    
+    // The report signer is only known once the attestation backend is up
+    let signer = null;
+    try {
+      await this.oracle.attestation.init();
+      signer = this.oracle.attestation.signerAddress;
+    } catch (error) {
+      // Already logged by init(); the rest of the status is still useful
+    }
+    
+    const { appId } = this.config.rofl;
+    const wallet = this.oracle.wallet.address;
+    const measurement = this.oracle.attestation.backend.measurement();
+    const now = Math.floor(Date.now() / 1000);
+    
+    const feeds = [];
+    for (const { feed, contract } of this.selectedFeeds()) {
+      const id = await contract.measurementId(measurement.mrEnclave, measurement.mrSigner, measurement.productId);
+      const [data, thresholds, owner, appAuthorized, oracleAuthorized, signerAuthorized, enclave, lastSequence] = await Promise.all([
+        contract.getFeedPriceData(feed.id),
+        contract.getThresholds(),
+        contract.owner(),
+        contract.authorizedApps(appId),
+        contract.authorizedOracles(wallet),
+        signer ? contract.authorizedSigners(appId, signer) : null,
+        contract.enclaveApprovals(appId, id),
+        contract.lastSequence(appId, feed.id)
+      ]);
+      
+      // Windows the contract has no TWAP for yet revert with TwapNotAvailable
+      const twaps = [];
+      for (const window of feed.twap.windows) {
+        try {
+          const [price, timestamp] = await contract.getFeedTwap(feed.id, window);
+          twaps.push({ window, price: ethers.formatUnits(price, feed.decimals), updatedAt: isoTime(timestamp) });
+        } catch (error) {
+          continue;
+        }
+      }
+      
+      const hasPrice = data.timestamp > 0n;
+      feeds.push({
+        feed: feed.id,
+        contract: feed.contractAddress,
+        owner,
+        price: hasPrice ? ethers.formatUnits(data.price, feed.decimals) : null,
+        updatedAt: hasPrice ? isoTime(data.timestamp) : null,
+        ageSeconds: hasPrice ? now - Number(data.timestamp) : null,
+        submittedBy: hasPrice ? data.oracle : null,
+        twaps,
+        thresholds: {
+          enabled: thresholds.enabled,
+          lower: ethers.formatUnits(thresholds.lowerBound, feed.decimals),
+          upper: ethers.formatUnits(thresholds.upperBound, feed.decimals)
+        },
+        authorizations: {
+          app: appAuthorized,
+          oracle: oracleAuthorized,
+          signer: signerAuthorized,
+          enclave: enclave.approved && measurement.securityVersion >= Number(enclave.minSecurityVersion)
+        },
+        lastSequence: Number(lastSequence)
+      });
+    }
+    
+    const result = { appId, chainId: this.config.blockchain.chainId, wallet, signer, feeds };
+    this.print(result, () => [
+      formatFields({ 'App ID': appId, 'Chain ID': result.chainId, 'Oracle wallet': wallet, 'Report signer': signer ?? 'unavailable' }),
+      ...feeds.map(status => `\n${status.feed}\n` + formatFields({
+        'Contract': status.contract,
+        'Owner': status.owner,
+        'Price': status.price,
+        'Updated at': status.updatedAt,
+        'Age (s)': status.ageSeconds,
+        'Submitted by': status.submittedBy,
+        'TWAPs': formatTwaps(status.twaps),
+        'Thresholds': status.thresholds.enabled ? `${status.thresholds.lower} - ${status.thresholds.upper}` : 'disabled',
+        'App authorized': status.authorizations.app,
+        'Oracle authorized': status.authorizations.oracle,
+        'Signer authorized': status.authorizations.signer,
+        'Enclave approved': status.authorizations.enclave,
+        'Last sequence': status.lastSequence
+      }))
+    ].join('\n'));
+  }
+  
+  // Never submits; --dry-run is accepted to make that explicit
+  async fetch() {
+    const results = [];
+    for (const { feed } of this.selectedFeeds()) {
+      try {
+        const { price, timestamp, aggregate } = await this.oracle.fetchAggregatedPrice(feed);
+        results.push({
+          feed: feed.id,
+          price: ethers.formatUnits(price, feed.decimals),
+          timestamp,
+          method: aggregate.method,
+          accepted: aggregate.accepted,
+          rejected: aggregate.rejected
+        });
+      } catch (error) {
+        results.push({ feed: feed.id, error: error.message, rejected: error.rejected || [] });
+      }
+    }
+    
+    this.print(results, () => results.map(result => {
+      const quotes = [
+        ...(result.accepted || []).map(quote => ({ ...quote, status: 'accepted' })),
+        ...result.rejected.map(quote => ({ ...quote, status: `rejected (${quote.reason})` }))
+      ].map(quote => ({ source: quote.source, price: quote.price, quoted: isoTime(quote.timestamp), status: quote.status }));
+      
+      const summary = result.error
+        ? `${result.feed}: ${result.error}`
+        : `${result.feed}: ${result.price} (${result.method} of ${result.accepted.length} sources at ${isoTime(result.timestamp)})`;
+      return quotes.length > 0 ? `${summary}\n${formatTable(quotes, ['source', 'price', 'quoted', 'status'])}` : summary;
+    }).join('\n\n'));
+    
+    return results.some(result => result.error) ? 1 : 0;
+  }
+  
+  async submitOnce() {
+    const states = this.selectedFeeds();
+    await this.oracle.runOnce({ force: Boolean(this.args.force), feedId: this.args.feed });
+    
+    const results = [];
+    for (const state of states) {
+      const result = {
+        feed: state.feed.id,
+        decision: state.lastDecision ? state.lastDecision.reason : null,
+        status: null,
+        txHash: null,
+        error: state.lastError ? state.lastError.message : null
+      };
+      
+      if (state.pending) {
+        const outcome = await state.pending.submission.outcome;
+        result.status = outcome.status;
+        result.txHash = outcome.hash;
+        if (outcome.error || outcome.reason) {
+          result.error = String(outcome.error || outcome.reason);
+        }
+      } else if (!result.error) {
+        result.status = 'skipped';
+      }
+      results.push(result);
+    }
+    
+    await this.oracle.stop();
+    
+    this.print(results, () => formatTable(results, ['feed', 'decision', 'status', 'txHash', 'error']));
+    return results.some(result => result.error || ['reverted', 'dropped'].includes(result.status)) ? 1 : 0;
+  }
+  
+  // Attestation bytes from hex, or from the updatePrice or updatePrices call
+  // in a transaction; --feed picks the report of a batch
+  async resolveAttestation() {
+    const [input] = this.args.positional;
+    if (!input || !ethers.isHexString(input)) {
+      throw new UsageError('Expected attestation hex or a transaction hash');
+    }
+    if (!ethers.isHexString(input, 32)) {
+      return { attestation: input };
+    }
+    
+    const tx = await this.oracle.provider.getTransaction(input);
+    if (!tx) {
+      throw new Error(`Transaction ${input} not found`);
+    }
+    
+    const call = this.interface.parseTransaction({ data: tx.data, value: tx.value });
+    if (call?.name === 'updatePrice') {
+      return { attestation: call.args.attestation, txHash: input, contract: tx.to };
+    }
+    if (call?.name !== 'updatePrices') {
+      throw new Error(`Transaction ${input} is not an updatePrice or updatePrices call`);
+    }
+    
+    const { reports } = call.args;
+    const report = this.args.feed
+      ? reports.find(candidate => candidate.feed === this.args.feed)
+      : reports.length === 1 ? reports[0] : null;
+    if (!report) {
+      const feeds = reports.map(candidate => candidate.feed).join(', ');
+      throw new UsageError(this.args.feed
+        ? `Transaction ${input} has no ${this.args.feed} report (feeds: ${feeds})`
+        : `Transaction ${input} batches ${feeds}; pick one with --feed`);
+    }
+    return { attestation: ROFLAttestation.fromReport(report), txHash: input, contract: tx.to };
+  }
+  
+  describeAttestation(decoded) {
+    const state = this.oracle.feeds.get(decoded.report.feed);
+    const decimals = state ? state.feed.decimals : DEFAULT_DECIMALS;
+    
+    return {
+      appId: decoded.appId,
+      issuedAt: isoTime(decoded.timestamp),
+      report: {
+        feed: decoded.report.feed,
+        price: ethers.formatUnits(decoded.report.price, decimals),
+        rawPrice: decoded.report.price,
+        timestamp: isoTime(decoded.report.timestamp),
+        sequence: decoded.report.sequence,
+        source: decoded.report.source,
+        twaps: decoded.report.twapWindows.map((window, index) => ({
+          window,
+          price: ethers.formatUnits(decoded.report.twapPrices[index], decimals)
+        }))
+      },
+      quote: decoded.quote,
+      signature: decoded.signature
+    };
+  }
+  
+  async decodeAttestation() {
+    const { attestation, txHash, contract } = await this.resolveAttestation();
+    const result = {
+      txHash: txHash || null,
+      contract: contract || null,
+      ...this.describeAttestation(ROFLAttestation.decodeAttestation(attestation))
+    };
+    
+    this.print(result, () => formatFields({
+      'Transaction': result.txHash,
+      'Contract': result.contract,
+      'App ID': result.appId,
+      'Issued at': result.issuedAt,
+      'Feed': result.report.feed,
+      'Price': result.report.price,
+      'Price timestamp': result.report.timestamp,
+      'Sequence': result.report.sequence,
+      'Source': result.report.source,
+      'TWAPs': formatTwaps(result.report.twaps),
+      'Quote version': result.quote.version,
+      'mrEnclave': result.quote.mrEnclave,
+      'mrSigner': result.quote.mrSigner,
+      'Product ID': result.quote.productId,
+      'Security version': result.quote.securityVersion,
+      'Report data': result.quote.reportData,
+      'Signature': result.signature
+    }));
+  }
+  
+  async verifyAttestation() {
+    const { attestation, contract: txContract } = await this.resolveAttestation();
+    const decoded = ROFLAttestation.decodeAttestation(attestation);
+    const state = this.oracle.feeds.get(decoded.report.feed);
+    
+    const verifyingContract = this.args.contract || txContract || state?.feed.contractAddress;
+    if (!verifyingContract) {
+      throw new UsageError(`No contract configured for feed ${decoded.report.feed}; pass --contract`);
+    }
+    
+    const { appId } = this.config.rofl;
+    const { chainId } = this.config.blockchain;
+    const verification = await ROFLAttestation.verifyAttestation(
+      attestation,
+      appId,
+      { chainId, verifyingContract },
+      { signer: this.args.signer, maxAge: this.args.maxAge ?? null }
+    );
+    
+    const checks = { signature: verification.valid };
+    if (verification.valid) {
+      // The contract also needs the signer and the enclave build registered
+      const contract = new ethers.Contract(verifyingContract, this.oracle.contractABI, this.oracle.provider);
+      const { quote } = verification;
+      const id = await contract.measurementId(quote.mrEnclave, quote.mrSigner, quote.productId);
+      const [signerAuthorized, enclave] = await Promise.all([
+        contract.authorizedSigners(appId, verification.signer),
+        contract.enclaveApprovals(appId, id)
+      ]);
+      
+      checks.signerAuthorized = signerAuthorized;
+      checks.enclaveApproved = enclave.approved;
+      checks.securityVersion = quote.securityVersion >= Number(enclave.minSecurityVersion);
+    }
+    
+    const result = {
+      valid: Object.values(checks).every(Boolean),
+      appId,
+      chainId,
+      contract: verifyingContract,
+      signer: verification.signer || null,
+      error: verification.error || null,
+      checks
+    };
+    
+    this.print(result, () => formatFields({
+      'Valid': result.valid,
+      'App ID': appId,
+      'Chain ID': chainId,
+      'Contract': verifyingContract,
+      'Signer': result.signer,
+      'Signature': checks.signature ? 'ok' : result.error,
+      'Signer authorized': checks.signerAuthorized,
+      'Enclave approved': checks.enclaveApproved,
+      'Security version ok': checks.securityVersion
+    }));
+    return result.valid ? 0 : 1;
+  }
+  
+  // Replays a price history through the circuit breaker and update policy for
+  // every combination of --threshold, --interval and --heartbeat; everything
+  // else about the feed applies as configured
+  async simulate() {
+    const [file] = this.args.positional;
+    if (!file) {
+      throw new UsageError('Expected a price history file');
+    }
+    const states = this.selectedFeeds();
+    if (states.length > 1) {
+      throw new UsageError(`Pick the feed to simulate with --feed (configured: ${states.map(state => state.feed.id).join(', ')})`);
+    }
+    
+    const { feed } = states[0];
+    const samples = loadPriceHistory(file);
+    const sets = parameterSets({
+      threshold: this.args.threshold || [feed.thresholdPercentage],
+      interval: this.args.interval || [this.config.oracle.updateInterval],
+      heartbeat: this.args.heartbeat || [feed.heartbeat]
+    });
+    const gasPriceGwei = this.args.gasPrice ?? DEFAULT_GAS_PRICE_GWEI;
+    const gasPerUpdate = this.args.gasPerUpdate ?? DEFAULT_GAS_PER_UPDATE;
+    const simulations = simulateParameterSets(feed, samples, sets, {
+      tolerance: this.config.oracle.maxDeviationPercentage,
+      gasPriceGwei,
+      gasPerUpdate
+    });
+    
+    const from = samples[0].timestamp;
+    const to = samples[samples.length - 1].timestamp;
+    const result = {
+      feed: feed.id,
+      samples: samples.length,
+      from: isoTime(from),
+      to: isoTime(to),
+      gasPriceGwei,
+      gasPerUpdate,
+      simulations
+    };
+    
+    this.print(result, () => {
+      const rows = simulations.map(simulation => ({
+        threshold: `${simulation.threshold}%`,
+        interval: `${simulation.interval / 1000}s`,
+        heartbeat: `${simulation.heartbeat}s`,
+        updates: simulation.updates,
+        'per day': simulation.updatesPerDay?.toFixed(1),
+        reasons: Object.entries(simulation.reasons).map(([reason, count]) => `${reason} ${count}`).join(', '),
+        held: simulation.held,
+        'max dev': `${simulation.maxDeviation.toFixed(3)}%`,
+        'mean dev': `${simulation.meanDeviation.toFixed(3)}%`,
+        'worst stale': `${Math.round(simulation.worstStaleness)}s${simulation.exceedsMaxPriceAge ? '*' : ''}`,
+        'gas cost': simulation.gasSpend.toFixed(6),
+        'cost per day': simulation.gasSpendPerDay?.toFixed(6)
+      }));
+      
+      const days = ((to - from) / 86400).toFixed(1);
+      const lines = [
+        `${feed.id}: ${samples.length} prices from ${result.from} to ${result.to} (${days} days), ${gasPerUpdate} gas per update at ${gasPriceGwei} gwei`,
+        formatTable(rows, Object.keys(rows[0]))
+      ];
+      if (simulations.some(simulation => simulation.exceedsMaxPriceAge)) {
+        lines.push(`* longer than the contract's MAX_PRICE_AGE of ${MAX_PRICE_AGE}s, so the on-chain price went stale`);
+      }
+      return lines.join('\n');
+    });
+    return 0;
+  }
+}
+
+async function main() {
+  let args;
+  let config;
+  try {
+    args = parseCliArgs(process.argv.slice(2));
+    if (args.help || !args.command) {
+      console.log(USAGE);
+      return args.help ? 0 : 2;
+    }
+    config = loadConfig();
+  } catch (error) {
+    console.error(error instanceof UsageError ? `${error.message}\n\n${USAGE}` : error.message);
+    return error instanceof UsageError ? 2 : 1;
+  }
+  
+  // Keep stdout for command output; oracle logs below warnings only with --verbose
+  configureLogging({
+    ...config.logging,
+    level: args.verbose ? config.logging.level : 'warn',
+    secrets: secretValues(config)
+  });
+  
+  try {
+    const cli = new OracleCli(config, args);
+    return (await cli.run()) ?? 0;
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(`${error.message}\n\n${USAGE}`);
+      return 2;
+    }
+    console.error(`Error: ${error.shortMessage || error.message}`);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  main().then(code => process.exit(code));
+}
+
+module.exports = { OracleCli, parseCliArgs, formatTable };
@@ -0,0 +1,4 @@
+const { loadConfig } = require('./loader');
+
+// The effective configuration, loaded and validated once per process
+module.exports = loadConfig();
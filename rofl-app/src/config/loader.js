@@ -0,0 +1,275 @@
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { ethers } = require('ethers');
+const { parseFeeds } = require('../feeds');
+const { SCHEMA, PROFILES, TYPES, isSetting, forEachSetting } = require('./schema');
+
+const REDACTED = '[REDACTED]';
+
+// Mirrors PriceOracle.MAX_TWAP_WINDOWS
+const MAX_TWAP_WINDOWS = 8;
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+// --config <file>, --profile <name> and --print-config, in either
+// "--flag value" or "--flag=value" form
+function parseArgs(argv) {
+  const args = {};
+  for (let index = 0; index < argv.length; index++) {
+    const match = /^--(config|profile|print-config)(?:=(.*))?$/.exec(argv[index]);
+    if (!match) {
+      continue;
+    }
+    if (match[1] === 'print-config') {
+      args.printConfig = true;
+    } else {
+      args[match[1]] = match[2] ?? argv[++index];
+    }
+  }
+  return args;
+}
+
+function readConfigFile(filePath) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw new ConfigError([`Cannot read config file ${filePath}: ${error.message}`]);
+  }
+  
+  try {
+    const data = ['.yaml', '.yml'].includes(path.extname(filePath)) ? YAML.parse(text) : JSON.parse(text);
+    return data ?? {};
+  } catch (error) {
+    throw new ConfigError([`Cannot parse config file ${filePath}: ${error.message}`]);
+  }
+}
+
+function getPath(object, keys) {
+  return keys.reduce((node, key) => node?.[key], object);
+}
+
+function setPath(object, keys, value) {
+  const parent = keys.slice(0, -1).reduce((node, key) => (node[key] ??= {}), object);
+  parent[keys[keys.length - 1]] = value;
+}
+
+// Keys in a config file section that don't match the schema, e.g. typos
+function findUnknownKeys(data, schema = SCHEMA, prefix = []) {
+  const unknown = [];
+  for (const [key, value] of Object.entries(data || {})) {
+    const node = schema[key];
+    const keyPath = [...prefix, key];
+    if (!node) {
+      unknown.push(keyPath.join('.'));
+    } else if (!isSetting(node) && value && typeof value === 'object') {
+      unknown.push(...findUnknownKeys(value, node, keyPath));
+    }
+  }
+  return unknown;
+}
+
+function checkConstraints(setting, value) {
+  if (setting.min !== undefined && value < setting.min) {
+    throw new Error(`must be at least ${setting.min}`);
+  }
+  if (setting.max !== undefined && value > setting.max) {
+    throw new Error(`must be at most ${setting.max}`);
+  }
+  if (setting.minLength !== undefined && value.length < setting.minLength) {
+    throw new Error(`must be at least ${setting.minLength} characters long`);
+  }
+  if (setting.values) {
+    const invalid = (Array.isArray(value) ? value : [value]).filter(item => !setting.values.includes(item));
+    if (invalid.length > 0) {
+      throw new Error(`unknown value ${invalid.map(item => `"${item}"`).join(', ')} (expected one of ${setting.values.join(', ')})`);
+    }
+  }
+}
+
+function validateFeeds(feeds) {
+  const problems = [];
+  for (const feed of feeds) {
+    const { enabled, minPrice, maxPrice, maxJumpPercentage, confirmations, confirmingSources } = feed.circuitBreaker;
+    const { windows } = feed.twap;
+    const checks = [
+      [ethers.isAddress(feed.contractAddress || ''), 'contractAddress must be set (or CONTRACT_ADDRESS) to a valid address'],
+      [Number.isInteger(feed.decimals) && feed.decimals >= 0 && feed.decimals <= 18, 'decimals must be an integer from 0 to 18'],
+      [typeof feed.thresholdPercentage === 'number' && feed.thresholdPercentage > 0, 'thresholdPercentage must be a positive number'],
+      [Number.isInteger(feed.heartbeat) && feed.heartbeat > 0, 'heartbeat must be a positive integer'],
+      [Number.isInteger(feed.minSources) && feed.minSources > 0, 'minSources must be a positive integer'],
+      [typeof maxJumpPercentage === 'number' && maxJumpPercentage > 0, 'circuitBreaker.maxJumpPercentage must be a positive number'],
+      [Number.isInteger(confirmations) && confirmations > 0, 'circuitBreaker.confirmations must be a positive integer'],
+      [Number.isInteger(confirmingSources) && confirmingSources > 0, 'circuitBreaker.confirmingSources must be a positive integer'],
+      [!enabled || !Number.isInteger(confirmingSources) || confirmingSources > feed.minSources, `circuitBreaker.confirmingSources (${confirmingSources}) must exceed minSources (${feed.minSources}), or every jump counts as confirmed`],
+      [minPrice === null || maxPrice === null || minPrice <= maxPrice, 'circuitBreaker.minPrice must not exceed maxPrice'],
+      [Array.isArray(windows) && windows.every(window => Number.isInteger(window) && window > 0 && window < 2 ** 32), 'twap.windows must be positive integers (seconds)'],
+      [!Array.isArray(windows) || windows.length <= MAX_TWAP_WINDOWS, `twap.windows may list at most ${MAX_TWAP_WINDOWS} windows`]
+    ];
+    for (const [ok, message] of checks) {
+      if (!ok) {
+        problems.push(`feeds ${feed.id}: ${message}`);
+      }
+    }
+  }
+  return problems;
+}
+
+// Builds the effective configuration. Each setting comes from, in order of
+// precedence: its env var, the selected profile in the config file, the
+// config file's top level, the built-in profile, and the schema default.
+// All problems are collected and thrown together as one ConfigError.
+function loadConfig({ env = process.env, argv = process.argv.slice(2) } = {}) {
+  const args = parseArgs(argv);
+  const configFile = args.config || env.CONFIG_FILE;
+  const file = configFile ? readConfigFile(configFile) : {};
+  const { profile: fileProfile, profiles: fileProfiles = {}, ...fileBase } = file;
+  
+  const profileName = args.profile || env.CONFIG_PROFILE || fileProfile || null;
+  if (profileName && !PROFILES[profileName] && !fileProfiles[profileName]) {
+    const known = [...new Set([...Object.keys(PROFILES), ...Object.keys(fileProfiles)])];
+    throw new ConfigError([`Unknown profile "${profileName}" (expected one of ${known.join(', ')})`]);
+  }
+  
+  const layers = [
+    { name: `profile ${profileName} in ${configFile}`, data: profileName ? fileProfiles[profileName] : null },
+    { name: configFile, data: fileBase },
+    { name: `built-in profile ${profileName}`, data: profileName ? PROFILES[profileName] : null }
+  ].filter(layer => layer.data);
+  
+  const problems = [];
+  for (const layer of layers.slice(0, 2)) {
+    for (const key of findUnknownKeys(layer.data)) {
+      problems.push(`${key} (from ${layer.name}): unknown setting`);
+    }
+  }
+  
+  const config = {};
+  forEachSetting((keys, setting) => {
+    const name = keys.join('.');
+    let raw;
+    let source;
+    
+    // Empty env vars count as unset, so .env templates can list every key
+    if (env[setting.env] !== undefined && env[setting.env] !== '') {
+      raw = env[setting.env];
+      source = setting.env;
+    } else {
+      const layer = layers.find(candidate => getPath(candidate.data, keys) !== undefined);
+      if (layer) {
+        raw = getPath(layer.data, keys);
+        source = layer.name;
+      }
+    }
+    
+    if (raw === undefined || raw === null) {
+      if (setting.required) {
+        problems.push(`${name}: required (set ${setting.env} or ${name} in a config file)`);
+      }
+      setPath(config, keys, setting.default ?? null);
+      return;
+    }
+    
+    try {
+      const value = TYPES[setting.type].parse(raw);
+      checkConstraints(setting, value);
+      setPath(config, keys, value);
+    } catch (error) {
+      const shown = setting.secret ? '' : `, got ${JSON.stringify(raw)}`;
+      problems.push(`${name} (from ${source}): ${error.message}${shown}`);
+      setPath(config, keys, setting.default ?? null);
+    }
+  });
+  
+  if (config.oracle.volatility.minThreshold > config.oracle.volatility.maxThreshold) {
+    problems.push('oracle.volatility.minThreshold must not exceed maxThreshold');
+  }
+  
+  for (const name of config.sources.stream || []) {
+    if (!config.oracle.sources.includes(name)) {
+      problems.push(`sources.stream: ${name} is not one of the enabled PRICE_SOURCES`);
+    }
+  }
+  
+  try {
+    config.feeds = parseFeeds(config.feeds, {
+      decimals: 8,
+      thresholdPercentage: config.oracle.thresholdPercentage,
+      heartbeat: config.oracle.heartbeat,
+      volatility: config.oracle.volatility,
+      circuitBreaker: config.oracle.circuitBreaker,
+      twap: config.oracle.twap,
+      minSources: config.oracle.minSources,
+      contractAddress: config.blockchain.contractAddress,
+    });
+    problems.push(...validateFeeds(config.feeds));
+  } catch (error) {
+    problems.push(`feeds: ${error.message}`);
+  }
+  
+  // The appd backend reports the deployed build, which has no placeholder
+  if (config.attestation?.backend === 'appd') {
+    for (const key of ['mrEnclave', 'mrSigner']) {
+      if (!config.attestation[key]) {
+        problems.push(`attestation.${key}: required with the appd backend (set ${SCHEMA.attestation[key].env})`);
+      }
+    }
+  }
+  
+  // Every replica at priority 0 leads, so a default would put all of them in charge
+  if (config.coordination.mode === 'chain' && config.coordination.priority === null) {
+    problems.push(`coordination.priority: required with the chain mode, distinct per replica (set ${SCHEMA.coordination.priority.env})`);
+  }
+  
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+  
+  config.profile = profileName;
+  config.configFile = configFile || null;
+  return config;
+}
+
+// Values of the secret settings that are set, for log masking
+function secretValues(config) {
+  const values = [];
+  forEachSetting((keys, setting) => {
+    const value = getPath(config, keys);
+    if (setting.secret && value) {
+      values.push(value);
+    }
+  });
+  return values;
+}
+
+// The effective config as printable JSON, with secrets redacted
+function describeConfig(config) {
+  const printable = JSON.parse(JSON.stringify(config, (key, value) =>
+    typeof value === 'bigint' ? value.toString() : value
+  ));
+  
+  forEachSetting((keys, setting) => {
+    const value = getPath(config, keys);
+    if (value === null || value === undefined) {
+      return;
+    }
+    if (setting.secret) {
+      setPath(printable, keys, REDACTED);
+    } else if (TYPES[setting.type].format) {
+      setPath(printable, keys, TYPES[setting.type].format(value));
+    }
+  });
+  
+  return JSON.stringify(printable, null, 2);
+}
+
+module.exports = { loadConfig, describeConfig, secretValues, parseArgs, ConfigError };
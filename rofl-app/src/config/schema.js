@@ -0,0 +1,445 @@
+const { ethers } = require('ethers');
+const { SOURCE_ADAPTERS, STREAM_PROTOCOLS } = require('../sources');
+const { ATTESTATION_BACKENDS } = require('../attestation');
+const { LEASE_BACKENDS } = require('../coordination');
+const { WEBHOOK_FORMATS, ALERT_TYPES } = require('../notifications');
+
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+
+// Value types. parse() turns an env string or a config file value into the
+// typed value, throwing with a message that is safe to show (it never echoes
+// the input of secret settings); format() renders it back for --print-config.
+const TYPES = {
+  string: {
+    parse(value) {
+      if (typeof value !== 'string') {
+        throw new Error('expected a string');
+      }
+      return value;
+    }
+  },
+  
+  integer: {
+    parse(value) {
+      const number = typeof value === 'string' && /^-?\d+$/.test(value.trim()) ? Number(value) : value;
+      if (!Number.isInteger(number)) {
+        throw new Error('expected an integer');
+      }
+      return number;
+    }
+  },
+  
+  number: {
+    parse(value) {
+      const number = typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value.trim()) ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) {
+        throw new Error('expected a number');
+      }
+      return number;
+    }
+  },
+  
+  boolean: {
+    parse(value) {
+      if (value === true || value === 'true') {
+        return true;
+      }
+      if (value === false || value === 'false') {
+        return false;
+      }
+      throw new Error('expected true or false');
+    }
+  },
+  
+  url: {
+    parse(value) {
+      const url = TYPES.string.parse(value);
+      let protocol;
+      try {
+        protocol = new URL(url).protocol;
+      } catch (error) {
+        throw new Error('expected a URL');
+      }
+      if (!['http:', 'https:', 'ws:', 'wss:'].includes(protocol)) {
+        throw new Error('expected an http(s) or ws(s) URL');
+      }
+      return url;
+    }
+  },
+  
+  address: {
+    parse(value) {
+      if (typeof value !== 'string' || !ethers.isAddress(value)) {
+        throw new Error('expected a 0x-prefixed 20-byte address');
+      }
+      return value;
+    }
+  },
+  
+  privateKey: {
+    parse(value) {
+      if (typeof value !== 'string' || !/^(0x)?[0-9a-fA-F]{64}$/.test(value)) {
+        throw new Error('expected a 32-byte hex private key');
+      }
+      return value;
+    }
+  },
+  
+  bytes32: {
+    parse(value) {
+      if (typeof value !== 'string' || !/^0x[0-9a-fA-F]{64}$/.test(value)) {
+        throw new Error('expected a 0x-prefixed 32-byte hex value');
+      }
+      return value;
+    }
+  },
+  
+  list: {
+    parse(value) {
+      const items = typeof value === 'string'
+        ? value.split(',').map(item => item.trim()).filter(Boolean)
+        : value;
+      if (!Array.isArray(items) || !items.every(item => typeof item === 'string')) {
+        throw new Error('expected a comma-separated list');
+      }
+      return items;
+    }
+  },
+  
+  // Comma-separated positive integers, e.g. "300,1800"
+  integerList: {
+    parse(value) {
+      const items = typeof value === 'string' ? TYPES.list.parse(value) : value;
+      if (!Array.isArray(items)) {
+        throw new Error('expected a comma-separated list of integers');
+      }
+      return items.map(item => {
+        const number = TYPES.integer.parse(typeof item === 'number' ? item : String(item));
+        if (number < 1) {
+          throw new Error('expected positive integers');
+        }
+        return number;
+      });
+    }
+  },
+  
+  // Gas prices are configured in gwei and held in wei
+  gwei: {
+    parse(value) {
+      try {
+        return ethers.parseUnits(String(value), 'gwei');
+      } catch (error) {
+        throw new Error('expected an amount in gwei');
+      }
+    },
+    format: value => `${ethers.formatUnits(value, 'gwei')} gwei`
+  },
+  
+  // Native token amounts stay decimal strings, e.g. "0.1"
+  ether: {
+    parse(value) {
+      try {
+        ethers.parseEther(String(value));
+      } catch (error) {
+        throw new Error('expected an amount in the native token');
+      }
+      return String(value);
+    }
+  },
+  
+  // "Component=level,Prefix*=level" or a { Component: level } map
+  levels: {
+    parse(value) {
+      const levels = typeof value === 'string'
+        ? Object.fromEntries(TYPES.list.parse(value).map(entry => entry.split('=').map(part => part.trim())))
+        : value;
+      if (!levels || typeof levels !== 'object' || Array.isArray(levels)) {
+        throw new Error('expected Component=level pairs');
+      }
+      for (const [component, level] of Object.entries(levels)) {
+        if (!LOG_LEVELS.includes(level)) {
+          throw new Error(`unknown level "${level}" for ${component}`);
+        }
+      }
+      return levels;
+    }
+  },
+  
+  // Comma-separated preset ids, a JSON array, or an array in a config file
+  feeds: {
+    parse(value) {
+      if (Array.isArray(value)) {
+        return value;
+      }
+      if (typeof value !== 'string') {
+        throw new Error('expected a list of feeds');
+      }
+      if (value.trim().startsWith('[')) {
+        try {
+          return JSON.parse(value);
+        } catch (error) {
+          throw new Error(`invalid JSON: ${error.message}`);
+        }
+      }
+      return TYPES.list.parse(value);
+    }
+  }
+};
+
+// Every setting of the ROFL app. The tree mirrors the config object; each
+// leaf names its type, env var, default and constraints. Secret settings are
+// redacted by --print-config and masked in logs.
+const SCHEMA = {
+  // ROFL Configuration
+  rofl: {
+    appId: { type: 'string', env: 'ROFL_APP_ID', required: true },
+    privateKey: { type: 'privateKey', env: 'ROFL_PRIVATE_KEY', required: true, secret: true },
+    // Key that signs price reports (EIP-712) with the mock attestation
+    // backend; defaults to privateKey. The appd backend gets its key from appd.
+    signerKey: { type: 'privateKey', env: 'ROFL_SIGNER_KEY', secret: true },
+  },
+  
+  // Attestation Backend Configuration
+  attestation: {
+    // "mock" for development, "appd" inside a ROFL TEE
+    backend: {
+      type: 'string',
+      env: 'ATTESTATION_BACKEND',
+      default: 'mock',
+      values: Object.keys(ATTESTATION_BACKENDS)
+    },
+    socketPath: { type: 'string', env: 'ROFL_APPD_SOCKET', default: '/run/rofl-appd.sock' },
+    keyId: { type: 'string', env: 'ROFL_SIGNER_KEY_ID', default: 'price-oracle-signer' },
+    // Measurements of the enclave build reported in the quote; required for
+    // appd, the mock backend has placeholders
+    mrEnclave: { type: 'bytes32', env: 'ENCLAVE_MR_ENCLAVE' },
+    mrSigner: { type: 'bytes32', env: 'ENCLAVE_MR_SIGNER' },
+    productId: { type: 'integer', env: 'ENCLAVE_PRODUCT_ID', default: 1, min: 0, max: 65535 },
+    securityVersion: { type: 'integer', env: 'ENCLAVE_SECURITY_VERSION', default: 1, min: 0, max: 65535 },
+  },
+  
+  // Blockchain Configuration
+  blockchain: {
+    rpcUrl: { type: 'url', env: 'RPC_URL', default: 'https://testnet.sapphire.oasis.dev' },
+    // Default contract for feeds without their own contractAddress
+    contractAddress: { type: 'address', env: 'CONTRACT_ADDRESS' },
+    chainId: { type: 'integer', env: 'CHAIN_ID', default: 23295, min: 1 },
+  },
+  
+  // Price Oracle Configuration
+  oracle: {
+    coinGeckoApiKey: { type: 'string', env: 'COINGECKO_API_KEY', secret: true },
+    updateInterval: { type: 'integer', env: 'PRICE_UPDATE_INTERVAL', default: 60000, min: 1000 }, // ms
+    thresholdPercentage: { type: 'number', env: 'THRESHOLD_PERCENTAGE', default: 5.0, min: 0.001 },
+    heartbeat: { type: 'integer', env: 'HEARTBEAT_INTERVAL', default: 1800, min: 1 }, // seconds
+    // Volatility-adaptive threshold: multiplier x stddev of recent moves, clamped
+    volatility: {
+      enabled: { type: 'boolean', env: 'ADAPTIVE_THRESHOLD', default: false },
+      window: { type: 'integer', env: 'VOLATILITY_WINDOW', default: 30, min: 2 }, // samples
+      multiplier: { type: 'number', env: 'VOLATILITY_MULTIPLIER', default: 3.0, min: 0.001 },
+      minThreshold: { type: 'number', env: 'MIN_THRESHOLD_PERCENTAGE', default: 0.5, min: 0.001 },
+      maxThreshold: { type: 'number', env: 'MAX_THRESHOLD_PERCENTAGE', default: 10.0, min: 0.001 },
+    },
+    // Circuit breaker: jumps beyond maxJumpPercentage from the on-chain price
+    // are held until confirmed; prices outside [minPrice, maxPrice] are never published
+    circuitBreaker: {
+      enabled: { type: 'boolean', env: 'CIRCUIT_BREAKER', default: true },
+      maxJumpPercentage: { type: 'number', env: 'CIRCUIT_BREAKER_MAX_JUMP', default: 20.0, min: 0.001 },
+      confirmations: { type: 'integer', env: 'CIRCUIT_BREAKER_CONFIRMATIONS', default: 3, min: 1 }, // consecutive samples
+      // Must exceed the feed's minSources, which every aggregate already meets
+      confirmingSources: { type: 'integer', env: 'CIRCUIT_BREAKER_CONFIRMING_SOURCES', default: 3, min: 1 },
+      minPrice: { type: 'number', env: 'CIRCUIT_BREAKER_MIN_PRICE', min: 0 },
+      maxPrice: { type: 'number', env: 'CIRCUIT_BREAKER_MAX_PRICE', min: 0 },
+    },
+    // Time-weighted average prices published with the spot price
+    twap: {
+      enabled: { type: 'boolean', env: 'TWAP_ENABLED', default: true },
+      windows: { type: 'integerList', env: 'TWAP_WINDOWS', default: [300, 1800] }, // seconds
+      maxSampleGap: { type: 'integer', env: 'TWAP_MAX_SAMPLE_GAP', default: 300, min: 1 }, // seconds
+    },
+    baseUrl: { type: 'url', env: 'COINGECKO_BASE_URL', default: 'https://api.coingecko.com/api/v3' },
+    sources: {
+      type: 'list',
+      env: 'PRICE_SOURCES',
+      default: ['coingecko', 'binance', 'coinbase', 'kraken'],
+      values: Object.keys(SOURCE_ADAPTERS)
+    },
+    minSources: { type: 'integer', env: 'MIN_SOURCES', default: 2, min: 1 }, // Quorum of agreeing sources
+    maxDeviationPercentage: { type: 'number', env: 'MAX_SOURCE_DEVIATION', default: 2.0, min: 0.001 },
+    maxQuoteAge: { type: 'integer', env: 'MAX_QUOTE_AGE', default: 120, min: 1 }, // seconds
+  },
+  
+  // Price Source Configuration
+  sources: {
+    // Responses are shared by every feed reading the same endpoint for this long
+    cacheTtl: { type: 'integer', env: 'SOURCE_CACHE_TTL', default: 5000, min: 0 }, // ms
+    // Consecutive failures before a source is skipped, and for how long
+    degradeAfter: { type: 'integer', env: 'SOURCE_DEGRADE_AFTER', default: 3, min: 1 },
+    degradedCooldown: { type: 'integer', env: 'SOURCE_DEGRADED_COOLDOWN', default: 300, min: 1 }, // seconds
+    // Sources quoted from a live WebSocket ticker; each must also be in PRICE_SOURCES
+    stream: { type: 'list', env: 'STREAM_SOURCES', default: [], values: Object.keys(STREAM_PROTOCOLS) },
+    // A stream silent for this long is reconnected, and its quotes aren't used meanwhile
+    streamStaleAfter: { type: 'integer', env: 'STREAM_STALE_AFTER', default: 10000, min: 1000 }, // ms
+    streamMaxReconnectDelay: { type: 'integer', env: 'STREAM_MAX_RECONNECT_DELAY', default: 60000, min: 1000 }, // ms
+    // Request limits stay below each API's public quota
+    coingecko: {
+      requestsPerMinute: { type: 'integer', env: 'COINGECKO_REQUESTS_PER_MINUTE', default: 25, min: 1 },
+    },
+    binance: {
+      baseUrl: { type: 'url', env: 'BINANCE_BASE_URL', default: 'https://api.binance.com' },
+      streamUrl: { type: 'url', env: 'BINANCE_STREAM_URL', default: 'wss://stream.binance.com:9443/ws' },
+      requestsPerMinute: { type: 'integer', env: 'BINANCE_REQUESTS_PER_MINUTE', default: 600, min: 1 },
+    },
+    coinbase: {
+      baseUrl: { type: 'url', env: 'COINBASE_BASE_URL', default: 'https://api.exchange.coinbase.com' },
+      streamUrl: { type: 'url', env: 'COINBASE_STREAM_URL', default: 'wss://ws-feed.exchange.coinbase.com' },
+      requestsPerMinute: { type: 'integer', env: 'COINBASE_REQUESTS_PER_MINUTE', default: 300, min: 1 },
+    },
+    kraken: {
+      baseUrl: { type: 'url', env: 'KRAKEN_BASE_URL', default: 'https://api.kraken.com' },
+      requestsPerMinute: { type: 'integer', env: 'KRAKEN_REQUESTS_PER_MINUTE', default: 60, min: 1 },
+    },
+    // Generic adapter for any JSON endpoint, e.g. https://example.com/price?pair={symbol}
+    http: {
+      url: { type: 'url', env: 'HTTP_SOURCE_URL' },
+      pricePath: { type: 'string', env: 'HTTP_SOURCE_PRICE_PATH' },
+      timestampPath: { type: 'string', env: 'HTTP_SOURCE_TIMESTAMP_PATH' },
+      requestsPerMinute: { type: 'integer', env: 'HTTP_SOURCE_REQUESTS_PER_MINUTE', default: 60, min: 1 },
+    },
+  },
+  
+  // Transaction Submission Configuration
+  transactions: {
+    stuckTimeout: { type: 'integer', env: 'TX_STUCK_TIMEOUT', default: 45000, min: 1000 }, // ms before fees are bumped
+    maxReplacements: { type: 'integer', env: 'TX_MAX_REPLACEMENTS', default: 3, min: 0 },
+    // Nodes reject replacements that bump fees by less than 10%
+    feeBumpPercentage: { type: 'integer', env: 'TX_FEE_BUMP_PERCENTAGE', default: 20, min: 10 },
+    maxFeePerGas: { type: 'gwei', env: 'TX_MAX_FEE_GWEI', default: null },
+    priorityFeePerGas: { type: 'gwei', env: 'TX_PRIORITY_FEE_GWEI', default: null },
+    maxRetries: { type: 'integer', env: 'RPC_MAX_RETRIES', default: 4, min: 0 },
+    // One updatePrices tx per contract for all feeds due in a tick; required
+    // for feeds sharing a contract
+    batchUpdates: { type: 'boolean', env: 'BATCH_UPDATES', default: false },
+  },
+  
+  // HTTP Server Configuration (/metrics, /health/*)
+  server: {
+    port: { type: 'integer', env: 'HTTP_PORT', default: 3000, min: 1, max: 65535 },
+  },
+  
+  // Admin API Configuration (/admin/*; disabled without a token)
+  admin: {
+    token: { type: 'string', env: 'ADMIN_TOKEN', secret: true, minLength: 16 },
+  },
+  
+  // Readiness Thresholds (seconds; balance in the native token)
+  health: {
+    maxFetchAge: { type: 'integer', env: 'HEALTH_MAX_FETCH_AGE', default: 300, min: 1 },
+    maxUpdateAge: { type: 'integer', env: 'HEALTH_MAX_UPDATE_AGE', default: 3600, min: 1 },
+    minBalance: { type: 'ether', env: 'HEALTH_MIN_BALANCE', default: '0.1' },
+    timeout: { type: 'integer', env: 'HEALTH_CHECK_TIMEOUT', default: 5000, min: 100 }, // ms
+  },
+  
+  // Alert Webhooks (disabled without a URL). Stale prices and low balance
+  // use the readiness thresholds above.
+  alerts: {
+    // Slack webhook URLs embed their token
+    webhookUrl: { type: 'url', env: 'ALERT_WEBHOOK_URL', secret: true },
+    format: {
+      type: 'string',
+      env: 'ALERT_WEBHOOK_FORMAT',
+      default: 'generic',
+      values: Object.keys(WEBHOOK_FORMATS)
+    },
+    // Signs each delivery (X-Oracle-Signature)
+    secret: { type: 'string', env: 'ALERT_WEBHOOK_SECRET', secret: true, minLength: 16 },
+    events: {
+      type: 'list',
+      env: 'ALERT_EVENTS',
+      default: Object.keys(ALERT_TYPES),
+      values: Object.keys(ALERT_TYPES)
+    },
+    dedupWindow: { type: 'integer', env: 'ALERT_DEDUP_WINDOW', default: 900, min: 0 }, // seconds
+    failedSubmissions: { type: 'integer', env: 'ALERT_FAILED_SUBMISSIONS', default: 3, min: 1 }, // consecutive
+    maxRetries: { type: 'integer', env: 'ALERT_MAX_RETRIES', default: 3, min: 0 },
+    timeout: { type: 'integer', env: 'ALERT_TIMEOUT', default: 5000, min: 100 }, // ms
+  },
+  
+  // HA Coordination between replicas sharing one key
+  coordination: {
+    // "none" for a single instance, "file" for a lease file on a shared
+    // volume, "chain" to take over when on-chain updates lapse
+    mode: {
+      type: 'string',
+      env: 'COORDINATION_MODE',
+      default: 'none',
+      values: Object.keys(LEASE_BACKENDS)
+    },
+    instanceId: { type: 'string', env: 'INSTANCE_ID' }, // defaults to hostname-pid
+    leaseTtl: { type: 'integer', env: 'LEASE_TTL', default: 30, min: 3 }, // seconds
+    lockFile: { type: 'string', env: 'LEASE_FILE', default: './data/oracle-leader.json' },
+    // chain mode: 0 is the preferred leader, standbys take over in order.
+    // Required there, and distinct per replica: two at 0 would both lead
+    priority: { type: 'integer', env: 'LEASE_PRIORITY', min: 0 },
+  },
+  
+  // Shadow Mode: fetch, aggregate and attest like production but never send
+  // a transaction; would-be submissions are written to the report file
+  shadow: {
+    enabled: { type: 'boolean', env: 'SHADOW_MODE', default: false },
+    reportPath: { type: 'string', env: 'SHADOW_REPORT_FILE', default: './data/shadow-report.jsonl' },
+  },
+  
+  // State Persistence Configuration
+  state: {
+    path: { type: 'string', env: 'STATE_FILE', default: './data/oracle-state.json' },
+  },
+  
+  // Logging Configuration
+  logging: {
+    level: { type: 'string', env: 'LOG_LEVEL', default: 'info', values: LOG_LEVELS },
+    // "text" for humans, "json" for log shippers
+    format: { type: 'string', env: 'LOG_FORMAT', default: 'text', values: ['text', 'json'] },
+    // Per-component overrides, e.g. "TransactionManager=debug,Source:*=warn"
+    levels: { type: 'levels', env: 'LOG_LEVELS', default: {} },
+    file: {
+      path: { type: 'string', env: 'LOG_FILE' },
+      maxSize: { type: 'integer', env: 'LOG_FILE_MAX_SIZE', default: 10 * 1024 * 1024, min: 1024 }, // bytes
+      maxFiles: { type: 'integer', env: 'LOG_FILE_MAX_FILES', default: 5, min: 1 },
+    },
+  },
+  
+  // Feed Configuration (unset per-feed values fall back to the global settings)
+  feeds: { type: 'feeds', env: 'PRICE_FEEDS', default: ['ETH/USD'] },
+};
+
+// Network profiles selectable with --profile / CONFIG_PROFILE. A config file
+// may extend these or add its own under "profiles".
+const PROFILES = {
+  localhost: {
+    blockchain: { rpcUrl: 'http://127.0.0.1:8545', chainId: 1337 },
+  },
+  'sapphire-testnet': {
+    blockchain: { rpcUrl: 'https://testnet.sapphire.oasis.dev', chainId: 23295 },
+  },
+  'sapphire-mainnet': {
+    blockchain: { rpcUrl: 'https://sapphire.oasis.io', chainId: 23294 },
+  },
+};
+
+function isSetting(node) {
+  return typeof node.type === 'string';
+}
+
+// Calls fn(path, setting) for every leaf, with path as an array of keys
+function forEachSetting(fn, node = SCHEMA, path = []) {
+  for (const [key, child] of Object.entries(node)) {
+    if (isSetting(child)) {
+      fn([...path, key], child);
+    } else {
+      forEachSetting(fn, child, [...path, key]);
+    }
+  }
+}
+
+module.exports = { SCHEMA, PROFILES, TYPES, LOG_LEVELS, isSetting, forEachSetting };
@@ -0,0 +1,47 @@
+const { Logger } = require('../utils/logger');
+
+// Decides which replica of an HA deployment submits updates. acquire() is
+// called periodically to take or renew the lease; a replica leads until the
+// lease expires, so a leader that stops renewing (crashed, partitioned,
+// blocked) steps down by itself and a follower can take over.
+class LeaderLease {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.options = options;
+    this.instanceId = options.instanceId;
+    this.holder = null;
+    this.expiresAt = null;
+    this.logger = new Logger(`Lease:${name}`);
+  }
+  
+  get isLeader() {
+    return this.expiresAt !== null && this.expiresAt > Date.now();
+  }
+  
+  // How often acquire() should run, in ms; null when the lease never lapses
+  get renewInterval() {
+    return Math.floor(this.options.leaseTtl * 1000 / 3);
+  }
+  
+  // Takes or renews the lease if possible; returns whether we now lead
+  async acquire() {
+    throw new Error(`Lease ${this.name} does not implement acquire`);
+  }
+  
+  // Gives up the lease on shutdown so a follower can take over right away
+  async release() {
+    this.expiresAt = null;
+  }
+  
+  describe() {
+    return {
+      mode: this.name,
+      instanceId: this.instanceId,
+      leader: this.isLeader,
+      holder: this.holder,
+      expiresAt: this.isLeader && Number.isFinite(this.expiresAt) ? new Date(this.expiresAt).toISOString() : null
+    };
+  }
+}
+
+module.exports = { LeaderLease };
@@ -0,0 +1,53 @@
+const { LeaderLease } = require('./base');
+
+// Lease without shared storage, read from the feed contracts. The replica
+// with priority 0 is the preferred leader and always leads. A standby
+// (priority n > 0) treats on-chain updates as the leader's heartbeat: once a
+// feed's price is more than n lease TTLs past its heartbeat, it takes over,
+// and it steps down as soon as the contract accepts a report it didn't send
+// (a sequence above both the one current at takeover and its own last one).
+class ChainLease extends LeaderLease {
+  constructor(options = {}, oracle) {
+    super('chain', options);
+    this.oracle = oracle;
+    this.takeoverSequence = 0;
+  }
+  
+  async acquire() {
+    const { leaseTtl, priority } = this.options;
+    
+    if (priority === 0) {
+      this.holder = this.instanceId;
+      this.expiresAt = Date.now() + leaseTtl * 1000;
+      return true;
+    }
+    
+    try {
+      const round = await this.oracle.readOnChainRound();
+      
+      const ownSequence = Math.max(this.takeoverSequence, this.oracle.lastSubmittedSequence);
+      if (this.isLeader && round.sequence > ownSequence) {
+        this.logger.info(`Contract accepted sequence ${round.sequence} from another replica, stepping down`);
+        this.holder = null;
+        this.expiresAt = null;
+      } else if (this.isLeader || round.overdue > priority * leaseTtl) {
+        if (!this.isLeader) {
+          this.logger.warn(`On-chain price is ${round.overdue}s past its heartbeat, taking over`);
+          this.takeoverSequence = round.sequence;
+        }
+        this.holder = this.instanceId;
+        this.expiresAt = Date.now() + leaseTtl * 1000;
+      } else {
+        this.holder = null;
+      }
+    
+    } catch (error) {
+      // Renewal needs the chain too; an unreachable RPC lets the lease lapse
+      this.logger.error('Failed to read on-chain round:', error.message);
+    }
+    
+    return this.isLeader;
+  }
+}
+
+module.exports = { ChainLease };
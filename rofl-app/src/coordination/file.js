@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+const { LeaderLease } = require('./base');
+
+// Lease kept in a JSON lock file on a volume shared by all replicas:
+// { holder, acquiredAt, renewedAt, expiresAt }. Reading and rewriting the
+// file happens under a mutex file created with O_EXCL, so two replicas can't
+// both see an expired lease and take it. A mutex left behind by a crashed
+// replica is broken once it is older than the lease TTL.
+class FileLease extends LeaderLease {
+  constructor(options = {}) {
+    super('file', options);
+    this.filePath = options.lockFile;
+    this.mutexPath = `${options.lockFile}.mutex`;
+  }
+  
+  read() {
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      // A torn or corrupt file is treated as no lease at all
+      this.logger.warn(`Unreadable lease file ${this.filePath}, ignoring it:`, error.message);
+      return null;
+    }
+  }
+  
+  write(lease) {
+    const tmpPath = `${this.filePath}.${this.instanceId}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(lease, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+  
+  // Runs fn holding the mutex; returns false if another replica holds it
+  withMutex(fn) {
+    let fd;
+    try {
+      fd = fs.openSync(this.mutexPath, 'wx');
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+      
+      const age = Date.now() - fs.statSync(this.mutexPath).mtimeMs;
+      if (age > this.options.leaseTtl * 1000) {
+        this.logger.warn(`Breaking stale lease mutex ${this.mutexPath} (${Math.round(age / 1000)}s old)`);
+        fs.unlinkSync(this.mutexPath);
+      }
+      return false;
+    }
+    
+    try {
+      fn();
+      return true;
+    } finally {
+      fs.closeSync(fd);
+      fs.unlinkSync(this.mutexPath);
+    }
+  }
+  
+  async acquire() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      
+      // A busy mutex leaves our lease as it was; it still lapses on its own
+      this.withMutex(() => {
+        const now = Date.now();
+        const current = this.read();
+        
+        if (current && current.holder !== this.instanceId && current.expiresAt > now) {
+          this.holder = current.holder;
+          this.expiresAt = null;
+          return;
+        }
+        
+        const expiresAt = now + this.options.leaseTtl * 1000;
+        this.write({
+          holder: this.instanceId,
+          acquiredAt: current && current.holder === this.instanceId ? current.acquiredAt : now,
+          renewedAt: now,
+          expiresAt
+        });
+        this.holder = this.instanceId;
+        this.expiresAt = expiresAt;
+      });
+    
+    } catch (error) {
+      // Without the shared volume we can't prove we lead, so we don't
+      this.logger.error(`Failed to acquire lease ${this.filePath}:`, error.message);
+      this.expiresAt = null;
+    }
+    
+    return this.isLeader;
+  }
+  
+  async release() {
+    if (!this.isLeader) {
+      return;
+    }
+    
+    try {
+      this.withMutex(() => {
+        const current = this.read();
+        if (current && current.holder === this.instanceId) {
+          fs.unlinkSync(this.filePath);
+        }
+      });
+    } catch (error) {
+      this.logger.warn(`Failed to release lease ${this.filePath}:`, error.message);
+    }
+    
+    this.expiresAt = null;
+  }
+}
+
+module.exports = { FileLease };
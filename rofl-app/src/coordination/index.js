@@ -0,0 +1,36 @@
+const os = require('os');
+const { LeaderLease } = require('./base');
+const { SingleInstanceLease } = require('./none');
+const { FileLease } = require('./file');
+const { ChainLease } = require('./chain');
+
+const LEASE_BACKENDS = {
+  none: SingleInstanceLease,
+  file: FileLease,
+  chain: ChainLease
+};
+
+// Build the configured leader lease; the chain lease reads rounds through the oracle
+function createLeaderLease(config, oracle) {
+  const { mode, ...settings } = config.coordination;
+  const Lease = LEASE_BACKENDS[mode];
+  if (!Lease) {
+    throw new Error(`Unknown coordination mode: ${mode}`);
+  }
+  
+  const options = {
+    ...settings,
+    instanceId: settings.instanceId || `${os.hostname()}-${process.pid}`
+  };
+  
+  return new Lease(options, oracle);
+}
+
+module.exports = {
+  LeaderLease,
+  SingleInstanceLease,
+  FileLease,
+  ChainLease,
+  LEASE_BACKENDS,
+  createLeaderLease
+};
@@ -0,0 +1,22 @@
+const { LeaderLease } = require('./base');
+
+// Single instance: always the leader, nothing to coordinate
+class SingleInstanceLease extends LeaderLease {
+  constructor(options = {}) {
+    super('none', options);
+    this.holder = this.instanceId;
+    this.expiresAt = Infinity;
+  }
+  
+  get renewInterval() {
+    return null;
+  }
+  
+  async acquire() {
+    return true;
+  }
+  
+  async release() {}
+}
+
+module.exports = { SingleInstanceLease };
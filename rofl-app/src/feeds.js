@@ -0,0 +1,82 @@
+// Source symbols for commonly used feeds, so PRICE_FEEDS can list ids only
+const FEED_PRESETS = {
+  'ETH/USD': {
+    coingecko: { id: 'ethereum', vsCurrency: 'usd' },
+    binance: 'ETHUSDT',
+    coinbase: 'ETH-USD',
+    kraken: 'XETHZUSD'
+  },
+  'BTC/USD': {
+    coingecko: { id: 'bitcoin', vsCurrency: 'usd' },
+    binance: 'BTCUSDT',
+    coinbase: 'BTC-USD',
+    kraken: 'XXBTZUSD'
+  },
+  'ETH/EUR': {
+    coingecko: { id: 'ethereum', vsCurrency: 'eur' },
+    binance: 'ETHEUR',
+    coinbase: 'ETH-EUR',
+    kraken: 'XETHZEUR'
+  },
+  'BTC/EUR': {
+    coingecko: { id: 'bitcoin', vsCurrency: 'eur' },
+    binance: 'BTCEUR',
+    coinbase: 'BTC-EUR',
+    kraken: 'XXBTZEUR'
+  }
+};
+
+function buildFeed(entry, defaults) {
+  const spec = typeof entry === 'string' ? { id: entry } : entry;
+  
+  if (!spec.id) {
+    throw new Error('Feed configuration is missing an id');
+  }
+  
+  const symbols = { ...FEED_PRESETS[spec.id], ...spec.symbols };
+  if (Object.keys(symbols).length === 0) {
+    throw new Error(`Feed ${spec.id} has no source symbols and no preset`);
+  }
+  
+  return {
+    id: spec.id,
+    symbols,
+    decimals: spec.decimals ?? defaults.decimals,
+    thresholdPercentage: spec.thresholdPercentage ?? defaults.thresholdPercentage,
+    heartbeat: spec.heartbeat ?? defaults.heartbeat,
+    volatility: { ...defaults.volatility, ...spec.volatility },
+    circuitBreaker: { ...defaults.circuitBreaker, ...spec.circuitBreaker },
+    twap: { ...defaults.twap, ...spec.twap },
+    minSources: spec.minSources ?? defaults.minSources,
+    contractAddress: spec.contractAddress || defaults.contractAddress
+  };
+}
+
+// Accepts either a comma-separated list of preset ids ("ETH/USD,BTC/USD"), a
+// JSON array of feed objects, or an already parsed array of ids and objects;
+// object entries are merged over a matching preset
+function parseFeeds(value, defaults) {
+  let entries = ['ETH/USD'];
+  
+  if (Array.isArray(value)) {
+    entries = value;
+  } else if (value && value.trim().startsWith('[')) {
+    entries = JSON.parse(value);
+  } else if (value) {
+    entries = value.split(',').map(item => item.trim()).filter(Boolean);
+  }
+  
+  const feeds = entries.map(entry => buildFeed(entry, defaults));
+  
+  const ids = new Set();
+  for (const feed of feeds) {
+    if (ids.has(feed.id)) {
+      throw new Error(`Duplicate feed id: ${feed.id}`);
+    }
+    ids.add(feed.id);
+  }
+  
+  return feeds;
+}
+
+module.exports = { FEED_PRESETS, parseFeeds };
@@ -1,44 +1,154 @@
-// Health check endpoint for Docker
+// Liveness and readiness checks, served by the oracle's own HTTP server
 const http = require('http');
+const { ethers } = require('ethers');
 
-const server = http.createServer((req, res) => {
-  if (req.url === '/health') {
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({
-      status: 'healthy',
-      timestamp: new Date().toISOString(),
-      service: 'price-oracle-rofl'
-    }));
-  } else {
-    res.writeHead(404);
-    res.end('Not Found');
-  }
-});
+function withTimeout(promise, ms, what) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${what} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
 
-const port = process.env.HEALTH_PORT || 3001;
-server.listen(port, () => {
-  console.log(`Health check server running on port ${port}`);
-});
+class HealthChecker {
+  constructor(oracle, config) {
+    this.oracle = oracle;
+    this.config = config;
+  }
+  
+  // Live: the process is up and the update loop is still ticking
+  async checkLiveness() {
+    const now = Date.now();
+    const checks = {};
+    
+    checks.running = this.oracle.isRunning
+      ? { ok: true }
+      : { ok: false, detail: 'Oracle loop is not running' };
+    
+    // A loop that hasn't ticked for several intervals is wedged
+    const maxTickAge = this.config.oracle.updateInterval * 3;
+    const lastTickAt = this.oracle.lastTickAt;
+    if (this.oracle.isPaused) {
+      checks.loop = { ok: true, detail: 'Update loop paused' };
+    } else if (!lastTickAt) {
+      checks.loop = { ok: false, detail: 'No update tick has run yet' };
+    } else {
+      const age = now - lastTickAt;
+      checks.loop = {
+        ok: age <= maxTickAge,
+        detail: `Last tick ${Math.round(age / 1000)}s ago (limit ${maxTickAge / 1000}s)`
+      };
+    }
+    
+    return this.summarize(checks);
+  }
+  
+  // Ready: the oracle can actually fetch, reach the chain and pay for updates
+  async checkReadiness() {
+    const { health } = this.config;
+    const now = Math.floor(Date.now() / 1000);
+    const checks = {};
+    
+    try {
+      const blockNumber = await withTimeout(this.oracle.provider.getBlockNumber(), health.timeout, 'RPC');
+      checks.rpc = { ok: true, detail: `Block ${blockNumber}` };
+    } catch (error) {
+      checks.rpc = { ok: false, detail: error.message };
+    }
+    
+    for (const state of this.oracle.feeds.values()) {
+      const { feed } = state;
+      
+      if (!state.contract) {
+        checks[`contract:${feed.id}`] = { ok: false, detail: 'Contract not initialized' };
+      } else {
+        try {
+          await withTimeout(state.contract.getFeedPrice(feed.id), health.timeout, 'Contract call');
+          checks[`contract:${feed.id}`] = { ok: true };
+        } catch (error) {
+          checks[`contract:${feed.id}`] = { ok: false, detail: error.shortMessage || error.message };
+        }
+      }
+      
+      checks[`fetch:${feed.id}`] = this.checkAge(state.lastFetchTime, now, health.maxFetchAge, 'successful fetch');
+      checks[`update:${feed.id}`] = this.checkAge(state.lastUpdateTime, now, health.maxUpdateAge, 'on-chain update');
+    }
+    
+    // A shadow oracle never pays for transactions
+    if (this.oracle.shadow) {
+      return this.summarize(checks);
+    }
+    
+    try {
+      const balance = await withTimeout(
+        this.oracle.provider.getBalance(this.oracle.wallet.address),
+        health.timeout,
+        'Balance query'
+      );
+      const minBalance = ethers.parseEther(health.minBalance);
+      checks.balance = {
+        ok: balance >= minBalance,
+        detail: `${ethers.formatEther(balance)} (minimum ${health.minBalance})`
+      };
+    } catch (error) {
+      checks.balance = { ok: false, detail: error.message };
+    }
+    
+    return this.summarize(checks);
+  }
+  
+  checkAge(timestamp, now, maxAge, what) {
+    if (!timestamp) {
+      return { ok: false, detail: `No ${what} yet` };
+    }
+    
+    const age = now - timestamp;
+    return {
+      ok: age <= maxAge,
+      detail: `Last ${what} ${age}s ago (limit ${maxAge}s)`
+    };
+  }
+  
+  summarize(checks) {
+    const healthy = Object.values(checks).every(check => check.ok);
+    
+    return {
+      status: healthy ? 200 : 503,
+      body: {
+        status: healthy ? 'healthy' : 'unhealthy',
+        timestamp: new Date().toISOString(),
+        service: 'price-oracle-rofl',
+        checks
+      }
+    };
+  }
+}
 
-// For Docker health check
+// For Docker health check: probe the running oracle's liveness endpoint, so
+// a wedged process is flagged but a drained wallet or RPC outage isn't
 if (require.main === module) {
-  // Make a request to the health endpoint
+  const config = require('./config');
+  
   const options = {
     hostname: 'localhost',
-    port: port,
-    path: '/health',
+    port: config.server.port,
+    path: process.env.HEALTHCHECK_PATH || '/health/live',
     method: 'GET',
     timeout: 3000
   };
   
   const req = http.request(options, (res) => {
-    if (res.statusCode === 200) {
-      console.log('Health check passed');
-      process.exit(0);
-    } else {
-      console.log('Health check failed');
-      process.exit(1);
-    }
+    let body = '';
+    res.on('data', chunk => { body += chunk; });
+    res.on('end', () => {
+      if (res.statusCode === 200) {
+        console.log('Health check passed');
+        process.exit(0);
+      } else {
+        console.log(`Health check failed: ${body}`);
+        process.exit(1);
+      }
+    });
   });
   
   req.on('error', () => {
@@ -48,8 +158,11 @@ if (require.main === module) {
   
   req.on('timeout', () => {
     console.log('Health check timeout');
+    req.destroy();
     process.exit(1);
   });
   
   req.end();
 }
+
+module.exports = { HealthChecker };
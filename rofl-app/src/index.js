@@ -1,16 +1,40 @@
 const { PriceOracle } = require('./oracle');
-const { Logger } = require('./utils/logger');
-const config = require('./config');
+const { OracleServer } = require('./server');
+const { Logger, configureLogging } = require('./utils/logger');
+const { loadConfig, describeConfig, secretValues, parseArgs, ConfigError } = require('./config/loader');
+
+const args = parseArgs(process.argv.slice(2));
+
+let config;
+try {
+  config = loadConfig();
+} catch (error) {
+  // Configuration problems are listed plainly, without a stack trace
+  console.error(error instanceof ConfigError ? error.message : error);
+  process.exit(1);
+}
+
+if (args.printConfig) {
+  console.log(describeConfig(config));
+  process.exit(0);
+}
+
+configureLogging({ ...config.logging, secrets: secretValues(config) });
 
 const logger = new Logger('ROFL-Main');
 
 async function main() {
   try {
-    logger.info('Starting Price Oracle ROFL App...');
+    logger.info(`Starting Price Oracle ROFL App (profile: ${config.profile || 'none'})...`);
     
     // Initialize the price oracle
     const oracle = new PriceOracle(config);
     
+    // Expose metrics and health checks over HTTP; started first so probes
+    // can report on a slow or failing startup
+    const server = new OracleServer(oracle, config);
+    await server.start();
+    
     // Start the oracle service
     await oracle.start();
     
@@ -20,12 +44,14 @@ async function main() {
     process.on('SIGINT', async () => {
       logger.info('Received SIGINT, shutting down gracefully...');
       await oracle.stop();
+      await server.stop();
       process.exit(0);
     });
     
     process.on('SIGTERM', async () => {
       logger.info('Received SIGTERM, shutting down gracefully...');
       await oracle.stop();
+      await server.stop();
       process.exit(0);
     });
     
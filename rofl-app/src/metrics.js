@@ -0,0 +1,233 @@
+const { ethers } = require('ethers');
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+// Minimal counter/gauge/histogram in the Prometheus text exposition format
+class Metric {
+  constructor(type, name, help, options = {}) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.buckets = options.buckets || DEFAULT_BUCKETS;
+    this.series = new Map();
+  }
+  
+  getSeries(labels) {
+    const key = JSON.stringify(labels);
+    if (!this.series.has(key)) {
+      this.series.set(key, {
+        labels,
+        value: 0,
+        sum: 0,
+        count: 0,
+        bucketCounts: this.buckets.map(() => 0)
+      });
+    }
+    return this.series.get(key);
+  }
+  
+  inc(labels = {}, amount = 1) {
+    this.getSeries(labels).value += amount;
+  }
+  
+  set(labels = {}, value) {
+    this.getSeries(labels).value = value;
+  }
+  
+  observe(labels = {}, value) {
+    const series = this.getSeries(labels);
+    series.sum += value;
+    series.count += 1;
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.bucketCounts[index] += 1;
+      }
+    });
+  }
+  
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    
+    for (const series of this.series.values()) {
+      if (this.type !== 'histogram') {
+        lines.push(`${this.name}${formatLabels(series.labels)} ${series.value}`);
+        continue;
+      }
+      
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.bucketCounts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+      lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+    
+    return lines.join('\n');
+  }
+}
+
+// Instrumentation for the oracle. PriceOracle reports what happened through
+// the record* methods; render() produces the /metrics response body.
+class OracleMetrics {
+  constructor() {
+    this.metrics = {
+      fetchDuration: new Metric('histogram', 'oracle_source_fetch_duration_seconds', 'Price source fetch latency'),
+      fetchErrors: new Metric('counter', 'oracle_source_fetch_errors_total', 'Failed price source fetches'),
+      sourceThrottled: new Metric('counter', 'oracle_source_throttled_total', 'Price source requests skipped by rate limiting'),
+      sourceCacheHits: new Metric('counter', 'oracle_source_cache_hits_total', 'Price source requests served from the response cache'),
+      sourceDegraded: new Metric('gauge', 'oracle_source_degraded', 'Whether a price source is degraded and skipped'),
+      streamConnected: new Metric('gauge', 'oracle_source_stream_connected', 'Whether a streaming price source is connected'),
+      streamGaps: new Metric('counter', 'oracle_source_stream_gaps_total', 'Gaps detected in streaming price sources'),
+      streamUpdates: new Metric('counter', 'oracle_stream_triggered_updates_total', 'Feed updates run on a streamed tick rather than a poll'),
+      fetchedPrice: new Metric('gauge', 'oracle_fetched_price', 'Last aggregated off-chain price'),
+      onChainPrice: new Metric('gauge', 'oracle_onchain_price', 'Last known on-chain price'),
+      deviation: new Metric('gauge', 'oracle_price_deviation_percent', 'Deviation of the fetched price from the on-chain price'),
+      submissions: new Metric('counter', 'oracle_submissions_total', 'Price update submissions by outcome'),
+      gasUsed: new Metric('counter', 'oracle_gas_used_total', 'Gas used by mined price update transactions'),
+      feesSpent: new Metric('counter', 'oracle_fees_spent_total', 'Transaction fees spent, in the native token'),
+      walletBalance: new Metric('gauge', 'oracle_wallet_balance', 'Oracle wallet balance, in the native token'),
+      lastUpdate: new Metric('gauge', 'oracle_last_update_timestamp_seconds', 'Timestamp of the last successful on-chain update'),
+      sinceLastUpdate: new Metric('gauge', 'oracle_seconds_since_last_update', 'Seconds since the last successful on-chain update'),
+      breakerTrips: new Metric('counter', 'oracle_circuit_breaker_trips_total', 'Prices held back by the circuit breaker'),
+      breakerHolding: new Metric('gauge', 'oracle_circuit_breaker_holding', 'Whether a price jump is waiting for confirmation'),
+      leader: new Metric('gauge', 'oracle_leader', 'Whether this replica holds the leader lease'),
+      duplicateRounds: new Metric('counter', 'oracle_duplicate_rounds_total', 'Submissions skipped because the round was already published on-chain'),
+      alerts: new Metric('counter', 'oracle_alerts_total', 'Alert webhook deliveries by type and status'),
+      shadowDecisions: new Metric('counter', 'oracle_shadow_decisions_total', 'Would-be submissions in shadow mode by decision'),
+      shadowDeviation: new Metric('histogram', 'oracle_shadow_deviation_percent', 'Deviation of shadow prices from the live on-chain price', {
+        buckets: [0.1, 0.25, 0.5, 1, 2, 5, 10, 25]
+      })
+    };
+    
+    this.fetched = new Map();
+    this.onChain = new Map();
+    this.lastUpdates = new Map();
+  }
+  
+  recordFetch(feedId, source, durationMs, error = null) {
+    const labels = { feed: feedId, source };
+    this.metrics.fetchDuration.observe(labels, durationMs / 1000);
+    if (error) {
+      this.metrics.fetchErrors.inc(labels);
+    }
+  }
+  
+  recordSourceThrottled(event) {
+    this.metrics.sourceThrottled.inc({ source: event.source, reason: event.reason });
+  }
+  
+  recordSourceCacheHit(event) {
+    this.metrics.sourceCacheHits.inc({ source: event.source });
+  }
+  
+  recordSourceHealth(event) {
+    this.metrics.sourceDegraded.set({ source: event.source }, event.degraded ? 1 : 0);
+  }
+  
+  recordStreamConnection(event) {
+    this.metrics.streamConnected.set({ source: event.source }, event.connected ? 1 : 0);
+  }
+  
+  recordStreamGap(event) {
+    this.metrics.streamGaps.inc({ source: event.source, reason: event.reason });
+  }
+  
+  recordStreamUpdate(feedId) {
+    this.metrics.streamUpdates.inc({ feed: feedId });
+  }
+  
+  recordFetchedPrice(feedId, price) {
+    this.fetched.set(feedId, price);
+    this.metrics.fetchedPrice.set({ feed: feedId }, price);
+    this.updateDeviation(feedId);
+  }
+  
+  recordOnChainPrice(feedId, price, timestamp) {
+    this.onChain.set(feedId, price);
+    this.metrics.onChainPrice.set({ feed: feedId }, price);
+    this.updateDeviation(feedId);
+    
+    if (timestamp) {
+      this.lastUpdates.set(feedId, timestamp);
+      this.metrics.lastUpdate.set({ feed: feedId }, timestamp);
+    }
+  }
+  
+  updateDeviation(feedId) {
+    const fetched = this.fetched.get(feedId);
+    const onChain = this.onChain.get(feedId);
+    if (fetched === undefined || !onChain) {
+      return;
+    }
+    this.metrics.deviation.set({ feed: feedId }, Math.abs((fetched - onChain) / onChain) * 100);
+  }
+  
+  recordSubmission(feedId, outcome) {
+    this.metrics.submissions.inc({ feed: feedId, status: outcome.status });
+    
+    // Mined transactions cost gas whether they succeeded or reverted
+    const { receipt } = outcome;
+    if (receipt && (outcome.status === 'confirmed' || outcome.status === 'reverted')) {
+      const fee = receipt.gasUsed * (receipt.gasPrice ?? 0n);
+      this.metrics.gasUsed.inc({ feed: feedId }, Number(receipt.gasUsed));
+      this.metrics.feesSpent.inc({ feed: feedId }, Number(ethers.formatEther(fee)));
+    }
+  }
+  
+  recordBreaker(feedId, check, holding) {
+    if (check.tripped) {
+      this.metrics.breakerTrips.inc({ feed: feedId, rule: check.rule });
+    }
+    this.metrics.breakerHolding.set({ feed: feedId }, holding ? 1 : 0);
+  }
+  
+  recordLeadership(isLeader) {
+    this.metrics.leader.set({}, isLeader ? 1 : 0);
+  }
+  
+  recordDuplicateRound(feedId) {
+    this.metrics.duplicateRounds.inc({ feed: feedId });
+  }
+  
+  recordAlert(delivery) {
+    this.metrics.alerts.inc({ type: delivery.type, status: delivery.status });
+  }
+  
+  recordShadow(feedId, entry) {
+    this.metrics.shadowDecisions.inc({ feed: feedId, decision: entry.wouldUpdate ? 'update' : 'skip' });
+    if (entry.deviation !== null) {
+      this.metrics.shadowDeviation.observe({ feed: feedId }, entry.deviation);
+    }
+  }
+  
+  recordWalletBalance(balance) {
+    this.metrics.walletBalance.set({}, Number(ethers.formatEther(balance)));
+  }
+  
+  render() {
+    // Staleness is computed at scrape time so it keeps growing between updates
+    const now = Math.floor(Date.now() / 1000);
+    for (const [feedId, timestamp] of this.lastUpdates) {
+      this.metrics.sinceLastUpdate.set({ feed: feedId }, now - timestamp);
+    }
+    
+    return Object.values(this.metrics)
+      .filter(metric => metric.series.size > 0)
+      .map(metric => metric.render())
+      .join('\n') + '\n';
+  }
+}
+
+module.exports = { Metric, OracleMetrics };
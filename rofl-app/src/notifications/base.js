@@ -0,0 +1,57 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { Logger } = require('../utils/logger');
+const { withRetry } = require('../utils/retry');
+
+// HMAC-SHA256 of "<timestamp>.<body>" with the shared secret. Covering the
+// timestamp lets receivers reject replayed deliveries.
+function signPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// A webhook endpoint. Subclasses turn an alert into the JSON body their
+// receiver expects; delivery, signing and retries are shared.
+class WebhookChannel {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.options = options;
+    this.url = options.url;
+    this.secret = options.secret;
+    this.timeout = options.timeout || 5000;
+    this.logger = new Logger(`Webhook:${name}`);
+    
+    if (!this.url) {
+      throw new Error(`Webhook ${name} requires a url`);
+    }
+  }
+  
+  format(alert) {
+    throw new Error(`Webhook ${this.name} does not implement format`);
+  }
+  
+  async send(alert) {
+    const body = JSON.stringify(this.format(alert));
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'PriceOracle-ROFL/1.0',
+      'X-Oracle-Event': alert.type,
+      'X-Oracle-Delivery': alert.id,
+      'X-Oracle-Timestamp': String(timestamp)
+    };
+    if (this.secret) {
+      headers['X-Oracle-Signature'] = signPayload(this.secret, timestamp, body);
+    }
+    
+    // Retries resend the same delivery id so receivers can drop duplicates
+    await withRetry(() => axios.post(this.url, body, { headers, timeout: this.timeout }), {
+      retries: this.options.maxRetries ?? 3,
+      baseDelay: 1000,
+      onRetry: (error, attempt, delay) => {
+        this.logger.warn(`Delivery of ${alert.type} alert failed (${error.message}), retry ${attempt} in ${delay}ms`);
+      }
+    });
+  }
+}
+
+module.exports = { WebhookChannel, signPayload };
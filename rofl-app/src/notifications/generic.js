@@ -0,0 +1,15 @@
+const { WebhookChannel } = require('./base');
+
+// The alert as is, for receivers under our control (PagerDuty/Opsgenie
+// bridges, incident bots, the local receiver)
+class GenericWebhook extends WebhookChannel {
+  constructor(options = {}) {
+    super('generic', options);
+  }
+  
+  format(alert) {
+    return alert;
+  }
+}
+
+module.exports = { GenericWebhook };
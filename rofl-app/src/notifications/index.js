@@ -0,0 +1,41 @@
+const { WebhookChannel, signPayload } = require('./base');
+const { GenericWebhook } = require('./generic');
+const { SlackWebhook } = require('./slack');
+const { Notifier, ALERT_TYPES } = require('./notifier');
+
+const WEBHOOK_FORMATS = {
+  generic: GenericWebhook,
+  slack: SlackWebhook
+};
+
+// Build the notifier for config.alerts; without a webhook URL it is a no-op
+function createNotifier(config, instanceId) {
+  const { webhookUrl, format, secret, timeout, maxRetries, events, dedupWindow } = config.alerts;
+  
+  let channel = null;
+  if (webhookUrl) {
+    const Webhook = WEBHOOK_FORMATS[format];
+    if (!Webhook) {
+      throw new Error(`Unknown webhook format: ${format}`);
+    }
+    channel = new Webhook({ url: webhookUrl, secret, timeout, maxRetries });
+  }
+  
+  return new Notifier(channel, {
+    events,
+    dedupWindow,
+    appId: config.rofl.appId,
+    instanceId
+  });
+}
+
+module.exports = {
+  WebhookChannel,
+  GenericWebhook,
+  SlackWebhook,
+  Notifier,
+  ALERT_TYPES,
+  WEBHOOK_FORMATS,
+  signPayload,
+  createNotifier
+};
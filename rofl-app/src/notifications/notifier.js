@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { Logger } = require('../utils/logger');
+
+// Alert types and their severity
+const ALERT_TYPES = {
+  'threshold-breach': 'warning',
+  'submission-failed': 'critical',
+  'stale-price': 'critical',
+  'circuit-breaker': 'warning',
+  'low-balance': 'warning'
+};
+
+// The detail that tells distinct conditions of an alert type apart, e.g. an
+// upper and a lower threshold breach; each condition is deduplicated alone
+const DEDUP_DETAILS = {
+  'threshold-breach': 'bound',
+  'circuit-breaker': 'rule'
+};
+
+// Sends operator alerts through a webhook channel. Repeats of the same alert
+// type and condition for the same feed within dedupWindow seconds are
+// suppressed, so a condition that persists over many ticks pages once.
+// Deliveries run in the background; each outcome is emitted as a 'delivery'
+// event ({ type, feed, status: sent|failed|suppressed }).
+class Notifier extends EventEmitter {
+  constructor(channel, options = {}) {
+    super();
+    this.channel = channel;
+    this.events = options.events || Object.keys(ALERT_TYPES);
+    this.dedupWindow = options.dedupWindow ?? 900;
+    this.appId = options.appId;
+    this.instanceId = options.instanceId;
+    this.logger = new Logger('Notifier');
+    this.lastSent = new Map();
+    this.inflight = new Set();
+  }
+  
+  get enabled() {
+    return this.channel !== null;
+  }
+  
+  // Returns the delivery promise, or null when nothing is sent
+  notify(type, feed, message, details = {}) {
+    if (!this.enabled || !this.events.includes(type)) {
+      return null;
+    }
+    
+    const key = `${type}:${feed || ''}:${details[DEDUP_DETAILS[type]] ?? ''}`;
+    const now = Date.now();
+    if (this.lastSent.has(key) && now - this.lastSent.get(key) < this.dedupWindow * 1000) {
+      this.logger.debug(`Suppressed duplicate ${type} alert${feed ? ` for ${feed}` : ''}`);
+      this.emit('delivery', { type, feed, status: 'suppressed' });
+      return null;
+    }
+    this.lastSent.set(key, now);
+    
+    const alert = {
+      id: crypto.randomUUID(),
+      type,
+      severity: ALERT_TYPES[type],
+      feed: feed || null,
+      message,
+      details,
+      appId: this.appId,
+      instance: this.instanceId,
+      time: new Date(now).toISOString()
+    };
+    
+    const delivery = this.channel.send(alert).then(() => {
+      this.logger.info(`Sent ${type} alert via ${this.channel.name} webhook: ${message}`);
+      return 'sent';
+    }, error => {
+      // Forget the alert so the next occurrence tries again
+      this.lastSent.delete(key);
+      this.logger.error(`Failed to deliver ${type} alert via ${this.channel.name} webhook:`, error.message);
+      return 'failed';
+    }).then(status => {
+      this.inflight.delete(delivery);
+      this.emit('delivery', { type, feed, status });
+      return status;
+    });
+    
+    this.inflight.add(delivery);
+    return delivery;
+  }
+  
+  // Waits for deliveries still being sent or retried, e.g. on shutdown
+  async flush() {
+    await Promise.all(this.inflight);
+  }
+}
+
+module.exports = { Notifier, ALERT_TYPES };
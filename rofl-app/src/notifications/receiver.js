@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const http = require('http');
+const { Logger } = require('../utils/logger');
+const { signPayload } = require('./base');
+
+// Deliveries signed longer ago than this are rejected as replays
+const MAX_SIGNATURE_AGE = 300;
+
+// Local stand-in for an alert receiver. Accepts webhook POSTs on any path,
+// checks the signature when a secret is set, logs each alert and keeps the
+// received ones for GET /alerts, so alerting can be exercised without Slack
+// or an incident tool. Not for production.
+class WebhookReceiver {
+  constructor(options = {}) {
+    this.port = options.port ?? 8645;
+    this.secret = options.secret;
+    this.logger = new Logger('WebhookReceiver');
+    this.received = [];
+    this.server = null;
+  }
+  
+  verify(req, body) {
+    if (!this.secret) {
+      return null;
+    }
+    
+    const timestamp = Number(req.headers['x-oracle-timestamp']);
+    const signature = req.headers['x-oracle-signature'] || '';
+    if (!Number.isInteger(timestamp) || Math.abs(Date.now() / 1000 - timestamp) > MAX_SIGNATURE_AGE) {
+      return 'missing or expired timestamp';
+    }
+    
+    // Compare bytes: a header with non-ASCII characters has more bytes than characters
+    const given = Buffer.from(signature);
+    const expected = Buffer.from(signPayload(this.secret, timestamp, body));
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      return 'invalid signature';
+    }
+    return null;
+  }
+  
+  async handle(req, res) {
+    if (req.method === 'GET' && req.url === '/alerts') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(this.received));
+      return;
+    }
+    
+    if (req.method !== 'POST') {
+      res.writeHead(404);
+      res.end('Not found');
+      return;
+    }
+    
+    let body = '';
+    for await (const chunk of req) {
+      body += chunk;
+    }
+    
+    const problem = this.verify(req, body);
+    if (problem) {
+      this.logger.warn(`Rejected delivery ${req.headers['x-oracle-delivery']}: ${problem}`);
+      res.writeHead(401);
+      res.end(problem);
+      return;
+    }
+    
+    let payload;
+    try {
+      payload = JSON.parse(body);
+    } catch (error) {
+      res.writeHead(400);
+      res.end('invalid JSON');
+      return;
+    }
+    
+    const delivery = req.headers['x-oracle-delivery'];
+    if (this.received.some(entry => entry.delivery === delivery)) {
+      this.logger.info(`Duplicate delivery ${delivery} ignored`);
+    } else {
+      this.received.push({ delivery, event: req.headers['x-oracle-event'], path: req.url, payload });
+      this.logger.info(`Received ${req.headers['x-oracle-event']} alert on ${req.url}: ${payload.message || payload.text}`);
+    }
+    
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end('ok');
+  }
+  
+  start() {
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => {
+        this.logger.error('Request failed:', error);
+        res.writeHead(500);
+        res.end();
+      });
+    });
+    
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, () => {
+        this.port = this.server.address().port;
+        this.logger.info(`Webhook receiver listening on port ${this.port}${this.secret ? ', verifying signatures' : ''}`);
+        resolve();
+      });
+    });
+  }
+  
+  stop() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+    
+    return new Promise(resolve => this.server.close(() => {
+      this.server = null;
+      resolve();
+    }));
+  }
+}
+
+// node src/notifications/receiver.js [port], with ALERT_WEBHOOK_SECRET to
+// verify signatures
+if (require.main === module) {
+  const receiver = new WebhookReceiver({
+    port: Number(process.argv[2] || process.env.WEBHOOK_RECEIVER_PORT) || undefined,
+    secret: process.env.ALERT_WEBHOOK_SECRET
+  });
+  
+  receiver.start().catch(error => {
+    console.error('Failed to start webhook receiver:', error.message);
+    process.exit(1);
+  });
+  
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => receiver.stop().then(() => process.exit(0)));
+  }
+}
+
+module.exports = { WebhookReceiver };
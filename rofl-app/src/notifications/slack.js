@@ -0,0 +1,36 @@
+const { WebhookChannel } = require('./base');
+
+const SEVERITY_COLORS = {
+  critical: '#d32f2f',
+  warning: '#f9a825'
+};
+
+// Slack incoming webhook message: a one-line summary plus the alert details
+// as attachment fields
+class SlackWebhook extends WebhookChannel {
+  constructor(options = {}) {
+    super('slack', options);
+  }
+  
+  format(alert) {
+    const fields = Object.entries(alert.details)
+      .filter(([, value]) => value !== null && value !== undefined)
+      .map(([title, value]) => ({ title, value: String(value), short: true }));
+    
+    return {
+      text: `[${alert.severity.toUpperCase()}] ${alert.message}`,
+      attachments: [{
+        color: SEVERITY_COLORS[alert.severity],
+        fields: [
+          { title: 'event', value: alert.type, short: true },
+          { title: 'instance', value: alert.instance, short: true },
+          ...fields
+        ],
+        footer: `${alert.appId} | ${alert.id}`,
+        ts: Math.floor(Date.parse(alert.time) / 1000)
+      }]
+    };
+  }
+}
+
+module.exports = { SlackWebhook };
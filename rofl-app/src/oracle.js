@@ -1,32 +1,165 @@
-const axios = require('axios');
 const { ethers } = require('ethers');
-const { Logger } = require('./utils/logger');
-const { ROFLAttestation } = require('./attestation');
+const { Logger, withCorrelationId } = require('./utils/logger');
+const { ROFLAttestation, createAttestationBackend } = require('./attestation');
+const { createSources, SourceUnavailableError } = require('./sources');
+const { aggregateQuotes, describeAggregate, toFixedPoint } = require('./aggregator');
+const { UpdatePolicy, decideUpdate, MAX_PRICE_AGE } = require('./policy');
+const { CircuitBreaker } = require('./breaker');
+const { TwapTracker } = require('./twap');
+const { TransactionManager } = require('./transactions');
+const { StateStore } = require('./state');
+const { OracleMetrics } = require('./metrics');
+const { ShadowReport } = require('./shadow');
+const { createLeaderLease } = require('./coordination');
+const { createNotifier } = require('./notifications');
+const { withRetry } = require('./utils/retry');
+
+// Update decisions kept per feed for the admin API
+const RECENT_DECISIONS = 50;
+
+// Mirrors PriceOracle.MAX_BATCH_SIZE
+const MAX_BATCH_SIZE = 32;
 
 class PriceOracle {
   constructor(config) {
     this.config = config;
     this.logger = new Logger('PriceOracle');
     this.isRunning = false;
+    this.isUpdating = false;
+    this.isPaused = false;
     this.intervalId = null;
-    this.lastPrice = null;
-    this.lastUpdateTime = null;
+    this.lastTickAt = null;
+    
+    // Per-feed state, keyed by feed id (e.g. "ETH/USD")
+    this.feeds = new Map(config.feeds.map(feed => [feed.id, {
+      feed,
+      logger: this.logger.child({ feed: feed.id }),
+      policy: new UpdatePolicy(feed),
+      breaker: new CircuitBreaker(feed, config.oracle.maxDeviationPercentage),
+      twap: new TwapTracker(feed),
+      contract: null,
+      lastPrice: null,
+      lastUpdateTime: null,
+      lastFetchTime: null,
+      lastDecision: null,
+      lastError: null,
+      decisions: [],
+      failedSubmissions: 0,
+      pending: null,
+      // Latest quote per source, re-aggregated on streamed ticks
+      quotes: new Map()
+    }]));
+    
+    // Feeds with a streamed tick not yet evaluated, and the evaluation running
+    this.streamDue = new Set();
+    this.streamRun = null;
+    
+    for (const { feed } of this.feeds.values()) {
+      if (feed.heartbeat >= MAX_PRICE_AGE) {
+        this.logger.warn(`${feed.id} heartbeat ${feed.heartbeat}s is not below the contract's ${MAX_PRICE_AGE}s MAX_PRICE_AGE`);
+      }
+    }
     
     // Initialize blockchain connection
     this.provider = new ethers.JsonRpcProvider(config.blockchain.rpcUrl);
     this.wallet = new ethers.Wallet(config.rofl.privateKey, this.provider);
     
     // Initialize ROFL attestation
-    this.attestation = new ROFLAttestation(config.rofl.appId);
+    this.attestation = new ROFLAttestation(config.rofl.appId, createAttestationBackend(config));
+    
+    // Initialize price source adapters
+    this.sources = createSources(config);
     
     // Contract ABI (will be loaded from deployed contract)
     this.contractABI = [
       "function updatePrice(uint256 price, uint256 timestamp, bytes calldata attestation) external",
+      "function updatePrices(tuple(string appId, uint256 issuedAt, uint256 price, uint256 timestamp, string source, string feed, uint256 sequence, uint32[] twapWindows, uint256[] twapPrices, bytes teeQuote, bytes signature)[] reports) external returns (uint256 accepted)",
       "function getLatestPrice() external view returns (uint256 price, uint256 timestamp)",
+      "function getLatestPriceData() external view returns (tuple(uint256 price, uint256 timestamp, address oracle, bytes32 dataHash) priceData)",
+      "function getFeedPrice(string feed) external view returns (uint256 price, uint256 timestamp)",
+      "function getFeedPriceData(string feed) external view returns (tuple(uint256 price, uint256 timestamp, address oracle, bytes32 dataHash) priceData)",
+      "function defaultFeed() external view returns (string)",
+      "function getThresholds() external view returns (tuple(uint256 upperBound, uint256 lowerBound, bool enabled) config)",
+      "function owner() external view returns (address)",
+      "function authorizedApps(string appId) external view returns (bool)",
+      "function authorizedOracles(address oracle) external view returns (bool)",
+      "function authorizedSigners(string appId, address signer) external view returns (bool)",
       "function setThreshold(uint256 upperBound, uint256 lowerBound) external",
-      "event PriceUpdated(uint256 indexed price, uint256 indexed timestamp, address indexed oracle)",
-      "event ThresholdBreached(uint256 indexed price, bool indexed isUpper)"
+      "function lastSequence(string appId, string feed) external view returns (uint256)",
+      "function getTwap(uint32 window) external view returns (uint256 price, uint256 timestamp)",
+      "function getFeedTwap(string feed, uint32 window) external view returns (uint256 price, uint256 timestamp)",
+      "function measurementId(bytes32 mrEnclave, bytes32 mrSigner, uint16 productId) external pure returns (bytes32)",
+      "function enclaveApprovals(string appId, bytes32 id) external view returns (bool approved, uint16 minSecurityVersion)",
+      "event PriceUpdated(uint256 indexed price, uint256 indexed timestamp, address indexed oracle, string appId)",
+      "event FeedPriceUpdated(string indexed feed, uint256 price, uint256 timestamp, address indexed oracle)",
+      "event ReportSkipped(string feed, uint256 sequence, bytes reason)",
+      "event TwapUpdated(uint32 indexed window, uint256 price, uint256 timestamp)",
+      "event ThresholdBreached(uint256 indexed price, bool indexed isUpper, uint256 threshold)",
+      "error UnauthorizedApp(string appId)",
+      "error UnauthorizedOracle(address oracle)",
+      "error InvalidAttestation()",
+      "error PriceTooOld(uint256 timestamp)",
+      "error InvalidPriceData()",
+      "error ThresholdNotConfigured()",
+      "error InvalidSignature()",
+      "error UnauthorizedSigner(string appId, address signer)",
+      "error FutureTimestamp(uint256 timestamp, uint256 maxTimestamp)",
+      "error StaleTimestamp(uint256 timestamp, uint256 latestTimestamp)",
+      "error StaleSequence(string appId, string feed, uint256 sequence, uint256 lastSequence)",
+      "error InvalidQuote()",
+      "error QuoteSignerMismatch(address signer)",
+      "error UnapprovedEnclave(string appId, bytes32 mrEnclave, bytes32 mrSigner, uint16 productId)",
+      "error OutdatedEnclave(string appId, uint16 securityVersion, uint16 minSecurityVersion)",
+      "error InvalidTwapData()",
+      "error TwapNotAvailable(uint32 window)",
+      "error InvalidBatch(uint256 size)"
     ];
+    
+    // Nonce tracking, fee bumping and replacement for submissions
+    this.txManager = new TransactionManager(
+      this.wallet,
+      config.transactions,
+      new ethers.Interface(this.contractABI)
+    );
+    
+    // Keep the persisted copy of in-flight txs current across fee bumps; all
+    // feeds of a batch share its submission
+    this.txManager.on('sent', submission => {
+      for (const state of this.feeds.values()) {
+        if (state.pending?.submission === submission) {
+          this.persistPending(state);
+        }
+      }
+    });
+    
+    // Persistent state across restarts
+    this.stateStore = new StateStore(config.state.path);
+    
+    // Instrumentation exposed on /metrics
+    this.metrics = new OracleMetrics();
+    this.txManager.on('outcome', outcome => this.metrics.recordSubmission(outcome.key, outcome));
+    for (const source of this.sources) {
+      this.metrics.recordSourceHealth({ source: source.name, degraded: false });
+      source.on('throttled', event => this.metrics.recordSourceThrottled(event));
+      source.on('cache-hit', event => this.metrics.recordSourceCacheHit(event));
+      source.on('health', event => this.metrics.recordSourceHealth(event));
+      source.on('quote', event => this.onStreamQuote(source, event));
+      source.on('stream-gap', event => this.metrics.recordStreamGap(event));
+      source.on('stream-connection', event => this.metrics.recordStreamConnection(event));
+    }
+    
+    // In shadow mode every would-be submission is recorded instead of sent
+    this.shadow = config.shadow.enabled ? new ShadowReport(config.shadow.reportPath) : null;
+    
+    // Replicas sharing a key elect one leader to submit; followers stay hot
+    this.lease = createLeaderLease(config, this);
+    this.leaseTimer = null;
+    this.lastLeaseHolder = null;
+    this.lastSubmittedSequence = 0;
+    
+    // Operator alerts over a webhook
+    this.notifier = createNotifier(config, this.lease.instanceId);
+    this.notifier.on('delivery', delivery => this.metrics.recordAlert(delivery));
   }
   
   async start() {
@@ -36,36 +169,70 @@ class PriceOracle {
     }
     
     try {
-      this.logger.info('Initializing Price Oracle...');
-      
-      // Initialize contract connection
-      this.contract = new ethers.Contract(
-        this.config.blockchain.contractAddress,
-        this.contractABI,
-        this.wallet
-      );
-      
-      // Verify contract connection
-      await this.verifyContractConnection();
+      await this.initialize();
+      await this.startLease();
+      this.startStreams();
       
       // Start price monitoring
       this.isRunning = true;
       await this.fetchAndUpdatePrice(); // Initial fetch
       
       // Set up periodic updates
-      this.intervalId = setInterval(
-        () => this.fetchAndUpdatePrice(),
-        this.config.oracle.updateInterval
-      );
-      
-      this.logger.info(`Oracle started with ${this.config.oracle.updateInterval}ms update interval`);
+      this.schedule();
       
+      this.logger.info(`Oracle started for ${this.feeds.size} feed(s) with ${this.config.oracle.updateInterval}ms update interval`);
+    
     } catch (error) {
       this.logger.error('Failed to start oracle:', error);
       throw error;
     }
   }
   
+  // Everything start() does before the update loop runs; also used by the
+  // CLI to submit a single update
+  async initialize() {
+    this.logger.info('Initializing Price Oracle...');
+    if (this.shadow) {
+      this.logger.warn(`Shadow mode: no transactions will be sent, would-be submissions are written to ${this.shadow.filePath}`);
+    }
+    
+    this.checkFeedContracts();
+    await this.attestation.init();
+    await this.checkChainId();
+    this.stateStore.load();
+    this.attestation.advanceSequence(this.stateStore.getSequence());
+    this.connectContracts();
+    
+    for (const state of this.feeds.values()) {
+      // Verify contract connection
+      await this.verifyContractConnection(state);
+      await this.checkEnclaveApproval(state);
+      
+      // Continue from the on-chain price and pick up in-flight txs
+      await this.reconcileFeedState(state);
+    }
+  }
+  
+  // A single update tick without the loop, for the CLI's submit-once. Any
+  // submissions are left in state.pending; call stop() once they settle.
+  async runOnce(options = {}) {
+    await this.initialize();
+    await this.renewLease();
+    this.isRunning = true;
+    await this.fetchAndUpdatePrice(options);
+  }
+  
+  // Initialize one contract connection per feed
+  connectContracts() {
+    for (const state of this.feeds.values()) {
+      state.contract = new ethers.Contract(
+        state.feed.contractAddress,
+        this.contractABI,
+        this.wallet
+      );
+    }
+  }
+  
   async stop() {
     if (!this.isRunning) {
       return;
@@ -73,162 +240,979 @@ class PriceOracle {
     
     this.logger.info('Stopping Price Oracle...');
     this.isRunning = false;
+    this.isPaused = false;
+    this.unschedule();
+    for (const source of this.sources) {
+      source.stopStream();
+    }
+    
+    if (this.leaseTimer) {
+      clearInterval(this.leaseTimer);
+      this.leaseTimer = null;
+    }
+    await this.lease.release();
+    
+    this.txManager.stop();
+    await this.notifier.flush();
+    
+    this.logger.info('Oracle stopped');
+  }
+  
+  // Live tickers for the streaming sources; until a stream delivers, and
+  // during its gaps, those sources are polled like the others
+  startStreams() {
+    for (const source of this.sources) {
+      if (!source.streaming) {
+        continue;
+      }
+      
+      const symbols = [...this.feeds.values()]
+        .map(({ feed }) => feed.symbols[source.name])
+        .filter(symbol => symbol !== undefined);
+      if (symbols.length > 0) {
+        this.metrics.recordStreamConnection({ source: source.name, connected: false });
+        source.startStream(symbols);
+      }
+    }
+  }
+  
+  // Every streamed tick re-aggregates the feed's latest quotes. When the
+  // policy would push the new price, the feed is updated right away instead
+  // of at the next poll.
+  onStreamQuote(source, { symbol, quote }) {
+    for (const state of this.feeds.values()) {
+      if (state.feed.symbols[source.name] === symbol) {
+        state.quotes.set(source.name, quote);
+        this.streamDue.add(state);
+      }
+    }
+    this.runStreamUpdates();
+  }
+  
+  async runStreamUpdates() {
+    // Followers only track prices, which polling covers; ticks arriving during
+    // a poll are evaluated once it is done
+    if (!this.isRunning || this.isPaused || this.isUpdating || !this.lease.isLeader) {
+      return;
+    }
     
+    const states = [...this.streamDue].filter(state => this.isStreamUpdateDue(state));
+    this.streamDue.clear();
+    if (states.length === 0) {
+      return;
+    }
+    
+    this.isUpdating = true;
+    this.streamRun = withCorrelationId(null, async () => {
+      const due = [];
+      for (const state of states) {
+        this.metrics.recordStreamUpdate(state.feed.id);
+        const update = await this.updateFeed(state, false, [...state.quotes.values()]);
+        if (update) {
+          due.push(update);
+        }
+      }
+      
+      if (due.length > 0) {
+        await this.submitBatches(due);
+      }
+    });
+    
+    try {
+      await this.streamRun;
+    } catch (error) {
+      this.logger.error('Streamed update failed:', error);
+    } finally {
+      this.isUpdating = false;
+      this.streamRun = null;
+    }
+    
+    // Ticks that arrived meanwhile, after a pending poll had its turn
+    if (this.streamDue.size > 0) {
+      setImmediate(() => this.runStreamUpdates());
+    }
+  }
+  
+  // Whether the policy would push the feed's streamed price now. Only this
+  // check runs on every tick; the update itself runs the breaker and records
+  // policy and TWAP samples. A pending update is replaced, and a held price
+  // jump confirmed, by polls only, so a fast stream can't bump fees on every
+  // tick or confirm a jump within seconds.
+  isStreamUpdateDue(state) {
+    const { feed } = state;
+    if (state.pending || state.breaker.isHolding()) {
+      return false;
+    }
+    
+    try {
+      const aggregate = aggregateQuotes([...state.quotes.values()], {
+        minSources: feed.minSources,
+        maxDeviationPercentage: this.config.oracle.maxDeviationPercentage,
+        maxQuoteAge: this.config.oracle.maxQuoteAge
+      });
+      return state.policy.decide(state, toFixedPoint(aggregate.price, feed.decimals), Math.floor(Date.now() / 1000)).update;
+    } catch (error) {
+      state.logger.debug(`${feed.id} streamed quotes not aggregated: ${error.message}`);
+      return false;
+    }
+  }
+  
+  async startLease() {
+    await this.renewLease();
+    
+    if (this.lease.renewInterval) {
+      this.leaseTimer = setInterval(() => this.renewLease(), this.lease.renewInterval);
+    }
+  }
+  
+  async renewLease() {
+    const wasLeader = this.lease.isLeader;
+    
+    try {
+      await this.lease.acquire();
+      const isLeader = this.lease.isLeader;
+      this.metrics.recordLeadership(isLeader);
+      
+      if (isLeader && !wasLeader) {
+        this.logger.info(`Leading as ${this.lease.instanceId} (${this.lease.name} lease)`);
+        // The previous leader may have used nonces of the shared key
+        await this.txManager.syncNonce();
+      } else if (!isLeader && wasLeader) {
+        this.logger.warn(`Lost leadership${this.lease.holder ? ` to ${this.lease.holder}` : ''}, following`);
+      } else if (!isLeader && this.lease.holder !== this.lastLeaseHolder) {
+        this.logger.info(`Following ${this.lease.holder || 'the current leader'}`);
+      }
+      this.lastLeaseHolder = this.lease.holder;
+    
+    } catch (error) {
+      this.logger.error('Failed to renew leader lease:', error);
+    }
+  }
+  
+  schedule() {
+    this.intervalId = setInterval(
+      () => this.fetchAndUpdatePrice(),
+      this.config.oracle.updateInterval
+    );
+  }
+  
+  unschedule() {
     if (this.intervalId) {
       clearInterval(this.intervalId);
       this.intervalId = null;
     }
+  }
+  
+  // Pausing only stops the periodic loop; in-flight transactions are still
+  // watched, bumped and persisted, and forced updates still go through
+  pause() {
+    if (!this.isRunning || this.isPaused) {
+      return;
+    }
     
-    this.logger.info('Oracle stopped');
+    this.isPaused = true;
+    this.unschedule();
+    this.logger.info('Oracle update loop paused');
+  }
+  
+  async resume() {
+    if (!this.isRunning || !this.isPaused) {
+      return;
+    }
+    
+    this.isPaused = false;
+    this.schedule();
+    this.logger.info('Oracle update loop resumed');
+    await this.fetchAndUpdatePrice();
   }
   
-  async verifyContractConnection() {
+  setUpdateInterval(updateInterval) {
+    this.config.oracle.updateInterval = updateInterval;
+    
+    // Restart the timer so the new interval applies from now
+    if (this.intervalId) {
+      this.unschedule();
+      this.schedule();
+    }
+    
+    this.logger.info(`Update interval set to ${updateInterval}ms`);
+  }
+  
+  setFeedThreshold(feedId, thresholdPercentage) {
+    const state = this.feeds.get(feedId);
+    if (!state) {
+      throw new Error(`Unknown feed ${feedId}`);
+    }
+    
+    state.feed.thresholdPercentage = thresholdPercentage;
+    state.policy.thresholdPercentage = thresholdPercentage;
+    this.logger.info(`${feedId} threshold set to ${thresholdPercentage}%`);
+  }
+  
+  getStatus() {
+    return {
+      running: this.isRunning,
+      paused: this.isPaused,
+      updating: this.isUpdating,
+      updateInterval: this.config.oracle.updateInterval,
+      lastTickAt: this.lastTickAt ? new Date(this.lastTickAt).toISOString() : null,
+      wallet: this.wallet.address,
+      signer: this.attestation.signerAddress,
+      sequence: this.attestation.sequence,
+      leader: this.lease.describe(),
+      shadow: this.shadow ? this.shadow.getSummary() : null,
+      sources: this.sources.map(source => source.describe()),
+      feeds: [...this.feeds.values()].map(state => {
+        const { feed, pending } = state;
+        return {
+          id: feed.id,
+          contractAddress: feed.contractAddress,
+          thresholdPercentage: feed.thresholdPercentage,
+          effectiveThreshold: state.policy.effectiveThreshold().threshold,
+          heartbeat: feed.heartbeat,
+          lastPrice: state.lastPrice ? ethers.formatUnits(state.lastPrice, feed.decimals) : null,
+          lastUpdateTime: state.lastUpdateTime,
+          lastFetchTime: state.lastFetchTime,
+          lastDecision: state.lastDecision,
+          lastError: state.lastError ? state.lastError.message : null,
+          pending: pending ? {
+            hash: pending.submission.hash,
+            nonce: pending.submission.nonce,
+            price: ethers.formatUnits(pending.price, feed.decimals),
+            timestamp: pending.timestamp
+          } : null
+        };
+      })
+    };
+  }
+  
+  checkFeedContracts() {
+    // A contract keeps a price per feed, but feeds can only share one when
+    // their updates are batched: separate txs to one contract could land out
+    // of sequence order once a pending one is replaced
+    const owners = new Map();
+    for (const { feed } of this.feeds.values()) {
+      if (!feed.contractAddress) {
+        throw new Error(`Feed ${feed.id} has no contract address`);
+      }
+      
+      const address = feed.contractAddress.toLowerCase();
+      const feedIds = owners.get(address) || [];
+      if (feedIds.length > 0 && !this.config.transactions.batchUpdates) {
+        throw new Error(`Feeds ${feedIds[0]} and ${feed.id} share contract ${feed.contractAddress}; set BATCH_UPDATES=true to update them together`);
+      }
+      if (feedIds.length === MAX_BATCH_SIZE) {
+        throw new Error(`More than ${MAX_BATCH_SIZE} feeds share contract ${feed.contractAddress}`);
+      }
+      owners.set(address, [...feedIds, feed.id]);
+    }
+  }
+  
+  // Reports are signed for config.blockchain.chainId, so a mismatched RPC
+  // endpoint would only show up as rejected signatures
+  async checkChainId() {
+    const { chainId } = await withRetry(() => this.provider.getNetwork());
+    if (chainId !== BigInt(this.config.blockchain.chainId)) {
+      throw new Error(`RPC endpoint is on chain ${chainId}, but CHAIN_ID is ${this.config.blockchain.chainId}`);
+    }
+  }
+  
+  // Reports from a build the contract doesn't approve would all revert; warn
+  // instead of failing so the owner can approve the build while we run
+  async checkEnclaveApproval(state) {
+    const { mrEnclave, mrSigner, productId, securityVersion } = this.attestation.backend.measurement();
+    const id = await state.contract.measurementId(mrEnclave, mrSigner, productId);
+    const { approved, minSecurityVersion } = await withRetry(() => state.contract.enclaveApprovals(this.config.rofl.appId, id));
+    
+    if (!approved) {
+      this.logger.warn(`Enclave build ${mrEnclave} (mrSigner ${mrSigner}, product ${productId}) is not approved on the ${state.feed.id} contract; updates will revert until setEnclaveApproval is called`);
+    } else if (securityVersion < Number(minSecurityVersion)) {
+      this.logger.warn(`Enclave security version ${securityVersion} is below the ${state.feed.id} contract's minimum ${minSecurityVersion}`);
+    }
+  }
+  
+  async verifyContractConnection(state) {
     try {
       // Test contract call
-      const [price, timestamp] = await this.contract.getLatestPrice();
-      this.logger.info(`Contract connected. Latest price: ${ethers.formatUnits(price, 8)} at ${new Date(Number(timestamp) * 1000)}`);
+      const [price, timestamp] = await state.contract.getFeedPrice(state.feed.id);
+      this.logger.info(`Contract for ${state.feed.id} connected. Latest price: ${ethers.formatUnits(price, state.feed.decimals)} at ${new Date(Number(timestamp) * 1000)}`);
     } catch (error) {
-      this.logger.error('Contract connection failed:', error);
-      throw new Error('Unable to connect to price oracle contract');
+      this.logger.error(`Contract connection failed for ${state.feed.id}:`, error);
+      throw new Error(`Unable to connect to price oracle contract for ${state.feed.id}`);
     }
   }
   
-  async fetchPriceFromCoinGecko() {
+  async reconcileFeedState(state) {
+    const { feed } = state;
+    const stored = this.stateStore.getFeed(feed.id);
+    state.twap.restore(stored.twapSamples);
+    
     try {
-      const url = `${this.config.oracle.baseUrl}/simple/price`;
-      const params = {
-        ids: 'ethereum',
-        vs_currencies: 'usd',
-        precision: 8
-      };
+      const onChain = await withRetry(() => state.contract.getFeedPriceData(feed.id));
       
-      // Add API key if available
-      if (this.config.oracle.coinGeckoApiKey) {
-        params.x_cg_demo_api_key = this.config.oracle.coinGeckoApiKey;
+      // The chain is the source of truth; the stored price only explains the difference
+      if (onChain.timestamp > 0n) {
+        state.lastPrice = onChain.price;
+        state.lastUpdateTime = Number(onChain.timestamp);
+        
+        if (stored.lastPrice && stored.lastPrice !== onChain.price.toString()) {
+          this.logger.info(`${feed.id} stored price ${ethers.formatUnits(stored.lastPrice, feed.decimals)} differs from on-chain price, using on-chain`);
+        }
+        
+        this.metrics.recordOnChainPrice(feed.id, Number(ethers.formatUnits(onChain.price, feed.decimals)), state.lastUpdateTime);
+        
+        const age = Math.floor(Date.now() / 1000) - state.lastUpdateTime;
+        this.logger.info(`${feed.id} resuming from on-chain price ${ethers.formatUnits(onChain.price, feed.decimals)} (${age}s old)`);
       }
       
-      const response = await axios.get(url, { 
-        params,
-        timeout: 10000,
-        headers: {
-          'User-Agent': 'PriceOracle-ROFL/1.0'
-        }
-      });
+      // A lost state file must not make us reuse sequences the contract has seen
+      const lastSequence = await withRetry(() => state.contract.lastSequence(this.config.rofl.appId, feed.id));
+      if (lastSequence > BigInt(this.attestation.sequence)) {
+        this.logger.info(`${feed.id} contract has seen sequence ${lastSequence}, continuing from there`);
+        this.attestation.advanceSequence(lastSequence);
+      }
+    } catch (error) {
+      this.logger.error(`Failed to read on-chain price for ${feed.id}:`, error.message);
+      throw error;
+    }
+    
+    // A shadow oracle never owns transactions, even if pointed at a production state file
+    if (stored.pending && !this.shadow) {
+      const price = BigInt(stored.pending.price);
+      const { timestamp } = stored.pending;
       
-      const ethPrice = response.data.ethereum?.usd;
-      if (!ethPrice) {
-        throw new Error('Invalid response from CoinGecko API');
+      // The feeds of a batch share one transaction, adopted by the first of them
+      const key = stored.pending.key || feed.id;
+      const submission = this.txManager.pending.get(key)
+        || await this.txManager.adopt(key, stored.pending, { label: `${feed.id} price update` });
+      state.pending = { submission, price, timestamp };
+      this.followOutcome(state, submission, price, timestamp);
+    }
+  }
+  
+  persistPending(state) {
+    const { submission, price, timestamp } = state.pending;
+    
+    this.stateStore.updateFeed(state.feed.id, {
+      pending: {
+        ...this.txManager.snapshot(submission),
+        key: submission.key,
+        price: price.toString(),
+        timestamp
+      }
+    });
+  }
+  
+  async fetchQuotes(feed) {
+    // Only query sources that have a symbol for this feed
+    const sources = this.sources.filter(source => feed.symbols[source.name] !== undefined);
+    
+    // Query every source concurrently; one failing source must not block the rest
+    const results = await Promise.allSettled(
+      sources.map(source => this.timeFetch(feed, source))
+    );
+    
+    const quotes = [];
+    results.forEach((result, index) => {
+      const source = sources[index];
+      if (result.status === 'fulfilled') {
+        this.logger.debug(`Fetched ${feed.id} quote from ${source.name}: ${result.value.price}`);
+        quotes.push(result.value);
+      } else if (result.reason instanceof SourceUnavailableError) {
+        // Throttled and degraded sources log themselves
+        this.logger.debug(`Skipped ${feed.id} quote from ${source.name}: ${result.reason.message}`);
+      } else {
+        this.logger.warn(`Failed to fetch ${feed.id} price from ${source.name}: ${result.reason.message}`);
+      }
+    });
+    
+    return quotes;
+  }
+  
+  async timeFetch(feed, source) {
+    const startedAt = Date.now();
+    try {
+      const quote = await source.getQuote(feed.symbols[source.name]);
+      this.metrics.recordFetch(feed.id, source.name, Date.now() - startedAt);
+      return quote;
+    } catch (error) {
+      // Skipped requests are counted by the throttling metrics instead
+      if (!(error instanceof SourceUnavailableError)) {
+        this.metrics.recordFetch(feed.id, source.name, Date.now() - startedAt, error);
       }
+      throw error;
+    }
+  }
+  
+  // Fetches every source's quote, or aggregates the given quotes instead
+  async fetchAggregatedPrice(feed, quotes = null) {
+    try {
+      if (!quotes) {
+        quotes = await this.fetchQuotes(feed);
+        const state = this.feeds.get(feed.id);
+        state.quotes = new Map(quotes.map(quote => [quote.source, quote]));
+      }
+      
+      const aggregate = aggregateQuotes(quotes, {
+        minSources: feed.minSources,
+        maxDeviationPercentage: this.config.oracle.maxDeviationPercentage,
+        maxQuoteAge: this.config.oracle.maxQuoteAge
+      });
       
-      // Convert to fixed-point representation (8 decimals)
-      const priceWei = ethers.parseUnits(ethPrice.toString(), 8);
+      for (const quote of aggregate.rejected) {
+        this.logger.warn(`Rejected ${quote.reason} ${feed.id} quote from ${quote.source}: ${quote.price}`);
+      }
       
-      this.logger.debug(`Fetched ETH price: $${ethPrice}`);
+      this.logger.debug(`Aggregated ${feed.id} price: ${aggregate.price} from ${aggregate.accepted.length} sources`);
+      this.metrics.recordFetchedPrice(feed.id, aggregate.price);
       return {
-        price: priceWei,
-        timestamp: Math.floor(Date.now() / 1000),
-        source: 'coingecko'
+        // Convert to the feed's fixed-point representation
+        price: toFixedPoint(aggregate.price, feed.decimals),
+        timestamp: aggregate.timestamp,
+        source: describeAggregate(aggregate, feed),
+        aggregate
       };
-      
+    
     } catch (error) {
-      this.logger.error('Failed to fetch price from CoinGecko:', error);
+      this.logger.error(`Failed to aggregate ${feed.id} price:`, error.message);
       throw error;
     }
   }
   
-  shouldUpdatePrice(newPrice) {
-    if (!this.lastPrice) {
-      return true; // First price update
-    }
-    
-    // Calculate percentage change
-    const oldPrice = Number(ethers.formatUnits(this.lastPrice, 8));
-    const currentPrice = Number(ethers.formatUnits(newPrice, 8));
-    const percentageChange = Math.abs((currentPrice - oldPrice) / oldPrice) * 100;
-    
-    const shouldUpdate = percentageChange >= this.config.oracle.thresholdPercentage;
+  shouldUpdatePrice(state, priceData, force = false) {
+    const { feed } = state;
+    const { check, decision } = decideUpdate(state, priceData.price, priceData.aggregate.accepted.length, { force });
+    this.metrics.recordBreaker(feed.id, check, state.breaker.isHolding());
     
-    if (shouldUpdate) {
-      this.logger.info(`Price change ${percentageChange.toFixed(2)}% exceeds threshold ${this.config.oracle.thresholdPercentage}%`);
+    if (check.tripped) {
+      state.logger.error(`${feed.id} circuit breaker tripped (${check.rule}) on price ${check.price}`, check);
+      this.alert('circuit-breaker', feed.id, `${feed.id} circuit breaker tripped (${check.rule}) on price ${check.price}`, check);
     } else {
-      this.logger.debug(`Price change ${percentageChange.toFixed(2)}% below threshold`);
+      if (check.confirmedBy) {
+        state.logger.warn(`${feed.id} price jump of ${check.jump}% confirmed by ${check.confirmedBy}`, check);
+      }
+      this.recordTwapSample(state, priceData);
     }
     
-    return shouldUpdate;
+    decision.decidedAt = Math.floor(Date.now() / 1000);
+    state.lastDecision = decision;
+    state.decisions.push(decision);
+    if (state.decisions.length > RECENT_DECISIONS) {
+      state.decisions.shift();
+    }
+    
+    state.logger.info(`${state.feed.id} update decision: ${decision.update ? 'push' : 'skip'} (${decision.reason})`, decision);
+    
+    return decision.update;
   }
   
-  async fetchAndUpdatePrice() {
+  // options.force submits regardless of the update policy and
+  // options.feedId limits the run to one feed; both are used by the admin API
+  async fetchAndUpdatePrice(options = {}) {
     if (!this.isRunning) {
       return;
     }
     
+    if (options.force && !this.lease.isLeader) {
+      throw new Error(`This replica is a follower; force the update on the leader (${this.lease.holder || 'unknown'})`);
+    }
+    
+    // A streamed update is short, so a poll waits for it rather than skip
+    if (this.streamRun) {
+      await this.streamRun.catch(() => {});
+    }
+    
+    // Don't let slow ticks pile up behind each other
+    if (this.isUpdating) {
+      if (options.force) {
+        throw new Error('An update tick is already running');
+      }
+      this.logger.warn('Previous update tick still running, skipping this one');
+      return;
+    }
+    
+    this.isUpdating = true;
+    this.lastTickAt = Date.now();
+    // The poll evaluates every feed with the latest streamed quotes too
+    this.streamDue.clear();
     try {
-      this.logger.debug('Fetching latest ETH price...');
+      // Every log line of this tick, and of the transactions it sends, shares a correlation id
+      await withCorrelationId(null, async () => {
+        // Feeds are processed one after another so their transactions don't race for nonces
+        const due = [];
+        for (const state of this.feeds.values()) {
+          if (options.feedId && state.feed.id !== options.feedId) {
+            continue;
+          }
+          const update = await this.updateFeed(state, options.force);
+          if (update) {
+            due.push(update);
+          }
+        }
+        
+        if (due.length > 0) {
+          await this.submitBatches(due);
+        }
+        
+        await this.updateWalletBalance();
+      });
+    } finally {
+      this.isUpdating = false;
+    }
+    
+    if (this.streamDue.size > 0) {
+      setImmediate(() => this.runStreamUpdates());
+    }
+  }
+  
+  async updateWalletBalance() {
+    try {
+      const balance = await this.provider.getBalance(this.wallet.address);
+      this.metrics.recordWalletBalance(balance);
       
-      // Fetch price data
-      const priceData = await this.fetchPriceFromCoinGecko();
+      const { minBalance } = this.config.health;
+      if (balance < ethers.parseEther(minBalance)) {
+        this.alert('low-balance', null, `Oracle wallet ${this.wallet.address} balance ${ethers.formatEther(balance)} is below ${minBalance}`, {
+          wallet: this.wallet.address,
+          balance: ethers.formatEther(balance),
+          minBalance
+        });
+      }
+    } catch (error) {
+      this.logger.warn('Failed to read wallet balance:', error.message);
+    }
+  }
+  
+  // quotes are the feed's latest quotes on a streamed tick; otherwise every
+  // source is fetched
+  async updateFeed(state, force = false, quotes = null) {
+    const { feed } = state;
+    state.lastError = null;
+    
+    try {
+      this.checkStaleness(state);
+      state.logger.debug(`${quotes ? 'Aggregating streamed' : 'Fetching latest'} ${feed.id} price...`);
+      
+      // Fetch and aggregate price data from all sources
+      const priceData = await this.fetchAggregatedPrice(feed, quotes);
+      state.lastFetchTime = Math.floor(Date.now() / 1000);
+      
+      if (this.shadow) {
+        await this.recordShadowUpdate(state, priceData, force);
+        return;
+      }
+      
+      // Followers track the chain and their price history so they can take
+      // over at any tick, but leave submitting to the leader
+      if (!this.lease.isLeader) {
+        await this.refreshOnChainPrice(state);
+        if (this.shouldUpdatePrice(state, priceData, false)) {
+          state.logger.info(`${feed.id} update left to the leader`);
+        }
+        return;
+      }
       
       // Check if update is needed
-      if (!this.shouldUpdatePrice(priceData.price)) {
+      if (!this.shouldUpdatePrice(state, priceData, force)) {
         return;
       }
       
-      // Generate attestation for the price data
-      const attestation = await this.attestation.generateAttestation({
-        price: priceData.price.toString(),
-        timestamp: priceData.timestamp,
-        source: priceData.source
-      });
+      // The contract only accepts reports strictly newer than its price
+      if (state.lastUpdateTime && priceData.timestamp <= state.lastUpdateTime) {
+        state.logger.info(`${feed.id} price at ${priceData.timestamp} is not newer than the on-chain price, skipping`);
+        return;
+      }
       
-      // Submit to smart contract
-      await this.submitPriceUpdate(priceData.price, priceData.timestamp, attestation);
+      if (this.lease.name !== 'none' && await this.isDuplicateRound(state, priceData, force)) {
+        return;
+      }
       
-      // Update local state
-      this.lastPrice = priceData.price;
-      this.lastUpdateTime = priceData.timestamp;
+      const attestation = await this.attestPrice(state, priceData);
       
-      this.logger.info(`Price updated: $${ethers.formatUnits(priceData.price, 8)}`);
+      // Persist the sequence before the report can reach the chain
+      this.stateStore.setSequence(this.attestation.sequence);
+      this.lastSubmittedSequence = this.attestation.sequence;
       
+      // Batched updates go out together once every feed has had its turn
+      if (this.config.transactions.batchUpdates) {
+        return { state, price: priceData.price, timestamp: priceData.timestamp, attestation };
+      }
+      
+      // Submit to smart contract; local state is updated once the tx confirms
+      await this.submitPriceUpdate(state, priceData.price, priceData.timestamp, attestation);
+    
     } catch (error) {
-      this.logger.error('Failed to fetch and update price:', error);
-      // Continue running despite errors
+      state.lastError = error;
+      state.logger.error(`Failed to fetch and update ${feed.id} price:`, error);
+      // Continue with the remaining feeds despite errors
+    }
+  }
+  
+  // Alerts come only from the replica that submits, so HA followers and
+  // shadow oracles don't page a second time for the same condition
+  alert(type, feedId, message, details = {}) {
+    if (this.shadow || !this.lease.isLeader) {
+      return;
+    }
+    this.notifier.notify(type, feedId, message, details);
+  }
+  
+  checkStaleness(state) {
+    const { feed } = state;
+    if (!state.lastUpdateTime) {
+      return;
+    }
+    
+    const age = Math.floor(Date.now() / 1000) - state.lastUpdateTime;
+    const { maxUpdateAge } = this.config.health;
+    if (age > maxUpdateAge) {
+      this.alert('stale-price', feed.id, `${feed.id} on-chain price is ${age}s old (limit ${maxUpdateAge}s)`, {
+        age,
+        maxUpdateAge,
+        lastUpdateTime: state.lastUpdateTime
+      });
+    }
+  }
+  
+  // Counts consecutive failed submissions of a feed; from the configured
+  // count on, each further failure alerts (subject to deduplication)
+  recordSubmissionFailure(state, reason) {
+    const { feed } = state;
+    state.failedSubmissions += 1;
+    
+    if (state.failedSubmissions >= this.config.alerts.failedSubmissions) {
+      this.alert('submission-failed', feed.id, `${feed.id} price update failed ${state.failedSubmissions} times in a row: ${reason}`, {
+        attempts: state.failedSubmissions,
+        reason
+      });
+    }
+  }
+  
+  recordTwapSample(state, priceData) {
+    if (!state.twap.enabled) {
+      return;
+    }
+    
+    state.twap.record(priceData.aggregate.price, priceData.timestamp);
+    this.stateStore.updateFeed(state.feed.id, { twapSamples: state.twap.samples });
+  }
+  
+  // Generate attestation for the price data and the feed's TWAPs, signed for
+  // this feed's contract
+  attestPrice(state, priceData) {
+    return this.attestation.generateAttestation({
+      feed: state.feed.id,
+      price: priceData.price.toString(),
+      timestamp: priceData.timestamp,
+      source: priceData.source,
+      twaps: state.twap.compute(priceData.timestamp)
+    }, {
+      chainId: this.config.blockchain.chainId,
+      verifyingContract: state.feed.contractAddress
+    });
+  }
+  
+  // Shadow counterpart of the submit path. Our own updates never land, so the
+  // policy is evaluated against whatever is live on-chain, and a price that
+  // would be pushed is attested like production but only recorded.
+  async recordShadowUpdate(state, priceData, force) {
+    const { feed } = state;
+    await this.refreshOnChainPrice(state);
+    
+    let wouldUpdate = this.shouldUpdatePrice(state, priceData, force);
+    const decision = state.lastDecision;
+    let { reason } = decision;
+    
+    if (wouldUpdate && state.lastUpdateTime && priceData.timestamp <= state.lastUpdateTime) {
+      wouldUpdate = false;
+      reason = 'not-newer';
+    }
+    
+    let sequence = null;
+    if (wouldUpdate) {
+      await this.attestPrice(state, priceData);
+      sequence = this.attestation.sequence;
+    }
+    
+    const entry = {
+      time: new Date().toISOString(),
+      feed: feed.id,
+      price: decision.price,
+      priceTimestamp: priceData.timestamp,
+      sources: Object.fromEntries(priceData.aggregate.accepted.map(quote => [quote.source, quote.price])),
+      rejected: priceData.aggregate.rejected.map(quote => quote.source),
+      onChainPrice: decision.lastPrice ?? null,
+      onChainTimestamp: state.lastUpdateTime,
+      deviation: decision.deviation ?? null,
+      threshold: decision.threshold ?? null,
+      twaps: Object.fromEntries(state.twap.compute(priceData.timestamp).map(twap => [twap.window, Number(ethers.formatUnits(twap.price, feed.decimals))])),
+      wouldUpdate,
+      reason,
+      sequence
+    };
+    
+    this.shadow.record(entry);
+    this.metrics.recordShadow(feed.id, entry);
+    state.logger.info(`Shadow ${feed.id}: would ${wouldUpdate ? 'submit' : 'skip'} ${entry.price} (${reason})`);
+  }
+  
+  // Picks up updates someone else published: production for a shadow oracle,
+  // the leader for a follower
+  async refreshOnChainPrice(state) {
+    const { feed } = state;
+    const onChain = await withRetry(() => state.contract.getFeedPriceData(feed.id));
+    
+    if (onChain.timestamp > 0n) {
+      state.lastPrice = onChain.price;
+      state.lastUpdateTime = Number(onChain.timestamp);
+      this.metrics.recordOnChainPrice(feed.id, Number(ethers.formatUnits(onChain.price, feed.decimals)), state.lastUpdateTime);
     }
   }
   
-  async submitPriceUpdate(price, timestamp, attestation) {
+  // Re-checks the on-chain round right before sending, so a round another
+  // replica published since our last look isn't submitted a second time
+  async isDuplicateRound(state, priceData, force) {
+    const { feed } = state;
+    const knownUpdateTime = state.lastUpdateTime;
+    
+    await this.refreshOnChainPrice(state);
+    this.attestation.advanceSequence(await withRetry(() => state.contract.lastSequence(this.config.rofl.appId, feed.id)));
+    if (state.lastUpdateTime === knownUpdateTime) {
+      return false;
+    }
+    
+    // Someone else updated; our price only goes out if it is still needed
+    const decision = state.policy.decide(state, priceData.price, Math.floor(Date.now() / 1000));
+    if (priceData.timestamp > state.lastUpdateTime && (force || decision.update)) {
+      return false;
+    }
+    
+    this.metrics.recordDuplicateRound(feed.id);
+    state.logger.info(`${feed.id} round already published on-chain at ${state.lastUpdateTime}, skipping`);
+    return true;
+  }
+  
+  // Age of the most overdue feed price past its heartbeat, and the highest
+  // sequence the contracts accepted from our app; the chain lease's view of
+  // the leader
+  async readOnChainRound() {
+    const now = Math.floor(Date.now() / 1000);
+    let overdue = -Infinity;
+    let sequence = 0;
+    
+    for (const state of this.feeds.values()) {
+      const [, timestamp] = await withRetry(() => state.contract.getFeedPrice(state.feed.id));
+      const lastSequence = await withRetry(() => state.contract.lastSequence(this.config.rofl.appId, state.feed.id));
+      overdue = Math.max(overdue, now - Number(timestamp) - state.feed.heartbeat);
+      sequence = Math.max(sequence, Number(lastSequence));
+    }
+    
+    return { overdue, sequence };
+  }
+  
+  async submitPriceUpdate(state, price, timestamp, attestation) {
+    const { contract, feed } = state;
+    
     try {
-      this.logger.debug('Submitting price update to contract...');
+      state.logger.debug(`Submitting ${feed.id} price update to contract...`);
       
       // Estimate gas
-      const gasEstimate = await this.contract.updatePrice.estimateGas(
+      const gasEstimate = await withRetry(() => contract.updatePrice.estimateGas(
         price,
         timestamp,
         attestation
-      );
+      ));
       
-      // Submit transaction with some gas buffer
-      const tx = await this.contract.updatePrice(
-        price,
-        timestamp,
-        attestation,
-        {
-          gasLimit: gasEstimate * 120n / 100n, // 20% buffer
+      const request = await contract.updatePrice.populateTransaction(price, timestamp, attestation);
+      request.gasLimit = gasEstimate * 120n / 100n; // 20% buffer
+      
+      // A still-pending update for this feed is replaced by this newer one
+      if (state.pending) {
+        state.logger.info(`${feed.id} update ${state.pending.submission.hash} superseded by a newer price`);
+      }
+      
+      const submission = await this.txManager.submit(feed.id, request, { label: `${feed.id} price update` });
+      state.pending = { submission, price, timestamp };
+      this.persistPending(state);
+      
+      // Confirmation is followed in the background so later ticks aren't blocked
+      this.followOutcome(state, submission, price, timestamp);
+      
+      return submission;
+    
+    } catch (error) {
+      const reason = this.txManager.decodeError(error);
+      this.metrics.recordSubmission(feed.id, { status: 'failed' });
+      this.recordSubmissionFailure(state, reason);
+      state.logger.error(`Failed to submit ${feed.id} price update:`, reason);
+      throw error;
+    }
+  }
+  
+  // One updatePrices transaction per contract for the feeds due this tick
+  async submitBatches(updates) {
+    const batches = new Map();
+    for (const update of updates) {
+      const address = update.state.feed.contractAddress.toLowerCase();
+      batches.set(address, [...(batches.get(address) || []), update]);
+    }
+    
+    for (const batch of batches.values()) {
+      try {
+        await this.submitBatch(batch);
+      } catch (error) {
+        // Logged by submitBatch; the other contracts' batches still go out
+        for (const { state } of batch) {
+          state.lastError = error;
         }
-      );
+      }
+    }
+  }
+  
+  async submitBatch(updates) {
+    const { contract, feed } = updates[0].state;
+    const key = `batch:${feed.contractAddress}`;
+    const feedIds = updates.map(update => update.state.feed.id).join(', ');
+    
+    try {
+      this.logger.debug(`Submitting batched update of ${feedIds}...`);
       
-      this.logger.info(`Price update submitted: ${tx.hash}`);
+      const reports = updates.map(update => ROFLAttestation.toReport(update.attestation));
+      const gasEstimate = await withRetry(() => contract.updatePrices.estimateGas(reports));
       
-      // Wait for confirmation
-      const receipt = await tx.wait();
-      this.logger.info(`Price update confirmed in block ${receipt.blockNumber}`);
+      const request = await contract.updatePrices.populateTransaction(reports);
+      request.gasLimit = gasEstimate * 120n / 100n; // 20% buffer
       
-      return receipt;
+      // A still-pending batch for this contract is replaced by this one. Its
+      // feeds that aren't in this batch are decided again on the next tick.
+      const submission = await this.txManager.submit(key, request, {
+        label: `batched price update (${feedIds})`
+      });
+      
+      for (const { state, price, timestamp } of updates) {
+        state.pending = { submission, price, timestamp };
+        this.persistPending(state);
+        this.followOutcome(state, submission, price, timestamp);
+      }
       
+      return submission;
+    
     } catch (error) {
-      this.logger.error('Failed to submit price update:', error);
+      const reason = this.txManager.decodeError(error);
+      this.metrics.recordSubmission(key, { status: 'failed' });
+      for (const { state } of updates) {
+        this.recordSubmissionFailure(state, reason);
+      }
+      this.logger.error(`Failed to submit batched update of ${feedIds}:`, reason);
       throw error;
     }
   }
+  
+  // A failing outcome handler must not become an unhandled rejection, which
+  // would take the whole process down
+  followOutcome(state, submission, price, timestamp) {
+    submission.outcome
+      .then(outcome => this.handleSubmissionOutcome(state, submission, price, timestamp, outcome))
+      .catch(error => state.logger.error(`Failed to handle outcome of ${state.feed.id} update ${submission.hash}:`, error.message));
+  }
+  
+  handleSubmissionOutcome(state, submission, submittedPrice, submittedTimestamp, outcome) {
+    const { feed } = state;
+    let price = submittedPrice;
+    let timestamp = submittedTimestamp;
+    
+    // A replaced submission's successor already owns the pending slot
+    if (state.pending?.submission === submission) {
+      state.pending = null;
+      this.stateStore.updateFeed(feed.id, { pending: null });
+    }
+    
+    if (outcome.status === 'reverted' || outcome.status === 'dropped') {
+      this.recordSubmissionFailure(state, outcome.status === 'reverted' ? `reverted: ${outcome.error}` : outcome.reason);
+    }
+    
+    if (outcome.status !== 'confirmed') {
+      return;
+    }
+    
+    // A batch is mined even when the contract skips some of its reports
+    const skipped = this.findSkippedReport(state, outcome.receipt);
+    if (skipped) {
+      state.logger.error(`${feed.id} report ${skipped.sequence} skipped by the contract: ${skipped.reason}`);
+      this.recordSubmissionFailure(state, `skipped: ${skipped.reason}`);
+      return;
+    }
+    
+    // An update this one replaced was mined first, with its own (older) price
+    if (outcome.superseded) {
+      const published = this.findPublishedPrice(state, outcome.receipt);
+      if (!published) {
+        state.logger.info(`${feed.id} not updated by superseded tx ${outcome.hash}`);
+        return;
+      }
+      ({ price, timestamp } = published);
+    }
+    
+    state.failedSubmissions = 0;
+    this.alertThresholdBreaches(state, price, outcome.receipt);
+    
+    // Update local state
+    state.lastPrice = price;
+    state.lastUpdateTime = timestamp;
+    this.metrics.recordOnChainPrice(feed.id, Number(ethers.formatUnits(price, feed.decimals)), timestamp);
+    this.stateStore.updateFeed(feed.id, {
+      lastPrice: price.toString(),
+      lastUpdateTime: timestamp,
+      txHash: outcome.hash,
+      nonce: outcome.nonce
+    });
+    
+    state.logger.info(`${feed.id} price updated: ${ethers.formatUnits(price, feed.decimals)}`);
+  }
+  
+  findPublishedPrice(state, receipt) {
+    const topic = ethers.id(state.feed.id);
+    for (const log of receipt.logs) {
+      const event = state.contract.interface.parseLog(log);
+      if (event?.name === 'FeedPriceUpdated' && event.args.feed.hash === topic) {
+        return { price: event.args.price, timestamp: Number(event.args.timestamp) };
+      }
+    }
+    return null;
+  }
+  
+  findSkippedReport(state, receipt) {
+    for (const log of receipt.logs) {
+      const event = state.contract.interface.parseLog(log);
+      if (event?.name === 'ReportSkipped' && event.args.feed === state.feed.id) {
+        return { sequence: event.args.sequence, reason: this.txManager.decodeError({ data: event.args.reason }) };
+      }
+    }
+    return null;
+  }
+  
+  // ThresholdBreached events emitted by our own update; a batch may carry
+  // other feeds' events too, so only the one for our price counts
+  alertThresholdBreaches(state, price, receipt) {
+    const { contract, feed } = state;
+    
+    for (const log of receipt.logs) {
+      const event = contract.interface.parseLog(log);
+      if (event?.name !== 'ThresholdBreached' || event.args.price !== price) {
+        continue;
+      }
+      
+      const formatted = ethers.formatUnits(event.args.price, feed.decimals);
+      const threshold = ethers.formatUnits(event.args.threshold, feed.decimals);
+      const bound = event.args.isUpper ? 'upper' : 'lower';
+      this.alert('threshold-breach', feed.id, `${feed.id} price ${formatted} breached the ${bound} threshold ${threshold}`, {
+        price: formatted,
+        threshold,
+        bound,
+        txHash: receipt.hash
+      });
+    }
+  }
 }
 
 module.exports = { PriceOracle };
@@ -0,0 +1,131 @@
+const { ethers } = require('ethers');
+
+// Mirrors PriceOracle.MAX_PRICE_AGE; heartbeats at or above it let the price go stale
+const MAX_PRICE_AGE = 3600;
+
+// Decides whether a freshly aggregated price should be pushed on-chain.
+// Three triggers are combined, checked in order:
+//   1. heartbeat - the on-chain price is older than `heartbeat` seconds
+//   2. deviation - the price moved at least the effective threshold
+//   3. otherwise the update is skipped
+// With volatility adaptation enabled the effective threshold follows the
+// standard deviation of recent sample-to-sample moves, clamped to
+// [minThreshold, maxThreshold], instead of the fixed thresholdPercentage.
+class UpdatePolicy {
+  constructor(feed) {
+    this.feedId = feed.id;
+    this.decimals = feed.decimals;
+    this.heartbeat = feed.heartbeat;
+    this.thresholdPercentage = feed.thresholdPercentage;
+    this.volatility = feed.volatility || { enabled: false };
+    this.samples = [];
+  }
+  
+  recordSample(price) {
+    this.samples.push(Number(ethers.formatUnits(price, this.decimals)));
+    
+    const windowSize = this.volatility.window || 30;
+    if (this.samples.length > windowSize) {
+      this.samples.shift();
+    }
+  }
+  
+  // Standard deviation of percentage moves between consecutive samples
+  computeVolatility() {
+    if (this.samples.length < 3) {
+      return null;
+    }
+    
+    const moves = [];
+    for (let i = 1; i < this.samples.length; i++) {
+      moves.push(((this.samples[i] - this.samples[i - 1]) / this.samples[i - 1]) * 100);
+    }
+    
+    const mean = moves.reduce((sum, move) => sum + move, 0) / moves.length;
+    const variance = moves.reduce((sum, move) => sum + (move - mean) ** 2, 0) / moves.length;
+    return Math.sqrt(variance);
+  }
+  
+  effectiveThreshold() {
+    if (!this.volatility.enabled) {
+      return { threshold: this.thresholdPercentage, volatility: null };
+    }
+    
+    const volatility = this.computeVolatility();
+    if (volatility === null) {
+      // Not enough history yet, fall back to the static threshold
+      return { threshold: this.thresholdPercentage, volatility: null };
+    }
+    
+    const { multiplier, minThreshold, maxThreshold } = this.volatility;
+    const threshold = Math.min(Math.max(volatility * multiplier, minThreshold), maxThreshold);
+    return { threshold, volatility };
+  }
+  
+  evaluate(state, newPrice, now = Math.floor(Date.now() / 1000)) {
+    // The threshold is derived from history before this sample, so a sudden
+    // jump can't widen its own threshold
+    const decision = this.decide(state, newPrice, now);
+    this.recordSample(newPrice);
+    return decision;
+  }
+  
+  decide(state, newPrice, now) {
+    const price = Number(ethers.formatUnits(newPrice, this.decimals));
+    const decision = { feed: this.feedId, price };
+    
+    if (!state.lastPrice) {
+      return { ...decision, update: true, reason: 'initial' };
+    }
+    
+    const age = now - state.lastUpdateTime;
+    const lastPrice = Number(ethers.formatUnits(state.lastPrice, this.decimals));
+    const deviation = Math.abs((price - lastPrice) / lastPrice) * 100;
+    const { threshold, volatility } = this.effectiveThreshold();
+    
+    Object.assign(decision, {
+      lastPrice,
+      deviation: Number(deviation.toFixed(4)),
+      threshold: Number(threshold.toFixed(4)),
+      age,
+      heartbeat: this.heartbeat
+    });
+    if (volatility !== null) {
+      decision.volatility = Number(volatility.toFixed(4));
+    }
+    
+    if (age >= this.heartbeat) {
+      return { ...decision, update: true, reason: 'heartbeat' };
+    }
+    
+    if (deviation >= threshold) {
+      return { ...decision, update: true, reason: 'deviation' };
+    }
+    
+    return { ...decision, update: false, reason: 'within-threshold' };
+  }
+}
+
+// The circuit breaker, then the update policy, for one aggregated price: the
+// decision the oracle makes on every tick, which the simulator replays
+function decideUpdate(state, price, sourceCount, options = {}) {
+  const { force = false, now } = options;
+  const check = state.breaker.check(state, price, sourceCount, force);
+  if (check.tripped) {
+    // Held prices stay out of the policy's volatility history too
+    return {
+      check,
+      decision: { feed: state.feed.id, price: check.price, update: false, reason: 'circuit-breaker', breaker: check }
+    };
+  }
+  
+  let decision = state.policy.evaluate(state, price, now);
+  
+  // An operator-forced update goes out whatever the policy says
+  if (force && !decision.update) {
+    decision = { ...decision, update: true, reason: 'forced' };
+  }
+  return { check, decision };
+}
+
+module.exports = { UpdatePolicy, decideUpdate, MAX_PRICE_AGE };
@@ -0,0 +1,77 @@
+const http = require('http');
+const { AdminApi } = require('./admin');
+const { HealthChecker } = require('./health');
+const { Logger, withCorrelationId } = require('./utils/logger');
+
+// HTTP surface of the oracle process. Routes are registered as
+// "METHOD /path" handlers returning { status, body, contentType }; object
+// bodies are sent as JSON. A handler error with a status property is
+// reported with that status, anything else as a 500.
+class OracleServer {
+  constructor(oracle, config) {
+    this.oracle = oracle;
+    this.port = config.server.port;
+    this.logger = new Logger('OracleServer');
+    this.routes = new Map();
+    this.server = null;
+    this.health = new HealthChecker(oracle, config);
+    
+    this.route('GET', '/metrics', () => ({
+      status: 200,
+      contentType: 'text/plain; version=0.0.4; charset=utf-8',
+      body: this.oracle.metrics.render()
+    }));
+    
+    this.route('GET', '/health/live', () => this.health.checkLiveness());
+    this.route('GET', '/health/ready', () => this.health.checkReadiness());
+    this.route('GET', '/health', () => this.health.checkReadiness());
+    
+    this.admin = new AdminApi(oracle, config);
+    this.admin.register(this);
+  }
+  
+  route(method, path, handler) {
+    this.routes.set(`${method} ${path}`, handler);
+  }
+  
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const handler = this.routes.get(`${req.method} ${url.pathname}`);
+    
+    let result;
+    try {
+      result = handler
+        ? await handler(req, url)
+        : { status: 404, body: { error: 'Not Found' } };
+    } catch (error) {
+      this.logger.error(`${req.method} ${url.pathname} failed:`, error.message);
+      result = { status: error.status || 500, body: { error: error.message } };
+    }
+    
+    const isJson = typeof result.body !== 'string';
+    res.writeHead(result.status, {
+      'Content-Type': result.contentType || (isJson ? 'application/json' : 'text/plain')
+    });
+    res.end(isJson ? JSON.stringify(result.body) : result.body);
+  }
+  
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((req, res) => withCorrelationId(null, () => this.handle(req, res)));
+      this.server.once('error', reject);
+      this.server.listen(this.port, () => {
+        this.logger.info(`HTTP server listening on port ${this.port}`);
+        resolve();
+      });
+    });
+  }
+  
+  stop() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+}
+
+module.exports = { OracleServer };
@@ -0,0 +1,42 @@
+const fs = require('fs');
+const path = require('path');
+const { Logger } = require('./utils/logger');
+
+// Report of a shadow oracle: one JSON line per feed per tick with the price
+// the oracle would have submitted, the live on-chain price it was compared
+// with, and whether the update policy would have pushed it. A per-feed
+// summary is kept in memory for the admin API.
+class ShadowReport {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.logger = new Logger('ShadowReport');
+    this.summary = new Map();
+  }
+  
+  record(entry) {
+    const summary = this.summary.get(entry.feed) || { ticks: 0, wouldUpdate: 0, maxDeviation: null, last: null };
+    summary.ticks += 1;
+    if (entry.wouldUpdate) {
+      summary.wouldUpdate += 1;
+    }
+    if (entry.deviation !== null) {
+      summary.maxDeviation = Math.max(summary.maxDeviation ?? 0, entry.deviation);
+    }
+    summary.last = entry;
+    this.summary.set(entry.feed, summary);
+    
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+    } catch (error) {
+      // Losing a line must not stop the shadow loop; metrics still have it
+      this.logger.error(`Failed to write shadow report ${this.filePath}:`, error.message);
+    }
+  }
+  
+  getSummary() {
+    return Object.fromEntries(this.summary);
+  }
+}
+
+module.exports = { ShadowReport };
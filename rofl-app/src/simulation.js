@@ -0,0 +1,206 @@
+const fs = require('fs');
+const { UpdatePolicy, decideUpdate, MAX_PRICE_AGE } = require('./policy');
+const { CircuitBreaker } = require('./breaker');
+const { deviationPercentage, toFixedPoint } = require('./aggregator');
+const { toUnixSeconds } = require('./sources/http');
+
+// A warm updatePrice publishing two TWAP windows, measured on a local node
+const DEFAULT_GAS_PER_UPDATE = 110000;
+
+// Sapphire's minimum gas price
+const DEFAULT_GAS_PRICE_GWEI = 100;
+
+const TIMESTAMP_COLUMNS = ['timestamp', 'time', 'date'];
+const PRICE_COLUMNS = ['price', 'close'];
+
+function parseCsvHistory(text) {
+  const rows = text.split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => line.split(',').map(cell => cell.trim()));
+  
+  // A header names the columns; without one they are timestamp,price
+  let timestampColumn = 0;
+  let priceColumn = 1;
+  if (rows.length > 0 && isNaN(Number(rows[0][1]))) {
+    const header = rows.shift().map(cell => cell.toLowerCase());
+    timestampColumn = header.findIndex(cell => TIMESTAMP_COLUMNS.includes(cell));
+    priceColumn = header.findIndex(cell => PRICE_COLUMNS.includes(cell));
+    if (timestampColumn < 0 || priceColumn < 0) {
+      throw new Error(`CSV header needs a ${TIMESTAMP_COLUMNS.join('/')} and a ${PRICE_COLUMNS.join('/')} column`);
+    }
+  }
+  
+  return rows.map(row => ({ timestamp: row[timestampColumn], price: row[priceColumn] }));
+}
+
+function parseJsonHistory(text) {
+  let data = JSON.parse(text);
+  // CoinGecko's /coins/{id}/market_chart response
+  if (!Array.isArray(data)) {
+    data = data?.prices;
+  }
+  if (!Array.isArray(data)) {
+    throw new Error('expected an array of prices or an object with a prices array');
+  }
+  
+  return data.map(item => (Array.isArray(item)
+    ? { timestamp: item[0], price: item[1] }
+    : { timestamp: item.timestamp ?? item.time, price: item.price ?? item.close }));
+}
+
+// Historical prices as [{ timestamp, price }] in time order, from
+//   - CSV, with a header naming its timestamp (timestamp, time or date) and
+//     price (price or close) columns, or without one as timestamp,price
+//   - JSON: an array of { timestamp|time, price|close } objects or of
+//     [timestamp, price] pairs, or CoinGecko's market_chart { prices: [...] }
+// Timestamps may be unix seconds, unix milliseconds or ISO-8601.
+function loadPriceHistory(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  const rows = /^\s*[[{]/.test(text) ? parseJsonHistory(text) : parseCsvHistory(text);
+  
+  const samples = rows.map((row, index) => {
+    const timestamp = toUnixSeconds(row.timestamp);
+    const price = Number(row.price);
+    if (!Number.isFinite(timestamp) || !Number.isFinite(price) || price <= 0) {
+      throw new Error(`${filePath}: invalid price sample ${index + 1}: ${JSON.stringify(row)}`);
+    }
+    return { timestamp, price };
+  }).sort((a, b) => a.timestamp - b.timestamp);
+  
+  if (samples.length < 2) {
+    throw new Error(`${filePath}: needs at least two price samples`);
+  }
+  return samples;
+}
+
+// Every combination of the given parameter values, e.g.
+// { threshold: [0.5, 1], interval: [60000] } -> two parameter sets
+function parameterSets(values) {
+  return Object.entries(values).reduce(
+    (sets, [name, options]) => sets.flatMap(set => options.map(value => ({ ...set, [name]: value }))),
+    [{}]
+  );
+}
+
+// Replays a price history through the oracle's update decision as if it were
+// polled every `interval` ms, with each historical price standing in for an
+// aggregate that met the feed's source quorum. Pushed prices are assumed to
+// land on-chain at once. The on-chain price is then compared with the
+// historical one between samples: the mean deviation is time-weighted, and
+// staleness is the longest time between two updates (or until the end).
+function simulateUpdates(feed, samples, options) {
+  const {
+    interval,
+    tolerance,
+    gasPerUpdate = DEFAULT_GAS_PER_UPDATE,
+    gasPriceGwei = DEFAULT_GAS_PRICE_GWEI
+  } = options;
+  
+  const state = {
+    feed,
+    policy: new UpdatePolicy(feed),
+    breaker: new CircuitBreaker(feed, tolerance),
+    lastPrice: null,
+    lastUpdateTime: null
+  };
+  
+  const start = samples[0].timestamp;
+  const end = samples[samples.length - 1].timestamp;
+  const reasons = {};
+  let ticks = 0;
+  let updates = 0;
+  let held = 0;
+  let onChain = null;
+  let maxDeviation = 0;
+  let weightedDeviation = 0;
+  let worstStaleness = 0;
+  
+  // samples[index] holds the historical price until `cursor`
+  let index = 0;
+  let cursor = start;
+  const measureUntil = until => {
+    while (cursor < until) {
+      const next = Math.min(until, samples[index + 1]?.timestamp ?? Infinity);
+      if (onChain !== null) {
+        const deviation = deviationPercentage(onChain, samples[index].price);
+        maxDeviation = Math.max(maxDeviation, deviation);
+        weightedDeviation += deviation * (next - cursor);
+      }
+      cursor = next;
+      while (index + 1 < samples.length && samples[index + 1].timestamp <= cursor) {
+        index += 1;
+      }
+    }
+  };
+  
+  for (let tick = start; tick <= end; tick = start + (++ticks) * interval / 1000) {
+    measureUntil(tick);
+    
+    const price = toFixedPoint(samples[index].price, feed.decimals);
+    const { decision } = decideUpdate(state, price, feed.minSources, { now: Math.floor(tick) });
+    if (!decision.update) {
+      if (decision.reason === 'circuit-breaker') {
+        held += 1;
+      }
+      continue;
+    }
+    
+    reasons[decision.reason] = (reasons[decision.reason] || 0) + 1;
+    if (state.lastUpdateTime !== null) {
+      worstStaleness = Math.max(worstStaleness, tick - state.lastUpdateTime);
+    }
+    updates += 1;
+    state.lastPrice = price;
+    state.lastUpdateTime = Math.floor(tick);
+    onChain = samples[index].price;
+  }
+  measureUntil(end);
+  // With no update at all (the breaker held every tick) nothing was published
+  // for the whole history
+  worstStaleness = Math.max(worstStaleness, end - (state.lastUpdateTime ?? start));
+  
+  const days = (end - start) / 86400;
+  const gasUsed = updates * gasPerUpdate;
+  const gasSpend = gasUsed * gasPriceGwei / 1e9;
+  return {
+    threshold: feed.thresholdPercentage,
+    interval,
+    heartbeat: feed.heartbeat,
+    ticks,
+    updates,
+    reasons,
+    held,
+    updatesPerDay: days > 0 ? updates / days : null,
+    maxDeviation,
+    meanDeviation: end > start ? weightedDeviation / (end - start) : 0,
+    worstStaleness,
+    exceedsMaxPriceAge: worstStaleness > MAX_PRICE_AGE,
+    gasUsed,
+    gasSpend,
+    gasSpendPerDay: days > 0 ? gasSpend / days : null
+  };
+}
+
+// One simulation per parameter set over the same history; unset parameters
+// keep the feed's configured values
+function simulateParameterSets(feed, samples, sets, options) {
+  return sets.map(set => simulateUpdates(
+    {
+      ...feed,
+      thresholdPercentage: set.threshold ?? feed.thresholdPercentage,
+      heartbeat: set.heartbeat ?? feed.heartbeat
+    },
+    samples,
+    { ...options, interval: set.interval ?? options.interval }
+  ));
+}
+
+module.exports = {
+  DEFAULT_GAS_PER_UPDATE,
+  DEFAULT_GAS_PRICE_GWEI,
+  loadPriceHistory,
+  parameterSets,
+  simulateUpdates,
+  simulateParameterSets
+};
@@ -0,0 +1,238 @@
+const { EventEmitter } = require('events');
+const axios = require('axios');
+const { Logger } = require('../utils/logger');
+const { TokenBucket } = require('./limiter');
+const { ResponseCache } = require('./cache');
+const { TickerStream } = require('./stream');
+
+// Backoff after an HTTP 429 without Retry-After, doubled on each further 429
+const BASE_BACKOFF = 5000;
+const MAX_BACKOFF = 300000;
+
+// A request the source didn't make: it is throttled ('rate-limit' when the
+// local limiter is empty, 'retry-after' while backing off after a 429) or
+// degraded after repeated failures
+class SourceUnavailableError extends Error {
+  constructor(source, reason, message) {
+    super(message);
+    this.name = 'SourceUnavailableError';
+    this.source = source;
+    this.reason = reason;
+  }
+}
+
+// Retry-After is either delay-seconds or an HTTP date
+function parseRetryAfter(value, now = Date.now()) {
+  if (!value) {
+    return null;
+  }
+  
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// Base class of the price source adapters. One instance serves every feed, so
+// throttling and health are tracked per source:
+//   - requests are limited to requestsPerMinute and share a response cache
+//   - an HTTP 429 (or a 503 with Retry-After) pauses the source for the
+//     Retry-After delay, or an exponential backoff when there is none
+//   - after degradeAfter consecutive failures the source is degraded and
+//     skipped for degradedCooldown seconds; the next fetch then probes it
+// Adapters given a streamProtocol can instead keep a live WebSocket ticker
+// (startStream); quotes then come from the stream while it is current and
+// from the REST API otherwise.
+// Emits 'throttled' ({ source, reason }), 'cache-hit' ({ source }) and
+// 'health' ({ source, degraded }) for the metrics, and with a stream 'quote'
+// ({ source, symbol, quote }) on every new tick, 'stream-gap' and
+// 'stream-connection'.
+class PriceSource extends EventEmitter {
+  constructor(name, options = {}) {
+    super();
+    this.name = name;
+    this.options = options;
+    this.timeout = options.timeout || 10000;
+    this.logger = new Logger(`Source:${name}`);
+    
+    this.limiter = options.requestsPerMinute ? new TokenBucket(options.requestsPerMinute) : null;
+    this.cache = new ResponseCache(options.cacheTtl || 0);
+    this.backoffUntil = 0;
+    this.rateLimitedCount = 0;
+    
+    this.degradeAfter = options.degradeAfter || 3;
+    this.degradedCooldown = (options.degradedCooldown || 300) * 1000;
+    this.failures = 0;
+    this.degradedUntil = null;
+    
+    this.stream = null;
+  }
+  
+  get degraded() {
+    return this.degradedUntil !== null;
+  }
+  
+  get streaming() {
+    return Boolean(this.options.streamProtocol);
+  }
+  
+  startStream(symbols) {
+    this.stream = new TickerStream(this.name, this.options.streamProtocol, {
+      url: this.options.streamUrl,
+      staleAfter: this.options.streamStaleAfter,
+      maxReconnectDelay: this.options.streamMaxReconnectDelay
+    });
+    
+    this.stream.on('tick', ({ symbol, tick }) => {
+      this.emit('quote', { source: this.name, symbol, quote: this.createQuote(tick.price, tick.timestamp) });
+    });
+    this.stream.on('gap', event => this.emit('stream-gap', { source: this.name, ...event }));
+    this.stream.on('connection', event => this.emit('stream-connection', { source: this.name, ...event }));
+    this.stream.start(symbols);
+  }
+  
+  stopStream() {
+    if (this.stream) {
+      this.stream.stop();
+      this.stream = null;
+    }
+  }
+  
+  async fetchQuote(symbol) {
+    throw new Error(`Price source ${this.name} does not implement fetchQuote`);
+  }
+  
+  // fetchQuote with health tracking; this is what the oracle calls
+  async getQuote(symbol) {
+    const tick = this.stream?.latest(symbol);
+    if (tick) {
+      return this.createQuote(tick.price, tick.timestamp);
+    }
+    
+    if (this.degraded && Date.now() < this.degradedUntil) {
+      throw new SourceUnavailableError(this.name, 'degraded', `${this.name} is degraded after ${this.failures} consecutive failures`);
+    }
+    
+    try {
+      const quote = await this.fetchQuote(symbol);
+      this.recordSuccess();
+      return quote;
+    } catch (error) {
+      // Throttled requests say nothing about the source's health
+      if (!(error instanceof SourceUnavailableError)) {
+        this.recordFailure(error);
+      }
+      throw error;
+    }
+  }
+  
+  recordSuccess() {
+    if (this.degraded) {
+      this.logger.info(`${this.name} recovered, no longer degraded`);
+      this.emit('health', { source: this.name, degraded: false });
+    }
+    this.failures = 0;
+    this.degradedUntil = null;
+  }
+  
+  recordFailure(error) {
+    this.failures += 1;
+    if (this.failures < this.degradeAfter) {
+      return;
+    }
+    
+    if (!this.degraded) {
+      this.logger.warn(`${this.name} marked degraded after ${this.failures} consecutive failures, skipping it for ${this.degradedCooldown / 1000}s: ${error.message}`);
+      this.emit('health', { source: this.name, degraded: true });
+    } else {
+      this.logger.warn(`${this.name} still failing, degraded for another ${this.degradedCooldown / 1000}s: ${error.message}`);
+    }
+    this.degradedUntil = Date.now() + this.degradedCooldown;
+  }
+  
+  async request(url, params = {}, headers = {}) {
+    const key = `${url}?${new URLSearchParams(params)}`;
+    const { value, hit } = await this.cache.fetch(key, () => this.send(url, params, headers));
+    if (hit) {
+      this.emit('cache-hit', { source: this.name });
+    }
+    return value;
+  }
+  
+  async send(url, params, headers) {
+    const now = Date.now();
+    if (now < this.backoffUntil) {
+      this.logger.debug(`Skipping ${this.name} request, backing off for another ${Math.ceil((this.backoffUntil - now) / 1000)}s`);
+      throw this.throttle('retry-after', `${this.name} is backing off after being rate limited`);
+    }
+    
+    if (this.limiter && !this.limiter.take()) {
+      const wait = Math.ceil(this.limiter.waitTime() / 1000);
+      this.logger.warn(`${this.name} request limit of ${this.limiter.requestsPerMinute}/min reached, skipping request (next in ${wait}s)`);
+      throw this.throttle('rate-limit', `${this.name} request limit of ${this.limiter.requestsPerMinute}/min reached`);
+    }
+    
+    try {
+      const response = await axios.get(url, {
+        params,
+        timeout: this.timeout,
+        headers: {
+          'User-Agent': 'PriceOracle-ROFL/1.0',
+          ...headers
+        }
+      });
+      
+      this.rateLimitedCount = 0;
+      return response.data;
+    
+    } catch (error) {
+      const status = error.response?.status;
+      const retryAfter = error.response?.headers?.['retry-after'];
+      if (status !== 429 && !(status === 503 && retryAfter)) {
+        throw error;
+      }
+      
+      this.rateLimitedCount += 1;
+      const delay = parseRetryAfter(retryAfter, now)
+        ?? Math.min(BASE_BACKOFF * 2 ** (this.rateLimitedCount - 1), MAX_BACKOFF);
+      this.backoffUntil = now + delay;
+      
+      this.logger.warn(`${this.name} rate limited the oracle (HTTP ${status}), backing off for ${Math.ceil(delay / 1000)}s${retryAfter ? ' as asked by Retry-After' : ''}`);
+      throw this.throttle('retry-after', `${this.name} rate limited the oracle (HTTP ${status})`);
+    }
+  }
+  
+  throttle(reason, message) {
+    this.emit('throttled', { source: this.name, reason });
+    return new SourceUnavailableError(this.name, reason, message);
+  }
+  
+  describe() {
+    return {
+      name: this.name,
+      degraded: this.degraded,
+      consecutiveFailures: this.failures,
+      backoffUntil: this.backoffUntil > Date.now() ? new Date(this.backoffUntil).toISOString() : null,
+      streamConnected: this.stream ? this.stream.connected : null
+    };
+  }
+  
+  createQuote(price, timestamp) {
+    const value = Number(price);
+    if (!Number.isFinite(value) || value <= 0) {
+      throw new Error(`Invalid price from ${this.name}: ${price}`);
+    }
+    
+    return {
+      source: this.name,
+      price: value,
+      // Fall back to the local clock for APIs that don't report a quote time
+      timestamp: timestamp || Math.floor(Date.now() / 1000)
+    };
+  }
+}
+
+module.exports = { PriceSource, SourceUnavailableError, parseRetryAfter };
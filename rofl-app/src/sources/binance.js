@@ -0,0 +1,39 @@
+const { PriceSource } = require('./base');
+
+// 24hr ticker stream, pushed every second per symbol: `c` is the last price,
+// `L` the last trade id and `E` the event time in ms
+const BINANCE_TICKER_PROTOCOL = {
+  subscribe(symbols) {
+    return [{ method: 'SUBSCRIBE', params: symbols.map(symbol => `${symbol.toLowerCase()}@ticker`), id: 1 }];
+  },
+  
+  parse(message) {
+    if (message.error) {
+      return [{ type: 'error', message: message.error.msg }];
+    }
+    if (message.e !== '24hrTicker') {
+      return [];
+    }
+    return [{ type: 'tick', symbol: message.s, price: message.c, timestamp: Math.floor(message.E / 1000), tradeId: message.L }];
+  }
+};
+
+class BinanceSource extends PriceSource {
+  constructor(options = {}) {
+    super('binance', options);
+    this.baseUrl = options.baseUrl || 'https://api.binance.com';
+  }
+  
+  async fetchQuote(symbol) {
+    const data = await this.request(`${this.baseUrl}/api/v3/ticker/price`, { symbol });
+    
+    if (!data || data.price === undefined) {
+      throw new Error('Invalid response from Binance API');
+    }
+    
+    // The ticker endpoint carries no quote time, so the fetch time is used
+    return this.createQuote(data.price);
+  }
+}
+
+module.exports = { BinanceSource, BINANCE_TICKER_PROTOCOL };
@@ -0,0 +1,43 @@
+// Short-lived cache of one price source's responses, keyed by request. Feeds
+// reading the same endpoint within `ttl` ms share one response, and identical
+// requests in flight at the same time share one call. Failures aren't cached.
+class ResponseCache {
+  constructor(ttl) {
+    this.ttl = ttl;
+    this.entries = new Map();
+  }
+  
+  async fetch(key, load) {
+    const now = Date.now();
+    const entry = this.entries.get(key);
+    if (entry && (entry.loadedAt === null || now - entry.loadedAt < this.ttl)) {
+      return { value: await entry.promise, hit: true };
+    }
+    
+    this.prune(now);
+    const promise = load();
+    const pending = { promise, loadedAt: null };
+    this.entries.set(key, pending);
+    
+    try {
+      const value = await promise;
+      pending.loadedAt = Date.now();
+      return { value, hit: false };
+    } catch (error) {
+      if (this.entries.get(key) === pending) {
+        this.entries.delete(key);
+      }
+      throw error;
+    }
+  }
+  
+  prune(now) {
+    for (const [key, entry] of this.entries) {
+      if (entry.loadedAt !== null && now - entry.loadedAt >= this.ttl) {
+        this.entries.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = { ResponseCache };
@@ -0,0 +1,48 @@
+const { PriceSource } = require('./base');
+
+// `ticker` messages come with each match; `heartbeat` messages come every
+// second per product and carry the last trade id, so missed ticks show up
+const COINBASE_TICKER_PROTOCOL = {
+  subscribe(symbols) {
+    return [{ type: 'subscribe', product_ids: symbols, channels: ['ticker', 'heartbeat'] }];
+  },
+  
+  parse(message) {
+    switch (message.type) {
+      case 'ticker':
+        return [{
+          type: 'tick',
+          symbol: message.product_id,
+          price: message.price,
+          timestamp: message.time ? Math.floor(Date.parse(message.time) / 1000) : undefined,
+          tradeId: message.trade_id
+        }];
+      case 'heartbeat':
+        return [{ type: 'heartbeat', symbol: message.product_id, tradeId: message.last_trade_id }];
+      case 'error':
+        return [{ type: 'error', message: `${message.message}${message.reason ? ` (${message.reason})` : ''}` }];
+      default:
+        return [];
+    }
+  }
+};
+
+class CoinbaseSource extends PriceSource {
+  constructor(options = {}) {
+    super('coinbase', options);
+    this.baseUrl = options.baseUrl || 'https://api.exchange.coinbase.com';
+  }
+  
+  async fetchQuote(symbol) {
+    const data = await this.request(`${this.baseUrl}/products/${symbol}/ticker`);
+    
+    if (!data || data.price === undefined) {
+      throw new Error('Invalid response from Coinbase API');
+    }
+    
+    const timestamp = data.time ? Math.floor(Date.parse(data.time) / 1000) : undefined;
+    return this.createQuote(data.price, timestamp);
+  }
+}
+
+module.exports = { CoinbaseSource, COINBASE_TICKER_PROTOCOL };
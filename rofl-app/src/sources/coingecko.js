@@ -0,0 +1,34 @@
+const { PriceSource } = require('./base');
+
+class CoinGeckoSource extends PriceSource {
+  constructor(options = {}) {
+    super('coingecko', options);
+    this.baseUrl = options.baseUrl || 'https://api.coingecko.com/api/v3';
+    this.apiKey = options.apiKey;
+  }
+  
+  async fetchQuote(symbol) {
+    const params = {
+      ids: symbol.id,
+      vs_currencies: symbol.vsCurrency,
+      include_last_updated_at: true,
+      precision: 8
+    };
+    
+    // Add API key if available
+    if (this.apiKey) {
+      params.x_cg_demo_api_key = this.apiKey;
+    }
+    
+    const data = await this.request(`${this.baseUrl}/simple/price`, params);
+    
+    const entry = data?.[symbol.id];
+    if (!entry || entry[symbol.vsCurrency] === undefined) {
+      throw new Error('Invalid response from CoinGecko API');
+    }
+    
+    return this.createQuote(entry[symbol.vsCurrency], entry.last_updated_at);
+  }
+}
+
+module.exports = { CoinGeckoSource };
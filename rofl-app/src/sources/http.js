@@ -0,0 +1,47 @@
+const { PriceSource } = require('./base');
+
+// Resolve a dotted path such as "data.0.price" against a JSON payload
+function getPath(data, path) {
+  return path.split('.').reduce((obj, key) => obj?.[key], data);
+}
+
+// Accept unix seconds, unix milliseconds or ISO-8601 strings
+function toUnixSeconds(raw) {
+  if (raw === undefined || raw === null || raw === '') {
+    return undefined;
+  }
+  if (typeof raw === 'string' && isNaN(Number(raw))) {
+    return Math.floor(Date.parse(raw) / 1000);
+  }
+  return Number(raw) > 1e12 ? Math.floor(Number(raw) / 1000) : Number(raw);
+}
+
+class HttpJsonSource extends PriceSource {
+  constructor(options = {}) {
+    super(options.name || 'http', options);
+    
+    if (!options.url || !options.pricePath) {
+      throw new Error('HTTP price source requires url and pricePath');
+    }
+    
+    this.url = options.url;
+    this.pricePath = options.pricePath;
+    this.timestampPath = options.timestampPath;
+    this.headers = options.headers || {};
+  }
+  
+  async fetchQuote(symbol) {
+    const url = this.url.replace('{symbol}', encodeURIComponent(symbol || ''));
+    const data = await this.request(url, {}, this.headers);
+    
+    const price = getPath(data, this.pricePath);
+    if (price === undefined) {
+      throw new Error(`No value at ${this.pricePath} in response from ${this.name}`);
+    }
+    
+    const timestamp = this.timestampPath ? toUnixSeconds(getPath(data, this.timestampPath)) : undefined;
+    return this.createQuote(price, timestamp);
+  }
+}
+
+module.exports = { HttpJsonSource, getPath, toUnixSeconds };
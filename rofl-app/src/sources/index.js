@@ -0,0 +1,55 @@
+const { PriceSource, SourceUnavailableError } = require('./base');
+const { CoinGeckoSource } = require('./coingecko');
+const { BinanceSource, BINANCE_TICKER_PROTOCOL } = require('./binance');
+const { CoinbaseSource, COINBASE_TICKER_PROTOCOL } = require('./coinbase');
+const { KrakenSource } = require('./kraken');
+const { HttpJsonSource } = require('./http');
+
+const SOURCE_ADAPTERS = {
+  coingecko: CoinGeckoSource,
+  binance: BinanceSource,
+  coinbase: CoinbaseSource,
+  kraken: KrakenSource,
+  http: HttpJsonSource
+};
+
+// Sources that can stream quotes over WebSocket instead of being polled
+const STREAM_PROTOCOLS = {
+  binance: BINANCE_TICKER_PROTOCOL,
+  coinbase: COINBASE_TICKER_PROTOCOL
+};
+
+// Build the enabled source adapters from the oracle configuration
+function createSources(config) {
+  return config.oracle.sources.map(name => {
+    const Adapter = SOURCE_ADAPTERS[name];
+    if (!Adapter) {
+      throw new Error(`Unknown price source: ${name}`);
+    }
+    
+    const { cacheTtl, degradeAfter, degradedCooldown, stream, streamStaleAfter, streamMaxReconnectDelay } = config.sources;
+    const options = { cacheTtl, degradeAfter, degradedCooldown, ...config.sources[name] };
+    if (stream.includes(name)) {
+      Object.assign(options, { streamProtocol: STREAM_PROTOCOLS[name], streamStaleAfter, streamMaxReconnectDelay });
+    }
+    if (name === 'coingecko') {
+      options.baseUrl = config.oracle.baseUrl;
+      options.apiKey = config.oracle.coinGeckoApiKey;
+    }
+    
+    return new Adapter(options);
+  });
+}
+
+module.exports = {
+  PriceSource,
+  SourceUnavailableError,
+  CoinGeckoSource,
+  BinanceSource,
+  CoinbaseSource,
+  KrakenSource,
+  HttpJsonSource,
+  SOURCE_ADAPTERS,
+  STREAM_PROTOCOLS,
+  createSources
+};
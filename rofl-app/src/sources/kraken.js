@@ -0,0 +1,27 @@
+const { PriceSource } = require('./base');
+
+class KrakenSource extends PriceSource {
+  constructor(options = {}) {
+    super('kraken', options);
+    this.baseUrl = options.baseUrl || 'https://api.kraken.com';
+  }
+  
+  async fetchQuote(symbol) {
+    const data = await this.request(`${this.baseUrl}/0/public/Ticker`, { pair: symbol });
+    
+    if (data?.error?.length) {
+      throw new Error(`Kraken API error: ${data.error.join(', ')}`);
+    }
+    
+    // Kraken may key the result by its canonical pair name (e.g. ETHUSD -> XETHZUSD)
+    const ticker = data?.result?.[symbol] || Object.values(data?.result || {})[0];
+    if (!ticker || !Array.isArray(ticker.c)) {
+      throw new Error('Invalid response from Kraken API');
+    }
+    
+    // `c` is the last trade closed: [price, lot volume]
+    return this.createQuote(ticker.c[0]);
+  }
+}
+
+module.exports = { KrakenSource };
@@ -0,0 +1,37 @@
+// Token bucket limiting the request rate of one price source. It refills at
+// requestsPerMinute and holds up to ten seconds' worth of tokens, so the
+// concurrent requests of one tick (one per feed) go out together while the
+// sustained rate stays under the API's quota.
+class TokenBucket {
+  constructor(requestsPerMinute) {
+    this.requestsPerMinute = requestsPerMinute;
+    this.rate = requestsPerMinute / 60000; // tokens per ms
+    this.capacity = Math.max(1, Math.ceil(requestsPerMinute / 6));
+    this.tokens = this.capacity;
+    this.refilledAt = Date.now();
+  }
+  
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.refilledAt) * this.rate);
+    this.refilledAt = now;
+  }
+  
+  // Takes a token if one is available
+  take() {
+    this.refill();
+    if (this.tokens < 1) {
+      return false;
+    }
+    this.tokens -= 1;
+    return true;
+  }
+  
+  // Milliseconds until the next token is available
+  waitTime() {
+    this.refill();
+    return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) / this.rate);
+  }
+}
+
+module.exports = { TokenBucket };
@@ -0,0 +1,344 @@
+const fs = require('fs');
+const http = require('http');
+const YAML = require('yaml');
+const { Logger } = require('../utils/logger');
+const { FEED_PRESETS } = require('../feeds');
+
+const SOURCES = ['coingecko', 'binance', 'coinbase', 'kraken', 'http'];
+const MODES = ['ok', 'outage', 'error', 'rate-limit', 'malformed', 'missing'];
+
+// Scenarios are YAML or JSON:
+//   prices:   { "ETH/USD": 2000 }   starting price per feed
+//   symbols:  { "SOL/USD": { binance: "SOLUSDT" } }   for feeds without a preset
+//   steps:    what happens, in order
+//     - duration: 30              seconds
+//       prices: { "ETH/USD": 2100 }  new prices, kept by later steps
+//       ramp: true                move there linearly over the step instead
+//       sources:                  per source (or "*" for all) for the step:
+//         binance: outage         ok, outage (connection reset), error (HTTP
+//                                 500), rate-limit (HTTP 429), malformed
+//                                 (truncated JSON) or missing (no price)
+//         kraken: { offset: 25 }  quote this many percent off the price
+//         coingecko: { lag: 600 } report a price this many seconds old
+//         coinbase: { mode: rate-limit, retryAfter: 10 }
+//   loop:     start over after the last step instead of holding it
+//   env, expect: read by the end-to-end runner, ignored here
+function loadScenario(filePath) {
+  const scenario = YAML.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!scenario || typeof scenario !== 'object' || !scenario.prices) {
+    throw new Error(`${filePath}: a scenario needs starting prices`);
+  }
+  return { name: filePath, ...scenario };
+}
+
+function normalizeBehaviour(source, behaviour) {
+  const normalized = typeof behaviour === 'string' ? { mode: behaviour } : { mode: 'ok', ...behaviour };
+  if (!MODES.includes(normalized.mode)) {
+    throw new Error(`Unknown mode ${normalized.mode} for ${source} (expected one of ${MODES.join(', ')})`);
+  }
+  return normalized;
+}
+
+// Local stand-in for the REST APIs of every supported price source, serving
+// scripted price paths so the oracle can be run end to end offline. Point the
+// sources' base URLs (COINGECKO_BASE_URL, BINANCE_BASE_URL, ...) at it, and
+// HTTP_SOURCE_URL at /price/{symbol} with HTTP_SOURCE_PRICE_PATH=price and
+// HTTP_SOURCE_TIMESTAMP_PATH=timestamp. The scenario clock starts with the
+// server. Control endpoints on the same port:
+//   GET  /state    current step, prices and requests served per source
+//   POST /reset    restart the scenario from its first step
+// Not for production.
+class MockPriceServer {
+  constructor(scenario, options = {}) {
+    this.port = options.port ?? 8555;
+    this.logger = new Logger('MockPriceServer');
+    this.scenario = scenario;
+    this.symbols = this.mapSymbols(scenario);
+    this.steps = this.buildSteps(scenario);
+    this.duration = this.steps.reduce((total, step) => total + step.duration, 0);
+    this.startedAt = Date.now();
+    this.requests = {};
+    this.server = null;
+  }
+  
+  // "<source>:<symbol>" -> feed id, from the feed presets and the scenario
+  mapSymbols(scenario) {
+    const symbols = new Map();
+    for (const id of Object.keys(scenario.prices)) {
+      const sourceSymbols = { ...FEED_PRESETS[id], ...scenario.symbols?.[id], http: id };
+      for (const [source, symbol] of Object.entries(sourceSymbols)) {
+        const key = typeof symbol === 'object' ? `${symbol.id}/${symbol.vsCurrency}` : symbol;
+        symbols.set(`${source}:${key}`, id);
+      }
+    }
+    return symbols;
+  }
+  
+  // Each step with the prices it starts from and ends at
+  buildSteps(scenario) {
+    let prices = { ...scenario.prices };
+    return (scenario.steps || []).map((step, index) => {
+      if (!(step.duration > 0)) {
+        throw new Error(`Step ${index + 1} needs a duration in seconds`);
+      }
+      
+      const sources = {};
+      for (const [source, behaviour] of Object.entries(step.sources || {})) {
+        if (source !== '*' && !SOURCES.includes(source)) {
+          throw new Error(`Step ${index + 1}: unknown source ${source}`);
+        }
+        sources[source] = normalizeBehaviour(source, behaviour);
+      }
+      
+      const from = prices;
+      prices = { ...prices, ...step.prices };
+      return { index, duration: step.duration, ramp: Boolean(step.ramp), from, to: prices, sources };
+    });
+  }
+  
+  // The step in effect and how far into it the scenario is, in seconds
+  position(now = Date.now()) {
+    let elapsed = (now - this.startedAt) / 1000;
+    if (this.steps.length === 0) {
+      return { step: null, offset: elapsed };
+    }
+    if (this.scenario.loop) {
+      elapsed %= this.duration;
+    }
+    
+    for (const step of this.steps) {
+      if (elapsed < step.duration) {
+        return { step, offset: elapsed };
+      }
+      elapsed -= step.duration;
+    }
+    const last = this.steps[this.steps.length - 1];
+    return { step: last, offset: last.duration };
+  }
+  
+  price(feedId, position) {
+    const { step, offset } = position;
+    if (!step) {
+      return this.scenario.prices[feedId];
+    }
+    if (!step.ramp) {
+      return step.to[feedId];
+    }
+    const progress = Math.min(offset / step.duration, 1);
+    return step.from[feedId] + (step.to[feedId] - step.from[feedId]) * progress;
+  }
+  
+  behaviour(source, position) {
+    const sources = position.step?.sources || {};
+    return sources[source] || sources['*'] || { mode: 'ok' };
+  }
+  
+  // The quote a source gives for a symbol now, or null for unknown symbols
+  quote(source, symbol, position, behaviour) {
+    const feedId = this.symbols.get(`${source}:${symbol}`);
+    if (!feedId) {
+      return null;
+    }
+    
+    const price = this.price(feedId, position) * (1 + (behaviour.offset || 0) / 100);
+    return {
+      price: Number(price.toFixed(8)),
+      timestamp: Math.floor(Date.now() / 1000) - (behaviour.lag || 0)
+    };
+  }
+  
+  // Response body for a source API request, as the real API would shape it
+  respond(source, url, position, behaviour) {
+    const params = url.searchParams;
+    if (source === 'coingecko') {
+      const body = {};
+      for (const id of (params.get('ids') || '').split(',')) {
+        for (const currency of (params.get('vs_currencies') || '').split(',')) {
+          const quote = this.quote(source, `${id}/${currency}`, position, behaviour);
+          if (quote) {
+            body[id] = { ...body[id], [currency]: quote.price, last_updated_at: quote.timestamp };
+          }
+        }
+      }
+      return { status: 200, body };
+    }
+    
+    if (source === 'binance') {
+      const symbol = params.get('symbol');
+      const quote = this.quote(source, symbol, position, behaviour);
+      return quote
+        ? { status: 200, body: { symbol, price: quote.price.toFixed(8) } }
+        : { status: 400, body: { code: -1121, msg: 'Invalid symbol.' } };
+    }
+    
+    if (source === 'coinbase') {
+      const product = decodeURIComponent(url.pathname.split('/')[2]);
+      const quote = this.quote(source, product, position, behaviour);
+      return quote
+        ? { status: 200, body: { price: quote.price.toFixed(2), time: new Date(quote.timestamp * 1000).toISOString() } }
+        : { status: 404, body: { message: 'NotFound' } };
+    }
+    
+    if (source === 'kraken') {
+      const pair = params.get('pair');
+      const quote = this.quote(source, pair, position, behaviour);
+      return quote
+        ? { status: 200, body: { error: [], result: { [pair]: { c: [quote.price.toFixed(5), '0.01000000'] } } } }
+        : { status: 200, body: { error: ['EQuery:Unknown asset pair'] } };
+    }
+    
+    const feed = decodeURIComponent(url.pathname.slice('/price/'.length));
+    const quote = this.quote(source, feed, position, behaviour);
+    return quote
+      ? { status: 200, body: { feed, price: quote.price, timestamp: quote.timestamp } }
+      : { status: 404, body: { error: `Unknown feed ${feed}` } };
+  }
+  
+  route(url) {
+    if (/^(\/api\/v3)?\/simple\/price$/.test(url.pathname)) {
+      return 'coingecko';
+    }
+    if (url.pathname === '/api/v3/ticker/price') {
+      return 'binance';
+    }
+    if (/^\/products\/[^/]+\/ticker$/.test(url.pathname)) {
+      return 'coinbase';
+    }
+    if (url.pathname === '/0/public/Ticker') {
+      return 'kraken';
+    }
+    if (url.pathname.startsWith('/price/')) {
+      return 'http';
+    }
+    return null;
+  }
+  
+  state() {
+    const position = this.position();
+    return {
+      scenario: this.scenario.name,
+      step: position.step ? position.step.index + 1 : null,
+      steps: this.steps.length,
+      elapsed: (Date.now() - this.startedAt) / 1000,
+      prices: Object.fromEntries(Object.keys(this.scenario.prices).map(id => [id, this.price(id, position)])),
+      sources: Object.fromEntries(SOURCES.map(source => [source, this.behaviour(source, position).mode])),
+      requests: this.requests
+    };
+  }
+  
+  reset() {
+    this.startedAt = Date.now();
+    this.requests = {};
+    this.logger.info(`Restarted scenario ${this.scenario.name}`);
+  }
+  
+  handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const send = (status, body, headers = {}) => {
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(typeof body === 'string' ? body : JSON.stringify(body));
+    };
+    
+    if (req.method === 'GET' && url.pathname === '/state') {
+      return send(200, this.state());
+    }
+    if (req.method === 'POST' && url.pathname === '/reset') {
+      this.reset();
+      return send(200, this.state());
+    }
+    
+    const source = this.route(url);
+    if (req.method !== 'GET' || !source) {
+      return send(404, { error: 'Not found' });
+    }
+    
+    const position = this.position();
+    const behaviour = this.behaviour(source, position);
+    const served = this.requests[source] || (this.requests[source] = {});
+    served[behaviour.mode] = (served[behaviour.mode] || 0) + 1;
+    
+    switch (behaviour.mode) {
+      case 'outage':
+        // Reset the connection without a response, like an unreachable API
+        req.socket.destroy();
+        return;
+      case 'error':
+        return send(behaviour.status || 500, { error: 'Internal server error' });
+      case 'rate-limit':
+        return send(behaviour.status || 429, { error: 'Too many requests' }, { 'Retry-After': String(behaviour.retryAfter ?? 5) });
+      case 'missing':
+        return send(200, {});
+    }
+    
+    const { status, body } = this.respond(source, url, position, behaviour);
+    if (behaviour.mode === 'malformed' && status === 200) {
+      const json = JSON.stringify(body);
+      return send(200, json.slice(0, Math.floor(json.length / 2)));
+    }
+    send(status, body);
+  }
+  
+  start() {
+    this.server = http.createServer((req, res) => {
+      try {
+        this.handle(req, res);
+      } catch (error) {
+        this.logger.error('Request failed:', error);
+        res.writeHead(500);
+        res.end();
+      }
+    });
+    
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, () => {
+        this.port = this.server.address().port;
+        this.startedAt = Date.now();
+        this.logger.info(`Mock price server listening on port ${this.port} (scenario ${this.scenario.name}, ${this.steps.length} steps, ${this.duration}s)`);
+        resolve();
+      });
+    });
+  }
+  
+  stop() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+    
+    this.server.closeAllConnections();
+    return new Promise(resolve => this.server.close(() => {
+      this.server = null;
+      resolve();
+    }));
+  }
+}
+
+// node src/sources/mock-server.js <scenario> [port]
+if (require.main === module) {
+  const [file, port] = process.argv.slice(2);
+  if (!file) {
+    console.error('Usage: node src/sources/mock-server.js <scenario.yaml|json> [port]');
+    process.exit(2);
+  }
+  
+  let server;
+  try {
+    server = new MockPriceServer(loadScenario(file), {
+      port: Number(port || process.env.MOCK_PRICE_SERVER_PORT) || undefined
+    });
+  } catch (error) {
+    console.error(`Invalid scenario: ${error.message}`);
+    process.exit(1);
+  }
+  
+  server.start().catch(error => {
+    console.error('Failed to start mock price server:', error.message);
+    process.exit(1);
+  });
+  
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => server.stop().then(() => process.exit(0)));
+  }
+}
+
+module.exports = { MockPriceServer, loadScenario, MODES };
@@ -0,0 +1,229 @@
+const http = require('http');
+const { WebSocketServer } = require('ws');
+const { Logger } = require('../utils/logger');
+
+const BASE_PRICES = { BTC: 60000, ETH: 2000 };
+
+// Local stand-in for the Binance and Coinbase ticker streams, so streaming
+// sources can be exercised without exchange connections. Each symbol follows
+// a random walk; Binance-style clients get a 24hrTicker per symbol every
+// interval, Coinbase-style clients a ticker on each trade and a heartbeat per
+// product every interval. The protocol is picked from the subscribe message.
+// HTTP control endpoints on the same port drive test scenarios:
+//   POST /price {"symbol": "ETHUSDT", "price": 2500}   trade at a set price
+//   POST /drop                                         close every connection
+//   POST /pause {"ms": 15000}                          send nothing for a while
+//   POST /skip {"symbol": "ETH-USD"}                   trade without a tick
+//   GET  /state                                        current prices
+// Not for production.
+class TickerStreamServer {
+  constructor(options = {}) {
+    this.port = options.port ?? 8765;
+    this.interval = options.interval || 1000;
+    this.volatility = options.volatility ?? 0.05; // percent per step
+    this.logger = new Logger('TickerStreamServer');
+    this.markets = new Map();
+    this.clients = new Set();
+    this.pausedUntil = 0;
+    this.server = null;
+    this.wss = null;
+    this.timer = null;
+  }
+  
+  market(symbol) {
+    if (!this.markets.has(symbol)) {
+      const base = Object.keys(BASE_PRICES).find(asset => symbol.toUpperCase().startsWith(asset));
+      this.markets.set(symbol, { price: base ? BASE_PRICES[base] : 100, tradeId: 1 });
+    }
+    return this.markets.get(symbol);
+  }
+  
+  trade(symbol, price, notify = true) {
+    const market = this.market(symbol);
+    market.price = Number(price.toFixed(2));
+    market.tradeId += 1;
+    
+    if (!notify || Date.now() < this.pausedUntil) {
+      return;
+    }
+    for (const client of this.clients) {
+      if (client.protocol === 'coinbase' && client.symbols.has(symbol)) {
+        this.send(client, {
+          type: 'ticker',
+          product_id: symbol,
+          price: String(market.price),
+          trade_id: market.tradeId,
+          time: new Date().toISOString()
+        });
+      }
+    }
+  }
+  
+  step() {
+    for (const [symbol, market] of this.markets) {
+      // Not every interval has a trade
+      if (Math.random() < 0.7) {
+        const move = (Math.random() * 2 - 1) * this.volatility / 100;
+        this.trade(symbol, market.price * (1 + move));
+      }
+    }
+    
+    if (Date.now() < this.pausedUntil) {
+      return;
+    }
+    for (const client of this.clients) {
+      for (const symbol of client.symbols) {
+        const market = this.market(symbol);
+        if (client.protocol === 'binance') {
+          this.send(client, { e: '24hrTicker', E: Date.now(), s: symbol, c: String(market.price), L: market.tradeId });
+        } else {
+          this.send(client, { type: 'heartbeat', product_id: symbol, last_trade_id: market.tradeId, time: new Date().toISOString() });
+        }
+      }
+    }
+  }
+  
+  send(client, message) {
+    if (client.socket.readyState === client.socket.OPEN) {
+      client.socket.send(JSON.stringify(message));
+    }
+  }
+  
+  subscribe(client, message) {
+    if (message.method === 'SUBSCRIBE') {
+      client.protocol = 'binance';
+      for (const stream of message.params || []) {
+        client.symbols.add(stream.split('@')[0].toUpperCase());
+      }
+      this.send(client, { result: null, id: message.id });
+    } else if (message.type === 'subscribe') {
+      client.protocol = 'coinbase';
+      for (const symbol of message.product_ids || []) {
+        client.symbols.add(symbol);
+      }
+      this.send(client, { type: 'subscriptions', channels: message.channels });
+    } else {
+      return;
+    }
+    
+    for (const symbol of client.symbols) {
+      this.market(symbol);
+    }
+    this.logger.info(`${client.protocol} client subscribed to ${[...client.symbols].join(', ')}`);
+  }
+  
+  async readJson(req) {
+    let body = '';
+    for await (const chunk of req) {
+      body += chunk;
+    }
+    return body ? JSON.parse(body) : {};
+  }
+  
+  async handle(req, res) {
+    let result;
+    if (req.method === 'GET' && req.url === '/state') {
+      result = Object.fromEntries(this.markets);
+    } else if (req.method === 'POST' && req.url === '/price') {
+      const { symbol, price } = await this.readJson(req);
+      this.trade(symbol, Number(price));
+      this.logger.info(`${symbol} traded at ${price}`);
+      result = this.market(symbol);
+    } else if (req.method === 'POST' && req.url === '/skip') {
+      const { symbol } = await this.readJson(req);
+      this.trade(symbol, this.market(symbol).price, false);
+      this.logger.info(`${symbol} traded without a tick`);
+      result = this.market(symbol);
+    } else if (req.method === 'POST' && req.url === '/pause') {
+      const { ms } = await this.readJson(req);
+      this.pausedUntil = Date.now() + Number(ms);
+      this.logger.info(`Pausing all streams for ${ms}ms`);
+      result = { pausedUntil: this.pausedUntil };
+    } else if (req.method === 'POST' && req.url === '/drop') {
+      this.logger.info(`Dropping ${this.clients.size} connection(s)`);
+      for (const client of this.clients) {
+        client.socket.terminate();
+      }
+      result = { dropped: true };
+    } else {
+      res.writeHead(404);
+      res.end('Not found');
+      return;
+    }
+    
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(result));
+  }
+  
+  start() {
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => {
+        this.logger.error('Request failed:', error);
+        res.writeHead(500);
+        res.end();
+      });
+    });
+    
+    this.wss = new WebSocketServer({ server: this.server });
+    this.wss.on('connection', socket => {
+      const client = { socket, protocol: null, symbols: new Set() };
+      this.clients.add(client);
+      socket.on('message', data => {
+        try {
+          this.subscribe(client, JSON.parse(data.toString()));
+        } catch (error) {
+          this.logger.warn(`Ignoring invalid message: ${error.message}`);
+        }
+      });
+      socket.on('close', () => this.clients.delete(client));
+    });
+    
+    this.timer = setInterval(() => this.step(), this.interval);
+    
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, () => {
+        this.port = this.server.address().port;
+        this.logger.info(`Ticker stream server listening on port ${this.port} (ws://localhost:${this.port})`);
+        resolve();
+      });
+    });
+  }
+  
+  stop() {
+    clearInterval(this.timer);
+    if (!this.server) {
+      return Promise.resolve();
+    }
+    
+    for (const client of this.clients) {
+      client.socket.terminate();
+    }
+    this.wss.close();
+    return new Promise(resolve => this.server.close(() => {
+      this.server = null;
+      resolve();
+    }));
+  }
+}
+
+// node src/sources/stream-server.js [port], with STREAM_SERVER_INTERVAL (ms)
+// and STREAM_SERVER_VOLATILITY (percent per step)
+if (require.main === module) {
+  const server = new TickerStreamServer({
+    port: Number(process.argv[2] || process.env.STREAM_SERVER_PORT) || undefined,
+    interval: Number(process.env.STREAM_SERVER_INTERVAL) || undefined,
+    volatility: process.env.STREAM_SERVER_VOLATILITY ? Number(process.env.STREAM_SERVER_VOLATILITY) : undefined
+  });
+  
+  server.start().catch(error => {
+    console.error('Failed to start ticker stream server:', error.message);
+    process.exit(1);
+  });
+  
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => server.stop().then(() => process.exit(0)));
+  }
+}
+
+module.exports = { TickerStreamServer };
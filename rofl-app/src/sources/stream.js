@@ -0,0 +1,228 @@
+const { EventEmitter } = require('events');
+const WebSocket = require('ws');
+const { Logger } = require('../utils/logger');
+
+const MIN_RECONNECT_DELAY = 1000;
+
+// Live ticker subscription over WebSocket for one source. The exchange
+// specifics come from a protocol object:
+//   subscribe(symbols)   messages to send after connecting
+//   parse(message)       events in a message: { type: 'tick', symbol, price,
+//                        timestamp, tradeId } or { type: 'heartbeat', symbol,
+//                        tradeId } (the last trade the exchange knows of)
+// The latest tick per symbol is served by latest() only while the stream is
+// known to be current:
+//   - ticks with a trade id older than the last one are dropped, and a repeat
+//     of the last one only confirms it, as does a heartbeat reporting no newer
+//     trade; a confirmed tick is restamped so quotes of it don't age out
+//   - two heartbeats in a row reporting a newer trade than the last tick mean
+//     ticks were missed, so the symbol is in a gap until the next tick
+//   - no message at all for staleAfter ms means the connection is dead; every
+//     symbol is in a gap and the socket is reconnected
+// Reconnects back off exponentially up to maxReconnectDelay.
+// Emits 'tick' ({ symbol, tick }), 'gap' ({ symbol, reason }) and
+// 'connection' ({ connected }).
+class TickerStream extends EventEmitter {
+  constructor(name, protocol, options = {}) {
+    super();
+    this.name = name;
+    this.protocol = protocol;
+    this.url = options.url;
+    this.staleAfter = options.staleAfter || 10000;
+    this.maxReconnectDelay = options.maxReconnectDelay || 60000;
+    this.logger = new Logger(`Stream:${name}`);
+    
+    this.symbols = [];
+    this.latestTicks = new Map();
+    this.socket = null;
+    this.connected = false;
+    this.stopped = true;
+    this.reconnectDelay = MIN_RECONNECT_DELAY;
+    this.reconnectTimer = null;
+    this.watchdog = null;
+    this.disconnectedAt = null;
+  }
+  
+  start(symbols) {
+    this.symbols = [...new Set(symbols)];
+    this.stopped = false;
+    this.connect();
+  }
+  
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.reconnectTimer);
+    if (this.socket) {
+      this.socket.terminate();
+      this.socket = null;
+    }
+    // The socket's close event is ignored once it is detached, so report the
+    // disconnect here
+    this.handleDisconnect();
+  }
+  
+  connect() {
+    this.logger.debug(`Connecting to ${this.url}...`);
+    const socket = new WebSocket(this.url, { handshakeTimeout: this.staleAfter });
+    this.socket = socket;
+    
+    socket.on('open', () => {
+      for (const message of this.protocol.subscribe(this.symbols)) {
+        socket.send(JSON.stringify(message));
+      }
+      
+      const gap = this.disconnectedAt ? ` after ${Math.round((Date.now() - this.disconnectedAt) / 1000)}s` : '';
+      this.logger.info(`Streaming ${this.symbols.join(', ')} from ${this.url}${gap}`);
+      this.connected = true;
+      this.disconnectedAt = null;
+      this.reconnectDelay = MIN_RECONNECT_DELAY;
+      this.emit('connection', { connected: true });
+      this.resetWatchdog();
+    });
+    
+    socket.on('message', data => this.handleMessage(data));
+    
+    socket.on('error', error => {
+      this.logger.warn(`Stream error: ${error.message}`);
+    });
+    
+    socket.on('close', () => {
+      if (this.socket !== socket) {
+        return;
+      }
+      this.socket = null;
+      this.handleDisconnect();
+    });
+  }
+  
+  handleMessage(data) {
+    this.resetWatchdog();
+    
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      this.logger.warn('Ignoring a message that is not JSON');
+      return;
+    }
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+      this.logger.warn('Ignoring a message that is not a JSON object');
+      return;
+    }
+    
+    let events;
+    try {
+      events = this.protocol.parse(message);
+    } catch (error) {
+      this.logger.warn(`Ignoring a message that could not be parsed: ${error.message}`);
+      return;
+    }
+    
+    for (const event of events) {
+      if (event.type === 'tick') {
+        this.handleTick(event);
+      } else if (event.type === 'heartbeat') {
+        this.handleHeartbeat(event);
+      } else if (event.type === 'error') {
+        this.logger.warn(`${this.name} stream reported an error: ${event.message}`);
+      }
+    }
+  }
+  
+  handleTick(event) {
+    const last = this.latestTicks.get(event.symbol);
+    if (last && event.tradeId !== undefined && event.tradeId <= last.tradeId) {
+      // A repeat of the last trade, as in periodic tickers, confirms its price
+      if (event.tradeId === last.tradeId) {
+        last.confirmedAt = Date.now();
+        last.timestamp = Math.floor(last.confirmedAt / 1000);
+        last.behind = 0;
+        last.gap = false;
+      }
+      return;
+    }
+    
+    const tick = {
+      price: Number(event.price),
+      timestamp: event.timestamp,
+      tradeId: event.tradeId,
+      confirmedAt: Date.now(),
+      behind: 0,
+      gap: false
+    };
+    if (!Number.isFinite(tick.price) || tick.price <= 0) {
+      this.logger.warn(`Ignoring invalid ${event.symbol} price: ${event.price}`);
+      return;
+    }
+    
+    this.latestTicks.set(event.symbol, tick);
+    this.emit('tick', { symbol: event.symbol, tick });
+  }
+  
+  handleHeartbeat(event) {
+    const last = this.latestTicks.get(event.symbol);
+    if (!last) {
+      return;
+    }
+    
+    // The tick of a trade can trail the heartbeat that reports it by a moment
+    if (event.tradeId > last.tradeId) {
+      last.behind += 1;
+      if (last.behind === 2) {
+        this.logger.warn(`Missed ${event.symbol} ticks: last tick was trade ${last.tradeId}, the exchange is at ${event.tradeId}`);
+        last.gap = true;
+        this.emit('gap', { symbol: event.symbol, reason: 'missed-ticks' });
+      }
+      return;
+    }
+    
+    // No trades since the last tick, so its price is still current
+    last.behind = 0;
+    last.confirmedAt = Date.now();
+    last.timestamp = Math.floor(last.confirmedAt / 1000);
+  }
+  
+  resetWatchdog() {
+    clearTimeout(this.watchdog);
+    this.watchdog = setTimeout(() => {
+      this.logger.warn(`No stream data for ${this.staleAfter / 1000}s, reconnecting`);
+      for (const symbol of this.latestTicks.keys()) {
+        this.emit('gap', { symbol, reason: 'silence' });
+      }
+      if (this.socket) {
+        this.socket.terminate();
+      }
+    }, this.staleAfter);
+  }
+  
+  handleDisconnect() {
+    clearTimeout(this.watchdog);
+    for (const tick of this.latestTicks.values()) {
+      tick.gap = true;
+    }
+    
+    if (this.connected) {
+      this.connected = false;
+      this.disconnectedAt = Date.now();
+      this.emit('connection', { connected: false });
+    }
+    if (this.stopped) {
+      return;
+    }
+    
+    this.logger.warn(`Stream disconnected, reconnecting in ${this.reconnectDelay / 1000}s`);
+    this.reconnectTimer = setTimeout(() => this.connect(), this.reconnectDelay);
+    this.reconnectDelay = Math.min(this.reconnectDelay * 2, this.maxReconnectDelay);
+  }
+  
+  // The symbol's latest tick as a quote, or null while it may be outdated
+  latest(symbol) {
+    const tick = this.latestTicks.get(symbol);
+    if (!tick || tick.gap || Date.now() - tick.confirmedAt > this.staleAfter) {
+      return null;
+    }
+    return tick;
+  }
+}
+
+module.exports = { TickerStream };
@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+const { Logger } = require('./utils/logger');
+
+// Small JSON file store for oracle state that must survive restarts: the last
+// submitted price per feed, its tx hash and nonce, any tx still in flight, and
+// the last attestation sequence number.
+// Writes go to a temp file first and are renamed into place, so a crash
+// mid-write never leaves a truncated state file behind.
+class StateStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.logger = new Logger('StateStore');
+    this.data = { version: 1, feeds: {} };
+  }
+  
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        this.logger.info(`No state file at ${this.filePath}, starting fresh`);
+        return this.data;
+      }
+      
+      const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.data = { version: 1, feeds: {}, ...parsed };
+      this.logger.info(`Loaded state for ${Object.keys(this.data.feeds).length} feed(s) from ${this.filePath}`);
+    
+    } catch (error) {
+      // A corrupt file must not keep the oracle down; the chain is the source of truth
+      this.logger.error(`Failed to read state file ${this.filePath}, starting fresh:`, error.message);
+    }
+    
+    return this.data;
+  }
+  
+  getFeed(feedId) {
+    return this.data.feeds[feedId] || {};
+  }
+  
+  updateFeed(feedId, patch) {
+    this.data.feeds[feedId] = { ...this.getFeed(feedId), ...patch };
+    this.save();
+  }
+  
+  // Last attestation sequence handed out; it must never be reused
+  getSequence() {
+    return this.data.sequence || 0;
+  }
+  
+  setSequence(sequence) {
+    this.data.sequence = sequence;
+    this.save();
+  }
+  
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      
+      const tmpPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(this.data, null, 2));
+      fs.renameSync(tmpPath, this.filePath);
+    
+    } catch (error) {
+      this.logger.error(`Failed to write state file ${this.filePath}:`, error.message);
+    }
+  }
+}
+
+module.exports = { StateStore };
@@ -0,0 +1,485 @@
+const { EventEmitter } = require('events');
+const { ethers } = require('ethers');
+const { Logger } = require('./utils/logger');
+const { sleep, withRetry } = require('./utils/retry');
+
+const DEFAULT_OPTIONS = {
+  stuckTimeout: 45000,      // ms without a receipt before fees are bumped
+  pollInterval: 3000,       // ms between receipt checks
+  maxReplacements: 3,       // fee bumps before a tx is given up as dropped
+  feeBumpPercentage: 20,    // nodes require at least 10% to accept a replacement
+  maxFeePerGas: null,       // wei cap, null for no cap
+  priorityFeePerGas: null,  // wei, null to use the node's suggestion
+  maxRetries: 4,            // retries for transient RPC errors
+  retryBaseDelay: 500       // ms, doubled on every retry
+};
+
+function bump(value, percentage) {
+  return value * BigInt(100 + percentage) / 100n;
+}
+
+function maxBigInt(a, b) {
+  return a > b ? a : b;
+}
+
+// Submits transactions with locally tracked nonces and follows each one to an
+// end state. Submissions are keyed (e.g. by feed id): submitting again for a
+// key with a tx still pending replaces that tx at the same nonce, so a
+// superseded price update is never mined after the newer one.
+//
+// End states resolved on `submission.outcome`:
+//   confirmed - mined successfully; `superseded` is set when the tx mined was
+//               one this submission replaced, which won the race to a block
+//   replaced  - superseded by a newer submission for the same key
+//   dropped   - not mined after all fee bumps, or its nonce was used by another tx
+//   reverted  - mined with status 0; `error` holds the decoded custom error
+//
+// Emits 'sent' with the submission after every broadcast (including fee
+// bumps) and 'outcome' with the end state of every submission.
+class TransactionManager extends EventEmitter {
+  constructor(wallet, options = {}, errorInterface = null) {
+    super();
+    this.wallet = wallet;
+    this.provider = wallet.provider;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.errorInterface = errorInterface;
+    this.logger = new Logger('TransactionManager');
+    
+    this.nextNonce = null;
+    this.pending = new Map();
+    this.stopped = false;
+  }
+  
+  retry(fn) {
+    return withRetry(fn, {
+      retries: this.options.maxRetries,
+      baseDelay: this.options.retryBaseDelay,
+      onRetry: (error, attempt, delay) => {
+        this.logger.warn(`Transient RPC error (${error.code || error.message}), retry ${attempt} in ${delay}ms`);
+      }
+    });
+  }
+  
+  async syncNonce() {
+    this.nextNonce = await this.retry(
+      () => this.provider.getTransactionCount(this.wallet.address, 'pending')
+    );
+    this.logger.debug(`Nonce synced to ${this.nextNonce}`);
+    return this.nextNonce;
+  }
+  
+  async allocateNonce() {
+    if (this.nextNonce === null) {
+      await this.syncNonce();
+    }
+    return this.nextNonce++;
+  }
+  
+  async getMarketFees() {
+    const [block, feeData] = await this.retry(() => Promise.all([
+      this.provider.getBlock('latest'),
+      this.provider.getFeeData()
+    ]));
+    
+    // Legacy pricing for chains without EIP-1559 base fees
+    if (block?.baseFeePerGas == null) {
+      return this.capFees({ gasPrice: feeData.gasPrice });
+    }
+    
+    const priorityFee = this.options.priorityFeePerGas
+      ?? feeData.maxPriorityFeePerGas
+      ?? ethers.parseUnits('1', 'gwei');
+    
+    // Twice the base fee leaves room for several full blocks of base fee growth
+    return this.capFees({
+      maxFeePerGas: block.baseFeePerGas * 2n + priorityFee,
+      maxPriorityFeePerGas: priorityFee
+    });
+  }
+  
+  capFees(fees) {
+    const cap = this.options.maxFeePerGas;
+    if (cap === null) {
+      return fees;
+    }
+    
+    if (fees.gasPrice !== undefined) {
+      return { gasPrice: fees.gasPrice > cap ? cap : fees.gasPrice };
+    }
+    
+    const maxFeePerGas = fees.maxFeePerGas > cap ? cap : fees.maxFeePerGas;
+    const maxPriorityFeePerGas = fees.maxPriorityFeePerGas > maxFeePerGas
+      ? maxFeePerGas
+      : fees.maxPriorityFeePerGas;
+    return { maxFeePerGas, maxPriorityFeePerGas };
+  }
+  
+  // Fees for a replacement: bumped over the previous tx, but never below market
+  async getReplacementFees(previous) {
+    const market = await this.getMarketFees();
+    const percentage = this.options.feeBumpPercentage;
+    
+    if (previous.gasPrice !== undefined) {
+      return this.capFees({
+        gasPrice: maxBigInt(bump(previous.gasPrice, percentage), market.gasPrice ?? 0n)
+      });
+    }
+    
+    return this.capFees({
+      maxFeePerGas: maxBigInt(bump(previous.maxFeePerGas, percentage), market.maxFeePerGas ?? 0n),
+      maxPriorityFeePerGas: maxBigInt(
+        bump(previous.maxPriorityFeePerGas, percentage),
+        market.maxPriorityFeePerGas ?? 0n
+      )
+    });
+  }
+  
+  feesAreHigher(next, previous) {
+    if (next.gasPrice !== undefined) {
+      return next.gasPrice > previous.gasPrice;
+    }
+    return next.maxFeePerGas > previous.maxFeePerGas
+      && next.maxPriorityFeePerGas > previous.maxPriorityFeePerGas;
+  }
+  
+  formatFees(fees) {
+    if (fees.gasPrice !== undefined) {
+      return `gasPrice ${ethers.formatUnits(fees.gasPrice, 'gwei')} gwei`;
+    }
+    return `maxFee ${ethers.formatUnits(fees.maxFeePerGas, 'gwei')} gwei, ` +
+      `tip ${ethers.formatUnits(fees.maxPriorityFeePerGas, 'gwei')} gwei`;
+  }
+  
+  async submit(key, request, { label = key } = {}) {
+    const previous = this.pending.get(key);
+    
+    const submission = {
+      key,
+      label,
+      request,
+      nonce: null,
+      fees: null,
+      hash: null,
+      ownHashes: [],
+      // Every hash sent for this nonce; any of them may still be mined
+      hashes: previous ? [...previous.hashes] : [],
+      replacements: 0,
+      sentAt: null,
+      settled: false
+    };
+    submission.outcome = new Promise(resolve => {
+      submission.resolve = resolve;
+    });
+    
+    if (previous) {
+      submission.nonce = previous.nonce;
+      submission.fees = await this.getReplacementFees(previous.fees);
+    } else {
+      submission.nonce = await this.allocateNonce();
+      submission.fees = await this.getMarketFees();
+    }
+    
+    try {
+      await this.broadcast(submission);
+    } catch (error) {
+      if (!previous && error.code === 'NONCE_EXPIRED') {
+        // Our local nonce fell behind (e.g. a tx sent from elsewhere); resync once
+        this.logFor(submission).warn(`Nonce ${submission.nonce} already used, resyncing`);
+        await this.syncNonce();
+        submission.nonce = await this.allocateNonce();
+        await this.broadcast(submission);
+      } else {
+        if (!previous) {
+          // The nonce was never used, so later submissions must not skip it
+          await this.syncNonce();
+        }
+        throw error;
+      }
+    }
+    
+    if (previous) {
+      this.finish(previous, { status: 'replaced', replacedBy: submission.hash });
+    }
+    
+    this.pending.set(key, submission);
+    this.watch(submission);
+    
+    return submission;
+  }
+  
+  async broadcast(submission) {
+    const tx = await this.wallet.populateTransaction({
+      ...submission.request,
+      ...submission.fees,
+      nonce: submission.nonce
+    });
+    const signed = await this.wallet.signTransaction(tx);
+    const hash = ethers.keccak256(signed);
+    
+    try {
+      await this.retry(() => this.provider.broadcastTransaction(signed));
+    } catch (error) {
+      // A retried broadcast may hit a node that already has the tx
+      if (!/already known/i.test(error.message)) {
+        throw error;
+      }
+    }
+    
+    submission.hash = hash;
+    submission.ownHashes.push(hash);
+    submission.hashes.push(hash);
+    submission.sentAt = Date.now();
+    
+    this.logFor(submission).info(
+      `${submission.label} tx ${hash} sent (nonce ${submission.nonce}, ${this.formatFees(submission.fees)})`
+    );
+    this.emit('sent', submission);
+  }
+  
+  // Log lines about a submission carry its key, nonce and current hash
+  logFor(submission) {
+    return this.logger.child({
+      key: submission.key,
+      nonce: submission.nonce,
+      txHash: submission.hash
+    });
+  }
+  
+  // Serializable form of a pending submission, enough to resume it after a restart
+  snapshot(submission) {
+    const { to, data, gasLimit, value } = submission.request;
+    
+    return {
+      nonce: submission.nonce,
+      hash: submission.hash,
+      ownHashes: submission.ownHashes,
+      hashes: submission.hashes,
+      fees: Object.fromEntries(Object.entries(submission.fees).map(([key, fee]) => [key, fee.toString()])),
+      request: {
+        to,
+        data,
+        gasLimit: gasLimit?.toString(),
+        value: value?.toString()
+      }
+    };
+  }
+  
+  // Resume watching a submission restored from a snapshot. Its fees are bumped
+  // once the stuck timeout passes, which also re-broadcasts a tx the node forgot.
+  async adopt(key, snapshot, { label = key } = {}) {
+    const { to, data, gasLimit, value } = snapshot.request;
+    
+    const submission = {
+      key,
+      label,
+      request: {
+        to,
+        data,
+        gasLimit: gasLimit ? BigInt(gasLimit) : undefined,
+        value: value ? BigInt(value) : undefined
+      },
+      nonce: snapshot.nonce,
+      fees: Object.fromEntries(Object.entries(snapshot.fees).map(([name, fee]) => [name, BigInt(fee)])),
+      hash: snapshot.hash,
+      ownHashes: [...snapshot.ownHashes],
+      hashes: [...snapshot.hashes],
+      replacements: 0,
+      sentAt: Date.now(),
+      settled: false
+    };
+    submission.outcome = new Promise(resolve => {
+      submission.resolve = resolve;
+    });
+    
+    // Never hand the adopted nonce to a new submission, even if the node dropped the tx
+    if (this.nextNonce === null) {
+      await this.syncNonce();
+    }
+    if (this.nextNonce <= submission.nonce) {
+      this.nextNonce = submission.nonce + 1;
+    }
+    
+    this.logFor(submission).info(`Resuming ${label} tx ${submission.hash} (nonce ${submission.nonce})`);
+    
+    this.pending.set(key, submission);
+    this.watch(submission);
+    
+    return submission;
+  }
+  
+  async watch(submission) {
+    const { pollInterval, stuckTimeout, maxReplacements } = this.options;
+    
+    try {
+      while (!submission.settled && !this.stopped) {
+        await sleep(pollInterval);
+        if (submission.settled || this.stopped) {
+          return;
+        }
+        
+        const receipt = await this.findReceipt(submission);
+        if (receipt) {
+          await this.handleReceipt(submission, receipt);
+          return;
+        }
+        
+        if (Date.now() - submission.sentAt < stuckTimeout) {
+          continue;
+        }
+        
+        if (submission.replacements < maxReplacements) {
+          await this.speedUp(submission);
+          continue;
+        }
+        
+        this.finish(submission, {
+          status: 'dropped',
+          reason: `not mined after ${submission.replacements} fee bumps`
+        });
+        await this.syncNonce();
+      }
+    } catch (error) {
+      this.logFor(submission).error(`Lost track of ${submission.label} tx ${submission.hash}:`, error);
+      this.finish(submission, { status: 'dropped', reason: error.message });
+    }
+  }
+  
+  async findReceipt(submission) {
+    for (const hash of submission.hashes) {
+      const receipt = await this.retry(() => this.provider.getTransactionReceipt(hash));
+      if (receipt) {
+        return receipt;
+      }
+    }
+    return null;
+  }
+  
+  async speedUp(submission) {
+    const fees = await this.getReplacementFees(submission.fees);
+    submission.replacements++;
+    
+    if (!this.feesAreHigher(fees, submission.fees)) {
+      this.logFor(submission).warn(`${submission.label} tx ${submission.hash} is stuck but fees are already at the cap`);
+      submission.sentAt = Date.now();
+      return;
+    }
+    
+    const stuckHash = submission.hash;
+    submission.fees = fees;
+    
+    try {
+      await this.broadcast(submission);
+      this.logFor(submission).warn(
+        `${submission.label} tx ${stuckHash} stuck for ${this.options.stuckTimeout}ms, ` +
+        `replaced by ${submission.hash} (bump ${submission.replacements}/${this.options.maxReplacements})`
+      );
+    } catch (error) {
+      // Typically REPLACEMENT_UNDERPRICED; the next bump starts from the higher fees
+      this.logFor(submission).warn(`Fee bump for ${submission.label} tx ${stuckHash} rejected: ${error.shortMessage || error.message}`);
+      submission.sentAt = Date.now();
+    }
+  }
+  
+  async handleReceipt(submission, receipt) {
+    // The nonce went to a tx this submission replaced; its effects stand, so
+    // the submission ends with that tx's receipt rather than as dropped
+    const superseded = !submission.ownHashes.includes(receipt.hash);
+    
+    if (receipt.status === 1) {
+      this.finish(submission, { status: 'confirmed', hash: receipt.hash, receipt, superseded });
+      return;
+    }
+    
+    const request = superseded ? await this.minedRequest(receipt.hash) : submission.request;
+    const error = await this.decodeRevertedTransaction(request, receipt);
+    this.finish(submission, { status: 'reverted', hash: receipt.hash, receipt, error, superseded });
+  }
+  
+  // The call a mined tx made, for replaying a superseded tx we no longer hold the request of
+  async minedRequest(hash) {
+    const tx = await this.retry(() => this.provider.getTransaction(hash));
+    return { to: tx.to, data: tx.data, gasLimit: tx.gasLimit, value: tx.value };
+  }
+  
+  // Replays a reverted tx against the state before its block to recover the revert data
+  async decodeRevertedTransaction(request, receipt) {
+    try {
+      await this.provider.call({
+        ...request,
+        from: this.wallet.address,
+        blockTag: receipt.blockNumber - 1
+      });
+      return 'unknown reason';
+    } catch (error) {
+      return this.decodeError(error);
+    }
+  }
+  
+  decodeError(error) {
+    const data = error?.data ?? error?.info?.error?.data;
+    
+    if (this.errorInterface && typeof data === 'string' && data.length >= 10) {
+      try {
+        const parsed = this.errorInterface.parseError(data);
+        if (parsed) {
+          return `${parsed.name}(${parsed.args.map(String).join(', ')})`;
+        }
+      } catch (parseError) {
+        // Fall through to the generic message
+      }
+    }
+    
+    return error?.revert?.name || error?.shortMessage || error?.message || 'unknown reason';
+  }
+  
+  finish(submission, result) {
+    if (submission.settled) {
+      return;
+    }
+    
+    submission.settled = true;
+    if (this.pending.get(submission.key) === submission) {
+      this.pending.delete(submission.key);
+    }
+    
+    const outcome = {
+      key: submission.key,
+      nonce: submission.nonce,
+      hash: submission.hash,
+      replacements: submission.replacements,
+      ...result
+    };
+    
+    const { label } = submission;
+    switch (outcome.status) {
+      case 'confirmed': {
+        const { receipt } = outcome;
+        const fee = receipt.gasUsed * (receipt.gasPrice ?? 0n);
+        const superseded = outcome.superseded ? ` (replaced by ${submission.hash} but mined first)` : '';
+        this.logFor(submission).info(
+          `${label} tx ${outcome.hash}${superseded} confirmed in block ${receipt.blockNumber} ` +
+          `(gas used ${receipt.gasUsed}, fee ${ethers.formatEther(fee)})`
+        );
+        break;
+      }
+      case 'replaced':
+        this.logFor(submission).info(`${label} tx ${outcome.hash} replaced by ${outcome.replacedBy}`);
+        break;
+      case 'dropped':
+        this.logFor(submission).warn(`${label} tx ${outcome.hash} dropped: ${outcome.reason}`);
+        break;
+      case 'reverted':
+        this.logFor(submission).error(`${label} tx ${outcome.hash} reverted in block ${outcome.receipt.blockNumber}: ${outcome.error}`);
+        break;
+    }
+    
+    submission.resolve(outcome);
+    this.emit('outcome', outcome);
+  }
+  
+  stop() {
+    this.stopped = true;
+  }
+}
+
+module.exports = { TransactionManager };
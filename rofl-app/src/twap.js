@@ -0,0 +1,80 @@
+const { toFixedPoint } = require('./aggregator');
+
+// Rolling window of aggregated price samples for one feed, from which
+// time-weighted average prices are computed. Each sample's price holds from
+// its timestamp until the next sample, so the TWAP over a window is the
+// integral of that step function divided by the window length. A window is
+// only reported once the samples cover all of it, and a gap longer than
+// maxSampleGap (e.g. the oracle was down) restarts the history rather than
+// stretching a stale price over it.
+class TwapTracker {
+  constructor(feed) {
+    this.decimals = feed.decimals;
+    this.windows = feed.twap.enabled ? feed.twap.windows : [];
+    this.maxSampleGap = feed.twap.maxSampleGap;
+    this.samples = [];
+  }
+  
+  get enabled() {
+    return this.windows.length > 0;
+  }
+  
+  // Samples persisted by an earlier run
+  restore(samples = []) {
+    this.samples = [];
+    for (const sample of samples) {
+      this.record(sample.price, sample.timestamp);
+    }
+  }
+  
+  record(price, timestamp) {
+    const last = this.samples[this.samples.length - 1];
+    if (last && timestamp <= last.timestamp) {
+      return;
+    }
+    if (last && timestamp - last.timestamp > this.maxSampleGap) {
+      this.samples = [];
+    }
+    
+    this.samples.push({ price, timestamp });
+    
+    // Keep the sample in effect at the start of the longest window
+    const cutoff = timestamp - Math.max(...this.windows);
+    while (this.samples.length > 1 && this.samples[1].timestamp <= cutoff) {
+      this.samples.shift();
+    }
+  }
+  
+  average(window, now) {
+    const start = now - window;
+    if (this.samples.length === 0 || this.samples[0].timestamp > start) {
+      return null;
+    }
+    
+    let weighted = 0;
+    this.samples.forEach((sample, index) => {
+      const next = this.samples[index + 1];
+      const from = Math.max(sample.timestamp, start);
+      const to = next ? Math.min(next.timestamp, now) : now;
+      if (to > from) {
+        weighted += sample.price * (to - from);
+      }
+    });
+    
+    return weighted / window;
+  }
+  
+  // TWAPs of every fully covered window at `now`, in the feed's fixed point
+  compute(now) {
+    const twaps = [];
+    for (const window of this.windows) {
+      const price = this.average(window, now);
+      if (price !== null) {
+        twaps.push({ window, price: toFixedPoint(price, this.decimals) });
+      }
+    }
+    return twaps;
+  }
+}
+
+module.exports = { TwapTracker };
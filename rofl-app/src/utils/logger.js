@@ -1,52 +1,297 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = {
+  error: 0,
+  warn: 1,
+  info: 2,
+  debug: 3
+};
+
+// Object keys whose values are never written out
+const SECRET_KEY_PATTERN = /(private.?key|api.?key|secret|token|password|passphrase|mnemonic|authorization)/i;
+const REDACTED = '[REDACTED]';
+
+// Writes each line to stdout, or stderr for warnings and errors
+class StdoutSink {
+  write(entry, line) {
+    if (LEVELS[entry.level] <= LEVELS.warn) {
+      process.stderr.write(line + '\n');
+    } else {
+      process.stdout.write(line + '\n');
+    }
+  }
+}
+
+// Appends to a file, rotating it to file.1 .. file.<maxFiles> once it grows
+// past maxSize bytes. Writes are synchronous so nothing is lost on exit.
+class RotatingFileSink {
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.maxSize = options.maxSize || 10 * 1024 * 1024;
+    this.maxFiles = options.maxFiles || 5;
+    
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    this.size = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+  }
+  
+  write(entry, line) {
+    const data = line + '\n';
+    if (this.size > 0 && this.size + Buffer.byteLength(data) > this.maxSize) {
+      this.rotate();
+    }
+    
+    fs.appendFileSync(this.filePath, data);
+    this.size += Buffer.byteLength(data);
+  }
+  
+  rotate() {
+    for (let index = this.maxFiles - 1; index >= 1; index--) {
+      const from = `${this.filePath}.${index}`;
+      if (fs.existsSync(from)) {
+        fs.renameSync(from, `${this.filePath}.${index + 1}`);
+      }
+    }
+    fs.renameSync(this.filePath, `${this.filePath}.1`);
+    this.size = 0;
+  }
+}
+
+// Process-wide logging settings. Loggers read these on every call, so
+// loggers created before configureLogging() still pick the settings up.
+const settings = {
+  format: process.env.LOG_FORMAT || 'text',
+  level: process.env.LOG_LEVEL || 'info',
+  levels: {},
+  sinks: [new StdoutSink()],
+  secrets: []
+};
+
+const correlation = new AsyncLocalStorage();
+
+function configureLogging(options = {}) {
+  if (options.format) {
+    settings.format = options.format;
+  }
+  if (options.level) {
+    settings.level = options.level;
+  }
+  if (options.levels) {
+    settings.levels = options.levels;
+  }
+  if (options.sinks) {
+    settings.sinks = options.sinks;
+  } else if (options.file?.path) {
+    settings.sinks = [new StdoutSink(), new RotatingFileSink(options.file.path, options.file)];
+  }
+  if (options.secrets) {
+    // Literal secret values are masked wherever they show up, e.g. an API
+    // key embedded in a request URL inside an error message
+    settings.secrets = options.secrets.filter(secret => typeof secret === 'string' && secret.length >= 8);
+  }
+}
+
+function createCorrelationId() {
+  return crypto.randomBytes(6).toString('hex');
+}
+
+// Runs fn with a correlation id that every log line written during it,
+// including from async work it starts, carries along
+function withCorrelationId(id, fn) {
+  return correlation.run(id || createCorrelationId(), fn);
+}
+
+function maskSecrets(text) {
+  let masked = text;
+  for (const secret of settings.secrets) {
+    masked = masked.split(secret).join(REDACTED);
+  }
+  return masked;
+}
+
+function serializeError(error) {
+  const serialized = {
+    name: error.name,
+    message: maskSecrets(error.message)
+  };
+  
+  // ethers errors carry a code and a readable shortMessage
+  for (const field of ['code', 'shortMessage', 'reason']) {
+    if (error[field] !== undefined && error[field] !== null) {
+      serialized[field] = maskSecrets(String(error[field]));
+    }
+  }
+  if (error.stack) {
+    serialized.stack = maskSecrets(error.stack);
+  }
+  
+  return serialized;
+}
+
+// Copy of value that is safe to serialize: secrets masked, errors expanded,
+// BigInts stringified and cycles cut
+function sanitize(value, seen = new WeakSet()) {
+  if (typeof value === 'string') {
+    return maskSecrets(value);
+  }
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (value instanceof Error) {
+    return serializeError(value);
+  }
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  seen.add(value);
+  
+  if (Array.isArray(value)) {
+    return value.map(item => sanitize(item, seen));
+  }
+  
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = SECRET_KEY_PATTERN.test(key) ? REDACTED : sanitize(item, seen);
+  }
+  return result;
+}
+
 class Logger {
-  constructor(component) {
+  constructor(component, context = {}) {
     this.component = component;
-    this.logLevel = process.env.LOG_LEVEL || 'info';
+    this.context = context;
+    this.levels = LEVELS;
+  }
+  
+  // Logger for the same component with extra fields bound to every entry
+  child(context) {
+    return new Logger(this.component, { ...this.context, ...context });
+  }
+  
+  // Per-component levels match exactly or by a trailing "*" prefix
+  get logLevel() {
+    const { levels } = settings;
+    if (levels[this.component]) {
+      return levels[this.component];
+    }
     
-    this.levels = {
-      error: 0,
-      warn: 1,
-      info: 2,
-      debug: 3
-    };
+    let match = null;
+    for (const pattern of Object.keys(levels)) {
+      if (pattern.endsWith('*') && this.component.startsWith(pattern.slice(0, -1))) {
+        if (!match || pattern.length > match.length) {
+          match = pattern;
+        }
+      }
+    }
+    return match ? levels[match] : settings.level;
   }
   
   shouldLog(level) {
     return this.levels[level] <= this.levels[this.logLevel];
   }
   
-  formatMessage(level, message, ...args) {
-    const timestamp = new Date().toISOString();
-    const formattedArgs = args.length > 0 ? ' ' + args.map(arg => 
-      typeof arg === 'object' ? JSON.stringify(arg, null, 2) : String(arg)
-    ).join(' ') : '';
+  createEntry(level, message, args) {
+    const entry = {
+      timestamp: new Date().toISOString(),
+      level,
+      component: this.component,
+      message: maskSecrets(String(message))
+    };
     
-    return `${timestamp} [${level.toUpperCase()}] [${this.component}] ${message}${formattedArgs}`;
+    const correlationId = correlation.getStore();
+    if (correlationId) {
+      entry.correlationId = correlationId;
+    }
+    Object.assign(entry, sanitize(this.context));
+    
+    // Plain values continue the message, the first error becomes the error
+    // field and any other objects are attached as data
+    const data = [];
+    for (const arg of args) {
+      if (arg instanceof Error && !entry.error) {
+        entry.error = serializeError(arg);
+      } else if (arg !== null && typeof arg === 'object') {
+        data.push(sanitize(arg));
+      } else {
+        entry.message += ` ${maskSecrets(String(arg))}`;
+      }
+    }
+    if (data.length > 0) {
+      entry.data = data.length === 1 ? data[0] : data;
+    }
+    
+    return entry;
   }
   
-  error(message, ...args) {
-    if (this.shouldLog('error')) {
-      console.error(this.formatMessage('error', message, ...args));
+  formatMessage(entry) {
+    if (settings.format === 'json') {
+      return JSON.stringify(entry);
+    }
+    
+    const { timestamp, level, component, message, correlationId, error, data, ...context } = entry;
+    let line = `${timestamp} [${level.toUpperCase()}] [${component}]`;
+    if (correlationId) {
+      line += ` [${correlationId}]`;
     }
+    line += ` ${message}`;
+    
+    const fields = Object.entries(context).map(([key, value]) => `${key}=${value}`);
+    if (fields.length > 0) {
+      line += ` (${fields.join(', ')})`;
+    }
+    if (data !== undefined) {
+      line += ` ${JSON.stringify(data, null, 2)}`;
+    }
+    if (error) {
+      line += ` ${error.stack || error.message}`;
+    }
+    return line;
   }
   
-  warn(message, ...args) {
-    if (this.shouldLog('warn')) {
-      console.warn(this.formatMessage('warn', message, ...args));
+  log(level, message, args) {
+    if (!this.shouldLog(level)) {
+      return;
     }
+    
+    const entry = this.createEntry(level, message, args);
+    const line = this.formatMessage(entry);
+    for (const sink of settings.sinks) {
+      try {
+        sink.write(entry, line);
+      } catch (error) {
+        // A failing sink must not take the oracle down with it
+        process.stderr.write(`Log sink failed: ${error.message}\n`);
+      }
+    }
+  }
+  
+  error(message, ...args) {
+    this.log('error', message, args);
+  }
+  
+  warn(message, ...args) {
+    this.log('warn', message, args);
   }
   
   info(message, ...args) {
-    if (this.shouldLog('info')) {
-      console.log(this.formatMessage('info', message, ...args));
-    }
+    this.log('info', message, args);
   }
   
   debug(message, ...args) {
-    if (this.shouldLog('debug')) {
-      console.log(this.formatMessage('debug', message, ...args));
-    }
+    this.log('debug', message, args);
   }
 }
 
-module.exports = { Logger };
+module.exports = {
+  Logger,
+  StdoutSink,
+  RotatingFileSink,
+  configureLogging,
+  withCorrelationId,
+  createCorrelationId
+};
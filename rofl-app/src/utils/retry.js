@@ -0,0 +1,55 @@
+const TRANSIENT_ERROR_CODES = new Set([
+  // ethers
+  'NETWORK_ERROR',
+  'TIMEOUT',
+  'SERVER_ERROR',
+  // Node.js sockets
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EAI_AGAIN',
+  'EPIPE'
+]);
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function isTransientError(error) {
+  if (TRANSIENT_ERROR_CODES.has(error?.code)) {
+    return true;
+  }
+  
+  // HTTP responses surfaced by axios
+  const status = error?.response?.status;
+  return status === 429 || (status >= 500 && status < 600);
+}
+
+// Run fn, retrying transient failures with exponential backoff
+async function withRetry(fn, options = {}) {
+  const {
+    retries = 3,
+    baseDelay = 500,
+    maxDelay = 10000,
+    isRetryable = isTransientError,
+    onRetry
+  } = options;
+  
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error)) {
+        throw error;
+      }
+      
+      const delay = Math.min(baseDelay * 2 ** attempt, maxDelay);
+      if (onRetry) {
+        onRetry(error, attempt + 1, delay);
+      }
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = { sleep, isTransientError, withRetry };
@@ -0,0 +1,72 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const { AdminApi } = require('../src/admin');
+const { configureLogging } = require('../src/utils/logger');
+
+configureLogging({ sinks: [] });
+
+const TOKEN = 'admin-secret';
+
+function fakeOracle({ isLeader = true, holder = 'replica-a' } = {}) {
+  const oracle = {
+    feeds: new Map([['ETH/USD', { decisions: [] }]]),
+    isRunning: true,
+    isUpdating: false,
+    lease: { isLeader, holder },
+    forced: [],
+    getStatus: () => ({ running: oracle.isRunning }),
+    fetchAndUpdatePrice: async options => {
+      oracle.forced.push(options);
+    }
+  };
+  return oracle;
+}
+
+function mount(oracle) {
+  const routes = new Map();
+  new AdminApi(oracle, { admin: { token: TOKEN } }).register({
+    route: (method, path, handler) => routes.set(`${method} ${path}`, handler)
+  });
+  
+  return (method, path, body, token = TOKEN) => {
+    const req = Readable.from(body === undefined ? [] : [JSON.stringify(body)]);
+    req.method = method;
+    req.headers = token ? { authorization: `Bearer ${token}` } : {};
+    return routes.get(`${method} ${path}`)(req, new URL(path, 'http://localhost'));
+  };
+}
+
+describe('AdminApi forced updates', () => {
+  it('forces an update of the requested feed on the leader', async () => {
+    const oracle = fakeOracle();
+    const request = mount(oracle);
+    
+    const response = await request('POST', '/admin/update', { feed: 'ETH/USD' });
+    
+    assert.equal(response.status, 200);
+    assert.deepEqual(oracle.forced, [{ force: true, feedId: 'ETH/USD' }]);
+  });
+  
+  it('answers 409 with the current leader on a follower', async () => {
+    const oracle = fakeOracle({ isLeader: false, holder: 'replica-b' });
+    const request = mount(oracle);
+    
+    const response = await request('POST', '/admin/update');
+    
+    assert.equal(response.status, 409);
+    assert.equal(response.body.leader, 'replica-b');
+    assert.match(response.body.error, /follower/);
+    assert.deepEqual(oracle.forced, []);
+  });
+  
+  it('rejects unknown feeds and requests without the token', async () => {
+    const oracle = fakeOracle();
+    const request = mount(oracle);
+    
+    assert.equal((await request('POST', '/admin/update', { feed: 'BTC/USD' })).status, 404);
+    assert.equal((await request('POST', '/admin/update', {}, 'wrong')).status, 401);
+    assert.equal((await request('POST', '/admin/update', {}, null)).status, 401);
+    assert.deepEqual(oracle.forced, []);
+  });
+});
@@ -0,0 +1,87 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { median, deviationPercentage, toFixedPoint, aggregateQuotes } = require('../src/aggregator');
+
+const OPTIONS = { minSources: 2, maxDeviationPercentage: 2, maxQuoteAge: 120 };
+
+function quote(source, price, age = 0) {
+  return { source, price, timestamp: Math.floor(Date.now() / 1000) - age };
+}
+
+describe('median', () => {
+  it('takes the middle value, or the mean of the two middle ones', () => {
+    assert.equal(median([3, 1, 2]), 2);
+    assert.equal(median([4, 1, 3, 2]), 2.5);
+    assert.equal(median([7]), 7);
+  });
+  
+  it('leaves its input unsorted', () => {
+    const values = [3, 1, 2];
+    median(values);
+    
+    assert.deepEqual(values, [3, 1, 2]);
+  });
+});
+
+describe('aggregateQuotes', () => {
+  it('publishes the median of the agreeing sources', () => {
+    const aggregate = aggregateQuotes([quote('a', 2000), quote('b', 2010), quote('c', 2004)], OPTIONS);
+    
+    assert.equal(aggregate.method, 'median');
+    assert.equal(aggregate.price, 2004);
+    assert.equal(aggregate.accepted.length, 3);
+    assert.deepEqual(aggregate.rejected, []);
+  });
+  
+  it('drops quotes too far from the median of the rest', () => {
+    const aggregate = aggregateQuotes(
+      [quote('a', 2000), quote('b', 2010), quote('c', 2004), quote('d', 2500)],
+      OPTIONS
+    );
+    
+    // The outlier moves the reference median but not the published price
+    assert.equal(aggregate.price, 2004);
+    assert.deepEqual(aggregate.rejected, [{ source: 'd', price: 2500, reason: 'outlier' }]);
+  });
+  
+  it('drops quotes older than maxQuoteAge before taking the median', () => {
+    const aggregate = aggregateQuotes([quote('a', 2000), quote('b', 2002), quote('c', 1000, 121)], OPTIONS);
+    
+    assert.equal(aggregate.price, 2001);
+    assert.deepEqual(aggregate.rejected, [{ source: 'c', price: 1000, reason: 'stale' }]);
+  });
+  
+  it('fails without a quorum and reports what it rejected', () => {
+    assert.throws(
+      () => aggregateQuotes(
+        [quote('a', 2000), quote('b', 2001), quote('c', 2300), quote('d', 2000, 600)],
+        { ...OPTIONS, minSources: 3 }
+      ),
+      error => {
+        assert.match(error.message, /Price quorum not reached: 2\/3 sources agree/);
+        assert.deepEqual(error.rejected.map(rejected => rejected.reason).sort(), ['outlier', 'stale']);
+        return true;
+      }
+    );
+  });
+  
+  it('fails when every quote is stale', () => {
+    assert.throws(
+      () => aggregateQuotes([quote('a', 2000, 300), quote('b', 2001, 300)], OPTIONS),
+      /No fresh quotes available/
+    );
+  });
+});
+
+describe('fixed point helpers', () => {
+  it('converts prices to the contract decimals', () => {
+    assert.equal(toFixedPoint(2000.5), 200050000000n);
+    assert.equal(toFixedPoint(1.23456789123, 8), 123456789n);
+    assert.equal(toFixedPoint(3, 0), 3n);
+  });
+  
+  it('measures deviation in percent either way', () => {
+    assert.equal(deviationPercentage(110, 100), 10);
+    assert.equal(deviationPercentage(90, 100), 10);
+  });
+});
@@ -0,0 +1,113 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { AppdBackend, ROFLAttestation, decodeQuote } = require('../src/attestation');
+const { AppdStubServer } = require('../src/attestation/appd-stub');
+const { configureLogging } = require('../src/utils/logger');
+
+configureLogging({ sinks: [] });
+
+const APP_ID = 'rofl1qtestapp';
+const MEASUREMENT = {
+  mrEnclave: '0x' + 'ab'.repeat(32),
+  mrSigner: '0x' + 'cd'.repeat(32),
+  productId: 3,
+  securityVersion: 2
+};
+const DOMAIN = { chainId: 23295, verifyingContract: '0x' + '22'.repeat(20) };
+
+describe('AppdBackend against the appd stub', () => {
+  let dir;
+  let socketPath;
+  let stub;
+  
+  const backend = (options = {}) => new AppdBackend({ socketPath, ...MEASUREMENT, ...options });
+  
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oracle-appd-'));
+    socketPath = path.join(dir, 'appd.sock');
+    stub = new AppdStubServer({ socketPath, appId: APP_ID, seed: 'test-seed' });
+    await stub.start();
+  });
+  
+  after(async () => {
+    await stub.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  
+  it('learns the app id and signer key from appd', async () => {
+    const appd = backend();
+    await appd.init();
+    
+    assert.equal(appd.appId, APP_ID);
+    assert.equal(await appd.getSignerKey(), `0x${stub.deriveKey('price-oracle-signer', 'secp256k1')}`);
+  });
+  
+  it('gets the same key after a restart and another one for another key id', async () => {
+    const first = backend();
+    const restarted = backend();
+    const other = backend({ keyId: 'other-signer' });
+    await Promise.all([first.init(), restarted.init(), other.init()]);
+    
+    assert.equal(await restarted.getSignerKey(), await first.getSignerKey());
+    assert.notEqual(await other.getSignerKey(), await first.getSignerKey());
+  });
+  
+  it('signs price reports that verify against its key and quote', async () => {
+    const attestation = new ROFLAttestation(APP_ID, backend());
+    await attestation.init();
+    
+    const bytes = await attestation.generateAttestation({
+      feed: 'ETH/USD',
+      price: 200000000000n,
+      timestamp: Math.floor(Date.now() / 1000),
+      source: 'test'
+    }, DOMAIN);
+    const result = await ROFLAttestation.verifyAttestation(bytes, APP_ID, DOMAIN, { signer: attestation.signerAddress });
+    
+    assert.equal(result.valid, true, result.error);
+    assert.equal(result.report.price, 200000000000n);
+    const quote = decodeQuote(ROFLAttestation.decodeAttestation(bytes).teeQuote);
+    assert.equal(quote.reportData, ethers.keccak256(attestation.signerAddress));
+    assert.equal(quote.mrEnclave, MEASUREMENT.mrEnclave);
+    assert.equal(quote.productId, MEASUREMENT.productId);
+  });
+  
+  it('refuses to run as another app than configured', async () => {
+    const attestation = new ROFLAttestation('rofl1qotherapp', backend());
+    
+    await assert.rejects(attestation.init(), /Running as ROFL app rofl1qtestapp, but ROFL_APP_ID is rofl1qotherapp/);
+  });
+  
+  it('requires the measurements of the deployed build', () => {
+    assert.throws(() => new AppdBackend({ socketPath }), /requires the mrEnclave and mrSigner/);
+  });
+  
+  it('fails to start without appd', async () => {
+    const appd = backend({ socketPath: path.join(dir, 'missing.sock') });
+    
+    await assert.rejects(appd.init());
+  });
+});
+
+describe('AppdStubServer', () => {
+  it('removes its socket when stopped and replaces a stale one on start', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oracle-appd-'));
+    const socketPath = path.join(dir, 'appd.sock');
+    fs.writeFileSync(socketPath, 'left over from a crash');
+    const stub = new AppdStubServer({ socketPath });
+    
+    try {
+      await stub.start();
+      assert.equal(fs.statSync(socketPath).isSocket(), true);
+      await stub.stop();
+      assert.equal(fs.existsSync(socketPath), false);
+    } finally {
+      await stub.stop();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,103 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { CircuitBreaker } = require('../src/breaker');
+const { toFixedPoint } = require('../src/aggregator');
+const { loadConfig } = require('../src/config/loader');
+
+const ENV = {
+  ROFL_APP_ID: 'test-app',
+  ROFL_PRIVATE_KEY: '0x' + '11'.repeat(32),
+  CONTRACT_ADDRESS: '0x' + '22'.repeat(20)
+};
+
+describe('CircuitBreaker', () => {
+  let config;
+  let feed;
+  let breaker;
+  let state;
+  
+  const check = (price, sourceCount = feed.minSources, force = false) =>
+    breaker.check(state, toFixedPoint(price, feed.decimals), sourceCount, force);
+  
+  beforeEach(() => {
+    config = loadConfig({ env: ENV, argv: [] });
+    [feed] = config.feeds;
+    breaker = new CircuitBreaker(feed, config.oracle.maxDeviationPercentage);
+    state = { lastPrice: toFixedPoint(2000, feed.decimals) };
+  });
+  
+  it('holds a jump quoted by no more than the source quorum with the default settings', () => {
+    const result = check(2600);
+    
+    assert.equal(result.tripped, true);
+    assert.equal(result.rule, 'jump');
+    assert.equal(result.sources, feed.minSources);
+    assert.ok(result.confirmingSources > feed.minSources);
+  });
+  
+  it('lets moves within the jump limit through', () => {
+    assert.deepEqual(check(2300), { tripped: false });
+  });
+  
+  it('publishes a jump once enough sources quote it', () => {
+    const result = check(2600, feed.circuitBreaker.confirmingSources);
+    
+    assert.equal(result.tripped, false);
+    assert.equal(result.confirmedBy, 'sources');
+  });
+  
+  it('publishes a jump that persists for the configured samples', () => {
+    const { confirmations } = feed.circuitBreaker;
+    for (let sample = 1; sample < confirmations; sample++) {
+      assert.equal(check(2600).tripped, true);
+    }
+    
+    const result = check(2605);
+    assert.equal(result.tripped, false);
+    assert.equal(result.confirmedBy, 'samples');
+    
+    // The confirmed level stays accepted until the on-chain price catches up
+    assert.equal(check(2610).tripped, false);
+  });
+  
+  it('starts counting again when a held price moves on', () => {
+    assert.equal(check(2600).samples, 1);
+    assert.equal(check(2600).samples, 2);
+    assert.equal(check(3000).samples, 1);
+  });
+  
+  it('lets a forced update skip the jump rule but not the bounds', () => {
+    feed.circuitBreaker.maxPrice = 2500;
+    breaker = new CircuitBreaker(feed, config.oracle.maxDeviationPercentage);
+    
+    assert.equal(check(2400, 1, true).tripped, false);
+    const result = check(2600, 4, true);
+    assert.equal(result.tripped, true);
+    assert.equal(result.rule, 'bounds');
+  });
+  
+  it('checks nothing when disabled', () => {
+    feed.circuitBreaker.enabled = false;
+    breaker = new CircuitBreaker(feed, config.oracle.maxDeviationPercentage);
+    
+    assert.deepEqual(check(20000), { tripped: false });
+  });
+  
+  it('rejects a configuration where the quorum alone confirms jumps', () => {
+    assert.throws(
+      () => loadConfig({ env: { ...ENV, CIRCUIT_BREAKER_CONFIRMING_SOURCES: '2' }, argv: [] }),
+      error => error.name === 'ConfigError' && /confirmingSources \(2\) must exceed minSources \(2\)/.test(error.message)
+    );
+    assert.throws(
+      () => loadConfig({ env: { ...ENV, PRICE_FEEDS: '[{"id": "ETH/USD", "minSources": 3}]' }, argv: [] }),
+      /confirmingSources \(3\) must exceed minSources \(3\)/
+    );
+  });
+  
+  it('accepts any confirmingSources while the breaker is disabled', () => {
+    const loaded = loadConfig({ env: { ...ENV, CIRCUIT_BREAKER: 'false', PRICE_FEEDS: '[{"id": "ETH/USD", "minSources": 3}]' }, argv: [] });
+    
+    assert.equal(loaded.feeds[0].minSources, 3);
+    assert.equal(loaded.feeds[0].circuitBreaker.enabled, false);
+  });
+});
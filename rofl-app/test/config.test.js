@@ -0,0 +1,128 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, parseArgs, describeConfig, ConfigError } = require('../src/config/loader');
+
+const ENV = {
+  ROFL_APP_ID: 'test-app',
+  ROFL_PRIVATE_KEY: '0x' + '11'.repeat(32),
+  CONTRACT_ADDRESS: '0x' + '22'.repeat(20)
+};
+
+describe('loadConfig', () => {
+  let dir;
+  let configFile;
+  
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oracle-config-'));
+    configFile = path.join(dir, 'oracle.yaml');
+    fs.writeFileSync(configFile, [
+      'blockchain:',
+      '  chainId: 1',
+      '  rpcUrl: http://file.example:8545',
+      'oracle:',
+      '  thresholdPercentage: 2',
+      'profiles:',
+      '  localhost:',
+      '    blockchain:',
+      '      chainId: 2',
+      ''
+    ].join('\n'));
+  });
+  
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  
+  it('falls back to the schema defaults', () => {
+    const config = loadConfig({ env: ENV, argv: [] });
+    
+    assert.equal(config.blockchain.chainId, 23295);
+    assert.equal(config.oracle.thresholdPercentage, 5);
+    assert.equal(config.profile, null);
+  });
+  
+  it('applies a built-in profile over the defaults', () => {
+    const config = loadConfig({ env: ENV, argv: ['--profile', 'localhost'] });
+    
+    assert.equal(config.blockchain.chainId, 1337);
+    assert.equal(config.blockchain.rpcUrl, 'http://127.0.0.1:8545');
+  });
+  
+  it('prefers the config file over a built-in profile, and its own profile over both', () => {
+    const config = loadConfig({ env: ENV, argv: ['--config', configFile] });
+    const profiled = loadConfig({ env: ENV, argv: [`--config=${configFile}`, '--profile=localhost'] });
+    
+    assert.equal(config.blockchain.chainId, 1);
+    assert.equal(config.oracle.thresholdPercentage, 2);
+    assert.equal(profiled.blockchain.chainId, 2);
+    // Not in the file's profile, so the file's top level still wins over the built-in one
+    assert.equal(profiled.blockchain.rpcUrl, 'http://file.example:8545');
+  });
+  
+  it('prefers env vars over every file and profile, ignoring empty ones', () => {
+    const config = loadConfig({
+      env: { ...ENV, CONFIG_FILE: configFile, CONFIG_PROFILE: 'localhost', CHAIN_ID: '3', THRESHOLD_PERCENTAGE: '' },
+      argv: []
+    });
+    
+    assert.equal(config.blockchain.chainId, 3);
+    assert.equal(config.oracle.thresholdPercentage, 2);
+    assert.equal(config.configFile, configFile);
+  });
+  
+  it('prefers --config and --profile over their env vars', () => {
+    const config = loadConfig({
+      env: { ...ENV, CONFIG_FILE: path.join(dir, 'missing.yaml'), CONFIG_PROFILE: 'sapphire-mainnet' },
+      argv: ['--config', configFile, '--profile', 'localhost']
+    });
+    
+    assert.equal(config.blockchain.chainId, 2);
+  });
+  
+  it('reports every problem at once', () => {
+    const bad = path.join(dir, 'bad.yaml');
+    fs.writeFileSync(bad, 'oracle:\n  tresholdPercentage: 2\n');
+    
+    assert.throws(() => loadConfig({ env: { CHAIN_ID: 'abc' }, argv: ['--config', bad] }), error => {
+      assert.ok(error instanceof ConfigError);
+      assert.ok(error.problems.some(problem => problem.startsWith('oracle.tresholdPercentage')));
+      assert.ok(error.problems.some(problem => problem.startsWith('rofl.appId: required')));
+      assert.ok(error.problems.some(problem => problem.startsWith('blockchain.chainId (from CHAIN_ID)')));
+      return true;
+    });
+  });
+  
+  it('requires an explicit lease priority in chain mode', () => {
+    assert.throws(
+      () => loadConfig({ env: { ...ENV, COORDINATION_MODE: 'chain' }, argv: [] }),
+      /coordination\.priority: required with the chain mode, distinct per replica \(set LEASE_PRIORITY\)/
+    );
+    
+    const config = loadConfig({ env: { ...ENV, COORDINATION_MODE: 'chain', LEASE_PRIORITY: '1' }, argv: [] });
+    assert.equal(config.coordination.priority, 1);
+    assert.equal(loadConfig({ env: ENV, argv: [] }).coordination.priority, null);
+  });
+  
+  it('rejects unknown profiles', () => {
+    assert.throws(() => loadConfig({ env: ENV, argv: ['--profile', 'nowhere'] }), /Unknown profile "nowhere"/);
+  });
+  
+  it('redacts secrets when printed', () => {
+    const printed = describeConfig(loadConfig({ env: ENV, argv: [] }));
+    
+    assert.ok(!printed.includes(ENV.ROFL_PRIVATE_KEY.slice(2)));
+    assert.ok(printed.includes('[REDACTED]'));
+  });
+});
+
+describe('parseArgs', () => {
+  it('reads both flag forms and ignores other arguments', () => {
+    assert.deepEqual(
+      parseArgs(['--verbose', '--config', 'a.yaml', '--profile=localhost', '--print-config']),
+      { config: 'a.yaml', profile: 'localhost', printConfig: true }
+    );
+  });
+});
@@ -0,0 +1,139 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileLease, ChainLease } = require('../src/coordination');
+const { configureLogging } = require('../src/utils/logger');
+
+configureLogging({ sinks: [] });
+
+describe('FileLease', () => {
+  let dir;
+  let lockFile;
+  
+  const lease = instanceId => new FileLease({ lockFile, leaseTtl: 30, instanceId });
+  
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oracle-lease-'));
+    lockFile = path.join(dir, 'leader.json');
+  });
+  
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  
+  it('lets one replica lead at a time', async () => {
+    const a = lease('a');
+    const b = lease('b');
+    
+    assert.equal(await a.acquire(), true);
+    assert.equal(await b.acquire(), false);
+    assert.equal(b.holder, 'a');
+    assert.equal(JSON.parse(fs.readFileSync(lockFile, 'utf8')).holder, 'a');
+  });
+  
+  it('keeps the acquisition time when renewing', async () => {
+    const a = lease('a');
+    await a.acquire();
+    const { acquiredAt } = JSON.parse(fs.readFileSync(lockFile, 'utf8'));
+    
+    await new Promise(resolve => setTimeout(resolve, 10));
+    await a.acquire();
+    
+    const renewed = JSON.parse(fs.readFileSync(lockFile, 'utf8'));
+    assert.equal(renewed.acquiredAt, acquiredAt);
+    assert.ok(renewed.renewedAt > acquiredAt);
+  });
+  
+  it('hands over to a follower once released', async () => {
+    const a = lease('a');
+    const b = lease('b');
+    await a.acquire();
+    
+    await a.release();
+    
+    assert.equal(a.isLeader, false);
+    assert.equal(fs.existsSync(lockFile), false);
+    assert.equal(await b.acquire(), true);
+  });
+  
+  it('takes over an expired lease', async () => {
+    fs.writeFileSync(lockFile, JSON.stringify({ holder: 'crashed', acquiredAt: 0, renewedAt: 0, expiresAt: Date.now() - 1000 }));
+    
+    assert.equal(await lease('a').acquire(), true);
+  });
+  
+  it('treats a corrupt lease file as no lease', async () => {
+    fs.writeFileSync(lockFile, '{"holder": "b", "expi');
+    
+    assert.equal(await lease('a').acquire(), true);
+  });
+  
+  it('excludes other replicas while the mutex is held', () => {
+    const a = lease('a');
+    const b = lease('b');
+    let inner;
+    
+    const ran = a.withMutex(() => {
+      inner = b.withMutex(() => assert.fail('both replicas held the mutex'));
+    });
+    
+    assert.equal(ran, true);
+    assert.equal(inner, false);
+    assert.equal(fs.existsSync(`${lockFile}.mutex`), false);
+  });
+  
+  it('leaves the lease alone while another replica holds the mutex', async () => {
+    const a = lease('a');
+    fs.writeFileSync(`${lockFile}.mutex`, '');
+    
+    assert.equal(await a.acquire(), false);
+    assert.equal(fs.existsSync(lockFile), false);
+    assert.equal(fs.existsSync(`${lockFile}.mutex`), true);
+  });
+  
+  it('breaks a mutex left behind by a crashed replica', async () => {
+    const a = lease('a');
+    const mutex = `${lockFile}.mutex`;
+    fs.writeFileSync(mutex, '');
+    const old = new Date(Date.now() - 60000);
+    fs.utimesSync(mutex, old, old);
+    
+    assert.equal(await a.acquire(), false);
+    assert.equal(fs.existsSync(mutex), false);
+    assert.equal(await a.acquire(), true);
+  });
+  
+  it('does not lead without the shared volume', async () => {
+    const a = new FileLease({ lockFile: path.join(dir, 'missing', 'leader.json'), leaseTtl: 30, instanceId: 'a' });
+    fs.writeFileSync(path.join(dir, 'missing'), 'a file, not a directory');
+    
+    assert.equal(await a.acquire(), false);
+  });
+});
+
+describe('ChainLease', () => {
+  // Oracle reporting the given on-chain round (overdue seconds, last sequence)
+  const chain = round => ({ lastSubmittedSequence: 0, readOnChainRound: async () => round });
+  const lease = (instanceId, priority, oracle) => new ChainLease({ leaseTtl: 30, priority, instanceId }, oracle);
+  
+  it('lets only the preferred replica lead while the price is fresh', async () => {
+    const oracle = chain({ overdue: -600, sequence: 5 });
+    const preferred = lease('a', 0, oracle);
+    const standby = lease('b', 1, oracle);
+    
+    assert.equal(await preferred.acquire(), true);
+    assert.equal(await standby.acquire(), false);
+  });
+  
+  it('takes over once the price is overdue by its priority and steps down for another report', async () => {
+    const round = { overdue: 31, sequence: 5 };
+    const standby = lease('b', 1, chain(round));
+    
+    assert.equal(await standby.acquire(), true);
+    
+    round.sequence = 6;
+    assert.equal(await standby.acquire(), false);
+  });
+});
@@ -0,0 +1,107 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Logger, configureLogging, withCorrelationId } = require('../src/utils/logger');
+
+const API_KEY = 'cg-secret-api-key-123';
+
+describe('Logger', () => {
+  let entries;
+  let lines;
+  
+  beforeEach(() => {
+    entries = [];
+    lines = [];
+    configureLogging({
+      format: 'json',
+      level: 'info',
+      levels: {},
+      secrets: [API_KEY],
+      sinks: [{ write: (entry, line) => { entries.push(entry); lines.push(line); } }]
+    });
+  });
+  
+  afterEach(() => {
+    configureLogging({ format: 'text', level: 'info', levels: {}, secrets: [], sinks: [] });
+  });
+  
+  it('redacts values under secret keys, however deeply nested', () => {
+    const logger = new Logger('Test');
+    
+    logger.info('Loaded config', {
+      rofl: { privateKey: '0x1234', appId: 'app' },
+      admin: { token: 'admin-token' },
+      headers: [{ Authorization: 'Bearer abc' }]
+    });
+    
+    assert.deepEqual(entries[0].data, {
+      rofl: { privateKey: '[REDACTED]', appId: 'app' },
+      admin: { token: '[REDACTED]' },
+      headers: [{ Authorization: '[REDACTED]' }]
+    });
+    assert.ok(!lines[0].includes('0x1234'));
+  });
+  
+  it('masks configured secret values inside messages and errors', () => {
+    const logger = new Logger('Test');
+    const error = new Error(`GET https://api.example/price?key=${API_KEY} failed`);
+    
+    logger.error(`Request with ${API_KEY} failed:`, error);
+    
+    assert.equal(entries[0].message, 'Request with [REDACTED] failed:');
+    assert.equal(entries[0].error.message, 'GET https://api.example/price?key=[REDACTED] failed');
+    assert.ok(!lines[0].includes(API_KEY));
+  });
+  
+  it('adds a correlation id to every line written within withCorrelationId, across awaits', async () => {
+    const logger = new Logger('Test');
+    
+    await withCorrelationId('tick-1', async () => {
+      logger.info('before');
+      await new Promise(resolve => setTimeout(resolve, 5));
+      await Promise.all([
+        Promise.resolve().then(() => logger.info('in a promise')),
+        new Promise(resolve => setImmediate(() => resolve(logger.info('in a callback'))))
+      ]);
+    });
+    logger.info('after');
+    
+    assert.deepEqual(entries.map(entry => entry.correlationId), ['tick-1', 'tick-1', 'tick-1', undefined]);
+  });
+  
+  it('keeps concurrent correlation ids apart', async () => {
+    const logger = new Logger('Test');
+    const run = (id, delay) => withCorrelationId(id, async () => {
+      await new Promise(resolve => setTimeout(resolve, delay));
+      logger.info(id);
+    });
+    
+    await Promise.all([run('slow', 10), run('fast', 1)]);
+    
+    assert.deepEqual(entries.map(entry => [entry.message, entry.correlationId]), [['fast', 'fast'], ['slow', 'slow']]);
+  });
+  
+  it('generates a correlation id when none is given', () => {
+    withCorrelationId(null, () => new Logger('Test').info('tick'));
+    
+    assert.match(entries[0].correlationId, /^[0-9a-f]{12}$/);
+  });
+  
+  it('binds child context to every entry', () => {
+    const logger = new Logger('Oracle').child({ feed: 'ETH/USD' });
+    
+    logger.info('updated');
+    
+    assert.equal(entries[0].component, 'Oracle');
+    assert.equal(entries[0].feed, 'ETH/USD');
+  });
+  
+  it('applies per-component levels, matching a trailing * by prefix', () => {
+    configureLogging({ levels: { 'Source:*': 'warn', 'Source:kraken': 'debug' } });
+    
+    new Logger('Source:binance').info('hidden');
+    new Logger('Source:kraken').debug('shown');
+    new Logger('Oracle').info('shown');
+    
+    assert.deepEqual(entries.map(entry => entry.component), ['Source:kraken', 'Oracle']);
+  });
+});
@@ -0,0 +1,159 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const { MockPriceServer, loadScenario } = require('../src/sources/mock-server');
+const { CoinGeckoSource, BinanceSource, CoinbaseSource, KrakenSource, HttpJsonSource, SourceUnavailableError } = require('../src/sources');
+const { FEED_PRESETS } = require('../src/feeds');
+const { configureLogging } = require('../src/utils/logger');
+
+configureLogging({ sinks: [] });
+
+const SCENARIO = {
+  name: 'test',
+  prices: { 'ETH/USD': 2000 },
+  steps: [
+    { duration: 10 },
+    { duration: 10, prices: { 'ETH/USD': 2200 }, ramp: true },
+    { duration: 10, sources: { binance: 'outage', coinbase: 'error', kraken: { mode: 'rate-limit', retryAfter: 7 }, http: 'malformed' } },
+    { duration: 10, sources: { '*': { offset: 10, lag: 600 }, coingecko: 'missing' } }
+  ]
+};
+
+describe('MockPriceServer', () => {
+  let server;
+  let baseUrl;
+  let sources;
+  
+  // Moves the scenario clock to `seconds` after the start
+  const at = seconds => {
+    server.startedAt = Date.now() - seconds * 1000;
+  };
+  
+  const quote = name => sources[name].fetchQuote(name === 'http' ? 'ETH/USD' : FEED_PRESETS['ETH/USD'][name]);
+  
+  before(async () => {
+    server = new MockPriceServer(SCENARIO, { port: 0 });
+    await server.start();
+    baseUrl = `http://127.0.0.1:${server.port}`;
+  });
+  
+  after(async () => {
+    await server.stop();
+  });
+  
+  beforeEach(() => {
+    // Fresh adapters, so no backoff carries over between tests
+    sources = {
+      coingecko: new CoinGeckoSource({ baseUrl: `${baseUrl}/api/v3` }),
+      binance: new BinanceSource({ baseUrl }),
+      coinbase: new CoinbaseSource({ baseUrl }),
+      kraken: new KrakenSource({ baseUrl }),
+      http: new HttpJsonSource({ url: `${baseUrl}/price/{symbol}`, pricePath: 'price', timestampPath: 'timestamp' })
+    };
+    server.reset();
+  });
+  
+  it('serves the scripted price in every source API format', async () => {
+    at(5);
+    for (const name of Object.keys(sources)) {
+      const { price, timestamp } = await quote(name);
+      assert.equal(price, 2000, name);
+      assert.ok(Math.abs(timestamp - Date.now() / 1000) <= 2, name);
+    }
+  });
+  
+  it('moves linearly through a ramp step', async () => {
+    at(15);
+    const { price } = await quote('binance');
+    
+    assert.ok(price > 2090 && price < 2110, `${price} is not halfway`);
+  });
+  
+  it('fails each source the way its step asks', async () => {
+    at(25);
+    
+    await assert.rejects(quote('binance'), error => error.code === 'ECONNRESET');
+    await assert.rejects(quote('coinbase'), error => error.response?.status === 500);
+    await assert.rejects(quote('kraken'), error => error instanceof SourceUnavailableError && error.reason === 'retry-after');
+    assert.ok(sources.kraken.backoffUntil - Date.now() > 6000);
+    await assert.rejects(quote('http'));
+    assert.equal((await quote('coingecko')).price, 2200);
+    
+    assert.deepEqual(server.requests.binance, { outage: 1 });
+    assert.deepEqual(server.requests.kraken, { 'rate-limit': 1 });
+  });
+  
+  it('quotes off the price and with old timestamps when asked', async () => {
+    at(35);
+    
+    const { price, timestamp } = await quote('http');
+    assert.equal(price, 2420);
+    assert.ok(Date.now() / 1000 - timestamp >= 599);
+    await assert.rejects(quote('coingecko'), /Invalid response from CoinGecko API/);
+  });
+  
+  it('holds the last step once the scenario is over', async () => {
+    at(120);
+    
+    assert.equal(server.state().step, 4);
+    assert.equal((await quote('binance')).price, 2420);
+  });
+  
+  it('answers unknown symbols as the real APIs do', async () => {
+    at(5);
+    
+    await assert.rejects(sources.binance.fetchQuote('DOGEUSDT'), error => error.response?.status === 400);
+    await assert.rejects(sources.kraken.fetchQuote('XDOGEZUSD'), /Unknown asset pair/);
+  });
+  
+  it('reports and restarts the scenario over its control API', async () => {
+    at(25);
+    await quote('binance').catch(() => {});
+    
+    const { data: state } = await axios.get(`${baseUrl}/state`);
+    assert.equal(state.step, 3);
+    assert.equal(state.sources.binance, 'outage');
+    assert.deepEqual(state.requests.binance, { outage: 1 });
+    
+    const { data: restarted } = await axios.post(`${baseUrl}/reset`);
+    assert.equal(restarted.step, 1);
+    assert.deepEqual(restarted.requests, {});
+  });
+});
+
+describe('loadScenario', () => {
+  let dir;
+  
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oracle-scenario-'));
+  });
+  
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  
+  it('rejects scenarios without starting prices, steps without a duration and unknown modes', () => {
+    const write = (name, text) => {
+      const file = path.join(dir, name);
+      fs.writeFileSync(file, text);
+      return file;
+    };
+    
+    assert.throws(() => loadScenario(write('empty.yaml', 'steps: []\n')), /needs starting prices/);
+    const noDuration = loadScenario(write('duration.yaml', 'prices: { ETH/USD: 1 }\nsteps:\n  - prices: { ETH/USD: 2 }\n'));
+    assert.throws(() => new MockPriceServer(noDuration), /Step 1 needs a duration/);
+    const badMode = loadScenario(write('mode.yaml', 'prices: { ETH/USD: 1 }\nsteps:\n  - duration: 1\n    sources: { binance: down }\n'));
+    assert.throws(() => new MockPriceServer(badMode), /Unknown mode down for binance/);
+  });
+  
+  it('loads every bundled end-to-end scenario', () => {
+    const scenarios = path.join(__dirname, '../e2e/scenarios');
+    for (const file of fs.readdirSync(scenarios)) {
+      const scenario = loadScenario(path.join(scenarios, file));
+      assert.ok(new MockPriceServer(scenario).duration > 0, file);
+    }
+  });
+});
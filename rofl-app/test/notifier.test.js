@@ -0,0 +1,181 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { Notifier, GenericWebhook } = require('../src/notifications');
+const { WebhookReceiver } = require('../src/notifications/receiver');
+const { configureLogging } = require('../src/utils/logger');
+
+configureLogging({ sinks: [] });
+
+const SECRET = 'receiver-shared-secret';
+
+// A port nothing listens on, for deliveries that must fail
+async function freePort() {
+  const receiver = new WebhookReceiver({ port: 0 });
+  await receiver.start();
+  await receiver.stop();
+  return receiver.port;
+}
+
+function createNotifier(url, options = {}) {
+  const channel = new GenericWebhook({ url, secret: SECRET, maxRetries: 0, ...options });
+  return new Notifier(channel, { appId: 'test-app', instanceId: 'test', dedupWindow: 900 });
+}
+
+describe('Notifier', () => {
+  let receiver;
+  
+  beforeEach(async () => {
+    receiver = new WebhookReceiver({ port: 0, secret: SECRET });
+    await receiver.start();
+  });
+  
+  afterEach(async () => {
+    await receiver.stop();
+  });
+  
+  it('delivers signed alerts the receiver accepts', async () => {
+    const notifier = createNotifier(`http://127.0.0.1:${receiver.port}/hooks/oracle`);
+    
+    const status = await notifier.notify('stale-price', 'ETH/USD', 'ETH/USD on-chain price is 4000s old', { age: 4000 });
+    
+    assert.equal(status, 'sent');
+    assert.equal(receiver.received.length, 1);
+    const [{ event, path, payload }] = receiver.received;
+    assert.equal(event, 'stale-price');
+    assert.equal(path, '/hooks/oracle');
+    assert.equal(payload.severity, 'critical');
+    assert.equal(payload.feed, 'ETH/USD');
+    assert.equal(payload.appId, 'test-app');
+    assert.deepEqual(payload.details, { age: 4000 });
+  });
+  
+  it('is rejected by the receiver when signed with another secret', async () => {
+    const notifier = createNotifier(`http://127.0.0.1:${receiver.port}/`, { secret: 'some-other-secret' });
+    
+    const status = await notifier.notify('stale-price', 'ETH/USD', 'stale');
+    
+    assert.equal(status, 'failed');
+    assert.equal(receiver.received.length, 0);
+  });
+  
+  it('suppresses repeats of the same condition within the dedup window', async () => {
+    const notifier = createNotifier(`http://127.0.0.1:${receiver.port}/`);
+    const deliveries = [];
+    notifier.on('delivery', delivery => deliveries.push(delivery.status));
+    
+    await notifier.notify('threshold-breach', 'ETH/USD', 'upper', { bound: 'upper' });
+    assert.equal(notifier.notify('threshold-breach', 'ETH/USD', 'upper again', { bound: 'upper' }), null);
+    await notifier.notify('threshold-breach', 'ETH/USD', 'lower', { bound: 'lower' });
+    await notifier.notify('threshold-breach', 'BTC/USD', 'upper', { bound: 'upper' });
+    await notifier.notify('circuit-breaker', 'ETH/USD', 'jump', { rule: 'jump' });
+    assert.equal(notifier.notify('circuit-breaker', 'ETH/USD', 'jump again', { rule: 'jump' }), null);
+    await notifier.notify('circuit-breaker', 'ETH/USD', 'bounds', { rule: 'bounds' });
+    
+    assert.deepEqual(deliveries, ['sent', 'suppressed', 'sent', 'sent', 'sent', 'suppressed', 'sent']);
+    assert.deepEqual(receiver.received.map(entry => entry.payload.message), ['upper', 'lower', 'upper', 'jump', 'bounds']);
+  });
+  
+  it('skips alert types that are not enabled', () => {
+    const notifier = createNotifier(`http://127.0.0.1:${receiver.port}/`);
+    notifier.events = ['stale-price'];
+    
+    assert.equal(notifier.notify('low-balance', null, 'low'), null);
+  });
+  
+  it('sends a failed alert again on its next occurrence', async () => {
+    const port = await freePort();
+    const notifier = createNotifier(`http://127.0.0.1:${port}/`);
+    
+    assert.equal(await notifier.notify('low-balance', null, 'low'), 'failed');
+    
+    const late = new WebhookReceiver({ port, secret: SECRET });
+    await late.start();
+    try {
+      assert.equal(await notifier.notify('low-balance', null, 'still low'), 'sent');
+      assert.equal(late.received.length, 1);
+    } finally {
+      await late.stop();
+    }
+  });
+  
+  it('retries a delivery until the receiver is reachable', async () => {
+    const port = await freePort();
+    const notifier = createNotifier(`http://127.0.0.1:${port}/`, { maxRetries: 2 });
+    
+    const late = new WebhookReceiver({ port, secret: SECRET });
+    const delivery = notifier.notify('submission-failed', 'ETH/USD', 'failed 3 times');
+    // The first attempt is refused; the retry a second later gets through
+    await new Promise(resolve => setTimeout(resolve, 200));
+    await late.start();
+    try {
+      assert.equal(await delivery, 'sent');
+      assert.equal(late.received.length, 1);
+    } finally {
+      await late.stop();
+    }
+  });
+  
+  it('waits for deliveries in flight on flush', async () => {
+    const notifier = createNotifier(`http://127.0.0.1:${receiver.port}/`);
+    
+    notifier.notify('stale-price', 'ETH/USD', 'stale');
+    notifier.notify('stale-price', 'BTC/USD', 'stale');
+    await notifier.flush();
+    
+    assert.equal(receiver.received.length, 2);
+    assert.equal(notifier.inflight.size, 0);
+  });
+});
+
+describe('WebhookReceiver', () => {
+  it('keeps one copy of a delivery sent twice', async () => {
+    const receiver = new WebhookReceiver({ port: 0, secret: SECRET });
+    await receiver.start();
+    const channel = new GenericWebhook({ url: `http://127.0.0.1:${receiver.port}/`, secret: SECRET, maxRetries: 0 });
+    const alert = { id: 'delivery-1', type: 'stale-price', message: 'stale' };
+    
+    try {
+      await channel.send(alert);
+      await channel.send(alert);
+      assert.equal(receiver.received.length, 1);
+    } finally {
+      await receiver.stop();
+    }
+  });
+  
+  it('rejects a signature with as many characters as a valid one but more bytes', async () => {
+    const receiver = new WebhookReceiver({ port: 0, secret: SECRET });
+    await receiver.start();
+    
+    try {
+      // Written by hand: an HTTP client would send the header as UTF-8, while
+      // the receiver reads header bytes as Latin-1, one character each
+      const timestamp = Math.floor(Date.now() / 1000);
+      const request = [
+        'POST / HTTP/1.1',
+        'Host: localhost',
+        `X-Oracle-Timestamp: ${timestamp}`,
+        `X-Oracle-Signature: sha256=${'\u00e9'.repeat(64)}`,
+        'Content-Length: 2',
+        'Connection: close',
+        '',
+        '{}'
+      ].join('\r\n');
+      const response = await new Promise((resolve, reject) => {
+        let data = '';
+        const socket = net.connect(receiver.port, '127.0.0.1', () => socket.end(Buffer.from(request, 'latin1')));
+        socket.on('data', chunk => {
+          data += chunk;
+        });
+        socket.on('end', () => resolve(data));
+        socket.on('error', reject);
+      });
+      
+      assert.match(response, /^HTTP\/1\.1 401 /);
+      assert.equal(receiver.received.length, 0);
+    } finally {
+      await receiver.stop();
+    }
+  });
+});
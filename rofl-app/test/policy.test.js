@@ -0,0 +1,142 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { UpdatePolicy, decideUpdate } = require('../src/policy');
+const { toFixedPoint } = require('../src/aggregator');
+
+const NOW = 1700000000;
+
+function createFeed(overrides = {}) {
+  return {
+    id: 'ETH/USD',
+    decimals: 8,
+    heartbeat: 3600,
+    thresholdPercentage: 1,
+    volatility: { enabled: false },
+    ...overrides
+  };
+}
+
+function createState(feed, lastPrice = 2000, age = 60) {
+  return { feed, lastPrice: toFixedPoint(lastPrice), lastUpdateTime: NOW - age };
+}
+
+describe('UpdatePolicy', () => {
+  it('publishes the first price', () => {
+    const policy = new UpdatePolicy(createFeed());
+    
+    const decision = policy.decide({ lastPrice: null }, toFixedPoint(2000), NOW);
+    
+    assert.equal(decision.update, true);
+    assert.equal(decision.reason, 'initial');
+  });
+  
+  it('publishes once the heartbeat is due, however small the move', () => {
+    const feed = createFeed();
+    const policy = new UpdatePolicy(feed);
+    
+    const decision = policy.decide(createState(feed, 2000, 3600), toFixedPoint(2000), NOW);
+    
+    assert.equal(decision.update, true);
+    assert.equal(decision.reason, 'heartbeat');
+  });
+  
+  it('publishes moves of at least the threshold and skips smaller ones', () => {
+    const feed = createFeed();
+    const policy = new UpdatePolicy(feed);
+    const state = createState(feed);
+    
+    const small = policy.decide(state, toFixedPoint(2019), NOW);
+    const large = policy.decide(state, toFixedPoint(1980), NOW);
+    
+    assert.equal(small.update, false);
+    assert.equal(small.reason, 'within-threshold');
+    assert.equal(small.deviation, 0.95);
+    assert.equal(large.update, true);
+    assert.equal(large.reason, 'deviation');
+  });
+  
+  it('follows recent volatility within its bounds when adaptation is on', () => {
+    const volatility = { enabled: true, window: 30, multiplier: 2, minThreshold: 0.5, maxThreshold: 3 };
+    const policy = new UpdatePolicy(createFeed({ volatility }));
+    
+    // Too little history: the static threshold
+    assert.equal(policy.effectiveThreshold().threshold, 1);
+    
+    for (const price of [2000, 2000.2, 2000, 2000.2, 2000]) {
+      policy.recordSample(toFixedPoint(price));
+    }
+    assert.equal(policy.effectiveThreshold().threshold, 0.5);
+    
+    for (const price of [2100, 1900, 2100, 1900]) {
+      policy.recordSample(toFixedPoint(price));
+    }
+    assert.equal(policy.effectiveThreshold().threshold, 3);
+  });
+  
+  it('keeps only the configured window of samples', () => {
+    const policy = new UpdatePolicy(createFeed({ volatility: { enabled: true, window: 3 } }));
+    
+    for (const price of [1, 2, 3, 4, 5]) {
+      policy.recordSample(toFixedPoint(price));
+    }
+    
+    assert.deepEqual(policy.samples, [3, 4, 5]);
+  });
+  
+  it('derives the threshold from history before the evaluated sample', () => {
+    const volatility = { enabled: true, window: 30, multiplier: 2, minThreshold: 0.5, maxThreshold: 3 };
+    const feed = createFeed({ volatility });
+    const policy = new UpdatePolicy(feed);
+    for (const price of [2000, 2000.2, 2000, 2000.2, 2000]) {
+      policy.recordSample(toFixedPoint(price));
+    }
+    
+    const decision = policy.evaluate(createState(feed), toFixedPoint(2100), NOW);
+    
+    // The jump can't widen its own threshold, but it is in the history now
+    assert.equal(decision.threshold, 0.5);
+    assert.equal(decision.reason, 'deviation');
+    assert.equal(policy.samples[policy.samples.length - 1], 2100);
+  });
+});
+
+describe('decideUpdate', () => {
+  function createDecisionState(check) {
+    const feed = createFeed();
+    return {
+      ...createState(feed),
+      policy: new UpdatePolicy(feed),
+      breaker: { check: () => check }
+    };
+  }
+  
+  it('runs the policy when the breaker lets the price through', () => {
+    const state = createDecisionState({ tripped: false });
+    
+    const { decision } = decideUpdate(state, toFixedPoint(2100), 2, { now: NOW });
+    
+    assert.equal(decision.reason, 'deviation');
+    assert.equal(state.policy.samples.length, 1);
+  });
+  
+  it('holds a tripped price out of the policy and its history', () => {
+    const check = { tripped: true, rule: 'jump', price: 2600 };
+    const state = createDecisionState(check);
+    
+    const { decision } = decideUpdate(state, toFixedPoint(2600), 2, { now: NOW });
+    
+    assert.equal(decision.update, false);
+    assert.equal(decision.reason, 'circuit-breaker');
+    assert.equal(decision.breaker, check);
+    assert.equal(state.policy.samples.length, 0);
+  });
+  
+  it('publishes a forced update the policy would skip', () => {
+    const state = createDecisionState({ tripped: false });
+    
+    const { decision } = decideUpdate(state, toFixedPoint(2001), 2, { now: NOW, force: true });
+    
+    assert.equal(decision.update, true);
+    assert.equal(decision.reason, 'forced');
+  });
+});
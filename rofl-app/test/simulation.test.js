@@ -0,0 +1,140 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadPriceHistory, parameterSets, simulateUpdates, simulateParameterSets } = require('../src/simulation');
+
+const FEED = {
+  id: 'ETH/USD',
+  decimals: 8,
+  thresholdPercentage: 5,
+  heartbeat: 1800,
+  minSources: 2,
+  volatility: { enabled: false },
+  circuitBreaker: { enabled: false, maxJumpPercentage: 20, confirmations: 3, confirmingSources: 3, minPrice: null, maxPrice: null }
+};
+
+// 100 until 600s, 104 (within the threshold) until 1200s, then 106
+const SAMPLES = [
+  { timestamp: 1000, price: 100 },
+  { timestamp: 1600, price: 104 },
+  { timestamp: 2200, price: 106 },
+  { timestamp: 4600, price: 106 }
+];
+
+describe('simulateUpdates', () => {
+  it('counts updates by reason and measures deviation and staleness between them', () => {
+    const result = simulateUpdates(FEED, SAMPLES, { interval: 60000, tolerance: 2 });
+    
+    assert.equal(result.ticks, 61);
+    assert.deepEqual(result.reasons, { initial: 1, deviation: 1, heartbeat: 1 });
+    assert.equal(result.updates, 3);
+    assert.equal(result.held, 0);
+    assert.equal(result.updatesPerDay, 72);
+    // 100 on-chain against 104 for 600 of the 3600 seconds
+    assert.equal(result.maxDeviation, 4 / 104 * 100);
+    assert.ok(Math.abs(result.meanDeviation - 4 / 104 * 100 / 6) < 1e-9);
+    // Deviation update at 1200s, heartbeat at 3000s
+    assert.equal(result.worstStaleness, 1800);
+    assert.equal(result.exceedsMaxPriceAge, false);
+  });
+  
+  it('estimates gas from the update count', () => {
+    const result = simulateUpdates(FEED, SAMPLES, { interval: 60000, tolerance: 2, gasPerUpdate: 100000, gasPriceGwei: 50 });
+    
+    assert.equal(result.gasUsed, 300000);
+    assert.equal(result.gasSpend, 300000 * 50 / 1e9);
+    assert.equal(result.gasSpendPerDay, result.gasSpend * 24);
+  });
+  
+  it('flags a heartbeat that lets the on-chain price go stale', () => {
+    const result = simulateUpdates({ ...FEED, heartbeat: 4000 }, SAMPLES, { interval: 60000, tolerance: 2 });
+    
+    assert.equal(result.worstStaleness, 2400);
+    assert.equal(result.exceedsMaxPriceAge, false);
+    
+    const sparse = simulateUpdates({ ...FEED, heartbeat: 86400 }, [SAMPLES[0], { timestamp: 8200, price: 100 }], { interval: 60000, tolerance: 2 });
+    assert.equal(sparse.worstStaleness, 7200);
+    assert.equal(sparse.exceedsMaxPriceAge, true);
+  });
+  
+  it('counts the whole history as stale when the breaker holds every tick', () => {
+    const bounded = { ...FEED, circuitBreaker: { ...FEED.circuitBreaker, enabled: true, minPrice: 200 } };
+    const result = simulateUpdates(bounded, SAMPLES, { interval: 60000, tolerance: 2 });
+    
+    assert.equal(result.updates, 0);
+    assert.equal(result.held, result.ticks);
+    assert.equal(result.worstStaleness, 3600);
+    assert.equal(result.exceedsMaxPriceAge, false);
+  });
+});
+
+describe('parameterSets', () => {
+  it('builds every combination of the given values', () => {
+    assert.deepEqual(parameterSets({ threshold: [0.5, 1], interval: [30000, 60000] }), [
+      { threshold: 0.5, interval: 30000 },
+      { threshold: 0.5, interval: 60000 },
+      { threshold: 1, interval: 30000 },
+      { threshold: 1, interval: 60000 }
+    ]);
+    assert.deepEqual(parameterSets({}), [{}]);
+  });
+  
+  it('runs one simulation per set, keeping the feed settings a set leaves out', () => {
+    const results = simulateParameterSets(FEED, SAMPLES, [{ threshold: 3 }, { heartbeat: 600, interval: 120000 }], {
+      interval: 60000,
+      tolerance: 2
+    });
+    
+    assert.deepEqual(results.map(result => [result.threshold, result.heartbeat, result.interval]), [[3, 1800, 60000], [5, 600, 120000]]);
+    // At 3% the move to 104 is published at once; only the move on to 106 is not
+    assert.equal(results[0].maxDeviation, 2 / 106 * 100);
+  });
+});
+
+describe('loadPriceHistory', () => {
+  let dir;
+  const write = (name, text) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, text);
+    return file;
+  };
+  
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oracle-history-'));
+  });
+  
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  
+  it('reads CSV with or without a header, in time order', () => {
+    const expected = [{ timestamp: 1700000000, price: 2000 }, { timestamp: 1700000060, price: 2001.5 }];
+    
+    assert.deepEqual(loadPriceHistory(write('plain.csv', '1700000060,2001.5\n1700000000,2000\n')), expected);
+    assert.deepEqual(
+      loadPriceHistory(write('header.csv', '# exported\nDate,Open,Close\n2023-11-14T22:13:20Z,1,2000\n2023-11-14T22:14:20Z,1,2001.5\n')),
+      expected
+    );
+  });
+  
+  it('reads JSON objects, pairs and CoinGecko market charts, with millisecond timestamps', () => {
+    const expected = [{ timestamp: 1700000000, price: 2000 }, { timestamp: 1700000060, price: 2001 }];
+    
+    assert.deepEqual(loadPriceHistory(write('objects.json', JSON.stringify([
+      { timestamp: 1700000000, price: 2000 },
+      { time: 1700000060, close: 2001 }
+    ]))), expected);
+    assert.deepEqual(loadPriceHistory(write('chart.json', JSON.stringify({
+      prices: [[1700000000000, 2000], [1700000060000, 2001]]
+    }))), expected);
+  });
+  
+  it('rejects bad samples, headers and histories too short to replay', () => {
+    assert.throws(() => loadPriceHistory(write('bad.csv', '1700000000,2000\n1700000060,-1\n')), /invalid price sample 2/);
+    assert.throws(() => loadPriceHistory(write('header.csv', 'when,value\n1,2\n')), /CSV header needs/);
+    assert.throws(() => loadPriceHistory(write('short.json', '[[1700000000, 2000]]')), /needs at least two price samples/);
+    assert.throws(() => loadPriceHistory(write('object.json', '{"data": []}')), /expected an array of prices/);
+  });
+});
@@ -0,0 +1,79 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { StateStore } = require('../src/state');
+const { configureLogging } = require('../src/utils/logger');
+
+configureLogging({ sinks: [] });
+
+describe('StateStore', () => {
+  let dir;
+  let filePath;
+  
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oracle-state-'));
+    filePath = path.join(dir, 'data', 'oracle-state.json');
+  });
+  
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  
+  it('starts fresh without a state file', () => {
+    const store = new StateStore(filePath);
+    
+    assert.deepEqual(store.load(), { version: 1, feeds: {} });
+    assert.deepEqual(store.getFeed('ETH/USD'), {});
+    assert.equal(fs.existsSync(filePath), false);
+  });
+  
+  it('persists feed updates and reloads them after a restart', () => {
+    const store = new StateStore(filePath);
+    store.load();
+    store.updateFeed('ETH/USD', { lastPrice: '200000000000', txHash: '0xabc' });
+    store.updateFeed('ETH/USD', { nonce: 7 });
+    store.updateFeed('BTC/USD', { lastPrice: '6000000000000' });
+    
+    const restarted = new StateStore(filePath);
+    restarted.load();
+    
+    assert.deepEqual(restarted.getFeed('ETH/USD'), { lastPrice: '200000000000', txHash: '0xabc', nonce: 7 });
+    assert.deepEqual(restarted.getFeed('BTC/USD'), { lastPrice: '6000000000000' });
+    assert.equal(fs.existsSync(`${filePath}.tmp`), false);
+  });
+  
+  it('persists the last attestation sequence', () => {
+    const store = new StateStore(filePath);
+    store.load();
+    assert.equal(store.getSequence(), 0);
+    
+    store.setSequence(42);
+    
+    const restarted = new StateStore(filePath);
+    restarted.load();
+    assert.equal(restarted.getSequence(), 42);
+  });
+  
+  it('starts fresh from a corrupt state file and replaces it on the next save', () => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, '{"version": 1, "feeds": {"ETH/U');
+    const store = new StateStore(filePath);
+    
+    assert.deepEqual(store.load(), { version: 1, feeds: {} });
+    
+    store.updateFeed('ETH/USD', { lastPrice: '1' });
+    assert.deepEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')).feeds, { 'ETH/USD': { lastPrice: '1' } });
+  });
+  
+  it('keeps running when the state file cannot be written', () => {
+    fs.writeFileSync(path.join(dir, 'data'), 'a file, not a directory');
+    const store = new StateStore(filePath);
+    store.load();
+    
+    store.updateFeed('ETH/USD', { lastPrice: '1' });
+    
+    assert.deepEqual(store.getFeed('ETH/USD'), { lastPrice: '1' });
+  });
+});
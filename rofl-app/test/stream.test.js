@@ -0,0 +1,199 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const axios = require('axios');
+const { TickerStream } = require('../src/sources/stream');
+const { TickerStreamServer } = require('../src/sources/stream-server');
+const { BINANCE_TICKER_PROTOCOL } = require('../src/sources/binance');
+const { COINBASE_TICKER_PROTOCOL } = require('../src/sources/coinbase');
+const { configureLogging } = require('../src/utils/logger');
+
+configureLogging({ sinks: [] });
+
+// Resolves with the first event matching the predicate
+function waitFor(emitter, name, predicate = () => true, timeout = 5000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      emitter.off(name, listener);
+      reject(new Error(`Timed out waiting for ${name}`));
+    }, timeout);
+    const listener = event => {
+      if (predicate(event)) {
+        clearTimeout(timer);
+        emitter.off(name, listener);
+        resolve(event);
+      }
+    };
+    emitter.on(name, listener);
+  });
+}
+
+describe('TickerStream', () => {
+  let server;
+  let stream;
+  
+  const control = (path, body) => axios.post(`http://127.0.0.1:${server.port}${path}`, body);
+  
+  const connect = async (name, protocol, symbols) => {
+    stream = new TickerStream(name, protocol, { url: `ws://127.0.0.1:${server.port}`, staleAfter: 1000 });
+    const connected = waitFor(stream, 'connection', event => event.connected);
+    stream.start(symbols);
+    await connected;
+  };
+  
+  beforeEach(async () => {
+    // No random trades, so every trade is one the test makes
+    mock.method(Math, 'random', () => 0.99);
+    server = new TickerStreamServer({ port: 0, interval: 100 });
+    await server.start();
+  });
+  
+  afterEach(async () => {
+    stream?.stop();
+    stream = null;
+    await server.stop();
+    mock.restoreAll();
+  });
+  
+  it('serves the latest Binance ticker price', async () => {
+    await connect('binance', BINANCE_TICKER_PROTOCOL, ['ETHUSDT']);
+    await waitFor(stream, 'tick');
+    
+    const traded = waitFor(stream, 'tick', event => event.tick.price === 2500);
+    await control('/price', { symbol: 'ETHUSDT', price: 2500 });
+    await traded;
+    
+    const tick = stream.latest('ETHUSDT');
+    assert.equal(tick.price, 2500);
+    assert.equal(tick.tradeId, server.market('ETHUSDT').tradeId);
+  });
+  
+  it('marks a Coinbase symbol as in a gap after missed ticks until the next one', async () => {
+    await connect('coinbase', COINBASE_TICKER_PROTOCOL, ['ETH-USD']);
+    const ticked = waitFor(stream, 'tick');
+    await control('/price', { symbol: 'ETH-USD', price: 2100 });
+    await ticked;
+    assert.equal(stream.latest('ETH-USD').price, 2100);
+    
+    const gap = waitFor(stream, 'gap');
+    await control('/skip', { symbol: 'ETH-USD' });
+    assert.deepEqual(await gap, { symbol: 'ETH-USD', reason: 'missed-ticks' });
+    assert.equal(stream.latest('ETH-USD'), null);
+    
+    const recovered = waitFor(stream, 'tick');
+    await control('/price', { symbol: 'ETH-USD', price: 2200 });
+    await recovered;
+    assert.equal(stream.latest('ETH-USD').price, 2200);
+  });
+  
+  it('keeps a tick current while heartbeats report no newer trade', async () => {
+    await connect('coinbase', COINBASE_TICKER_PROTOCOL, ['ETH-USD']);
+    const ticked = waitFor(stream, 'tick');
+    await control('/price', { symbol: 'ETH-USD', price: 2100 });
+    await ticked;
+    
+    // Well past staleAfter, kept current by the heartbeats alone
+    await new Promise(resolve => setTimeout(resolve, 1500));
+    assert.equal(stream.latest('ETH-USD').price, 2100);
+  });
+  
+  it('restamps a tick confirmed by a repeat or a heartbeat', () => {
+    stream = new TickerStream('coinbase', COINBASE_TICKER_PROTOCOL, {});
+    const now = Math.floor(Date.now() / 1000);
+    
+    stream.handleTick({ symbol: 'ETH-USD', price: '2100', timestamp: now - 600, tradeId: 5 });
+    stream.handleTick({ symbol: 'ETH-USD', price: '2100', timestamp: now - 600, tradeId: 5 });
+    assert.ok(stream.latest('ETH-USD').timestamp >= now);
+    
+    stream.latestTicks.get('ETH-USD').timestamp = now - 600;
+    stream.handleHeartbeat({ symbol: 'ETH-USD', tradeId: 5 });
+    assert.ok(stream.latest('ETH-USD').timestamp >= now);
+  });
+  
+  it('drops ticks older than the last one', () => {
+    stream = new TickerStream('coinbase', COINBASE_TICKER_PROTOCOL, {});
+    
+    stream.handleTick({ symbol: 'ETH-USD', price: '2100', tradeId: 5 });
+    stream.handleTick({ symbol: 'ETH-USD', price: '2000', tradeId: 4 });
+    
+    assert.equal(stream.latest('ETH-USD').price, 2100);
+  });
+  
+  it('reconnects after the connection drops', async () => {
+    await connect('binance', BINANCE_TICKER_PROTOCOL, ['ETHUSDT']);
+    await waitFor(stream, 'tick');
+    
+    const disconnected = waitFor(stream, 'connection', event => !event.connected);
+    await control('/drop');
+    await disconnected;
+    assert.equal(stream.latest('ETHUSDT'), null);
+    
+    await waitFor(stream, 'connection', event => event.connected);
+    // The first ticker repeats the last trade, which confirms the old tick
+    await new Promise(resolve => setTimeout(resolve, 300));
+    assert.equal(stream.latest('ETHUSDT').tradeId, server.market('ETHUSDT').tradeId);
+  });
+  
+  it('reconnects when the stream goes silent', async () => {
+    await connect('binance', BINANCE_TICKER_PROTOCOL, ['ETHUSDT']);
+    await waitFor(stream, 'tick');
+    
+    const gap = waitFor(stream, 'gap');
+    await control('/pause', { ms: 1500 });
+    assert.deepEqual(await gap, { symbol: 'ETHUSDT', reason: 'silence' });
+    
+    await waitFor(stream, 'connection', event => event.connected);
+  });
+  
+  it('ignores frames that are not JSON objects or that the protocol cannot parse', () => {
+    const failing = { subscribe: () => [], parse: () => { throw new Error('unexpected'); } };
+    stream = new TickerStream('binance', BINANCE_TICKER_PROTOCOL, {});
+    const other = new TickerStream('custom', failing, {});
+    
+    try {
+      for (const frame of ['null', '42', '"text"', '[1, 2]', 'not json']) {
+        stream.handleMessage(Buffer.from(frame));
+      }
+      other.handleMessage(Buffer.from('{}'));
+      assert.equal(stream.latestTicks.size, 0);
+    } finally {
+      other.stop();
+    }
+  });
+  
+  it('reports the disconnect when stopped', async () => {
+    await connect('binance', BINANCE_TICKER_PROTOCOL, ['ETHUSDT']);
+    await waitFor(stream, 'tick');
+    
+    const events = [];
+    stream.on('connection', event => events.push(event));
+    stream.stop();
+    
+    assert.deepEqual(events, [{ connected: false }]);
+    assert.equal(stream.connected, false);
+    assert.equal(stream.latest('ETHUSDT'), null);
+    
+    // No reconnect once stopped
+    await new Promise(resolve => setTimeout(resolve, 1200));
+    assert.equal(server.clients.size, 0);
+    assert.deepEqual(events, [{ connected: false }]);
+  });
+});
+
+describe('TickerStreamServer', () => {
+  it('serves the subscribed markets over its control API', async () => {
+    const server = new TickerStreamServer({ port: 0, interval: 100 });
+    await server.start();
+    const stream = new TickerStream('binance', BINANCE_TICKER_PROTOCOL, { url: `ws://127.0.0.1:${server.port}` });
+    
+    try {
+      stream.start(['BTCUSDT']);
+      await once(stream, 'tick');
+      const { data } = await axios.get(`http://127.0.0.1:${server.port}/state`);
+      assert.ok(data.BTCUSDT.price > 0);
+    } finally {
+      stream.stop();
+      await server.stop();
+    }
+  });
+});
@@ -0,0 +1,142 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { TokenBucket } = require('../src/sources/limiter');
+const { ResponseCache } = require('../src/sources/cache');
+const { parseRetryAfter } = require('../src/sources/base');
+
+describe('TokenBucket', () => {
+  let now;
+  
+  beforeEach(() => {
+    now = 1_000_000;
+    mock.method(Date, 'now', () => now);
+  });
+  
+  afterEach(() => {
+    mock.restoreAll();
+  });
+  
+  it('lets a burst of ten seconds worth of requests through', () => {
+    const bucket = new TokenBucket(60);
+    
+    for (let request = 0; request < 10; request++) {
+      assert.equal(bucket.take(), true);
+    }
+    assert.equal(bucket.take(), false);
+  });
+  
+  it('refills at the configured rate and reports the wait for the next token', () => {
+    const bucket = new TokenBucket(60);
+    while (bucket.take());
+    
+    assert.equal(bucket.waitTime(), 1000);
+    now += 400;
+    assert.equal(bucket.take(), false);
+    assert.equal(bucket.waitTime(), 600);
+    now += 600;
+    assert.equal(bucket.waitTime(), 0);
+    assert.equal(bucket.take(), true);
+    assert.equal(bucket.take(), false);
+  });
+  
+  it('never holds more than its capacity', () => {
+    const bucket = new TokenBucket(60);
+    now += 3600000;
+    
+    let taken = 0;
+    while (bucket.take()) {
+      taken += 1;
+    }
+    assert.equal(taken, 10);
+  });
+  
+  it('holds at least one token at low rates', () => {
+    const bucket = new TokenBucket(1);
+    
+    assert.equal(bucket.capacity, 1);
+    assert.equal(bucket.take(), true);
+    assert.equal(bucket.waitTime(), 60000);
+  });
+});
+
+describe('ResponseCache', () => {
+  let now;
+  
+  beforeEach(() => {
+    now = 1_000_000;
+    mock.method(Date, 'now', () => now);
+  });
+  
+  afterEach(() => {
+    mock.restoreAll();
+  });
+  
+  it('serves a response from the cache until the ttl passes', async () => {
+    const cache = new ResponseCache(5000);
+    let loads = 0;
+    const load = async () => ++loads;
+    
+    assert.deepEqual(await cache.fetch('a', load), { value: 1, hit: false });
+    now += 4999;
+    assert.deepEqual(await cache.fetch('a', load), { value: 1, hit: true });
+    assert.deepEqual(await cache.fetch('b', load), { value: 2, hit: false });
+    now += 1;
+    assert.deepEqual(await cache.fetch('a', load), { value: 3, hit: false });
+  });
+  
+  it('shares one call between identical requests in flight', async () => {
+    const cache = new ResponseCache(5000);
+    let loads = 0;
+    let resolve;
+    const load = () => {
+      loads += 1;
+      return new Promise(done => { resolve = done; });
+    };
+    
+    const first = cache.fetch('a', load);
+    const second = cache.fetch('a', load);
+    resolve('price');
+    
+    assert.deepEqual(await first, { value: 'price', hit: false });
+    assert.deepEqual(await second, { value: 'price', hit: true });
+    assert.equal(loads, 1);
+  });
+  
+  it('does not cache failures', async () => {
+    const cache = new ResponseCache(5000);
+    
+    await assert.rejects(cache.fetch('a', async () => { throw new Error('HTTP 500'); }), /HTTP 500/);
+    assert.deepEqual(await cache.fetch('a', async () => 'price'), { value: 'price', hit: false });
+  });
+  
+  it('prunes expired entries when loading', async () => {
+    const cache = new ResponseCache(1000);
+    await cache.fetch('a', async () => 1);
+    now += 1000;
+    
+    await cache.fetch('b', async () => 2);
+    
+    assert.deepEqual([...cache.entries.keys()], ['b']);
+  });
+});
+
+describe('parseRetryAfter', () => {
+  const now = Date.parse('2026-01-01T00:00:00Z');
+  
+  it('reads delay-seconds', () => {
+    assert.equal(parseRetryAfter('7', now), 7000);
+    assert.equal(parseRetryAfter('0', now), 0);
+    assert.equal(parseRetryAfter('1.5', now), 1500);
+  });
+  
+  it('reads an HTTP date as the time left until then', () => {
+    assert.equal(parseRetryAfter('Thu, 01 Jan 2026 00:00:30 GMT', now), 30000);
+    assert.equal(parseRetryAfter('Wed, 31 Dec 2025 23:59:00 GMT', now), 0);
+  });
+  
+  it('ignores missing and unparseable values', () => {
+    assert.equal(parseRetryAfter(undefined, now), null);
+    assert.equal(parseRetryAfter('', now), null);
+    assert.equal(parseRetryAfter('soon', now), null);
+  });
+});
@@ -0,0 +1,181 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { TransactionManager } = require('../src/transactions');
+const { configureLogging } = require('../src/utils/logger');
+
+configureLogging({ sinks: [] });
+
+const GWEI = ethers.parseUnits('1', 'gwei');
+const ERRORS = new ethers.Interface(['error StaleTimestamp(uint256 timestamp, uint256 latestTimestamp)']);
+
+// Provider stand-in that mines only what a test tells it to. "Signed"
+// transactions are their JSON, so their hashes differ with every field.
+class FakeChain {
+  constructor() {
+    this.nonce = 0;
+    this.transactions = new Map();
+    this.receipts = new Map();
+    this.calls = [];
+  }
+  
+  async getTransactionCount() {
+    return this.nonce;
+  }
+  
+  async getBlock() {
+    return { baseFeePerGas: GWEI };
+  }
+  
+  async getFeeData() {
+    return { maxPriorityFeePerGas: GWEI };
+  }
+  
+  async broadcastTransaction(signed) {
+    const tx = JSON.parse(ethers.toUtf8String(signed));
+    if (tx.nonce < this.nonce) {
+      throw Object.assign(new Error('nonce has already been used'), { code: 'NONCE_EXPIRED' });
+    }
+    this.transactions.set(ethers.keccak256(signed), tx);
+  }
+  
+  async getTransactionReceipt(hash) {
+    return this.receipts.get(hash) ?? null;
+  }
+  
+  async getTransaction(hash) {
+    return this.transactions.get(hash);
+  }
+  
+  async call(request) {
+    this.calls.push(request);
+    throw Object.assign(new Error('execution reverted'), { data: ERRORS.encodeErrorResult('StaleTimestamp', [1, 2]) });
+  }
+  
+  mine(hash, status = 1) {
+    this.nonce += 1;
+    this.receipts.set(hash, { hash, status, blockNumber: 10, gasUsed: 50000n, gasPrice: GWEI, logs: [] });
+  }
+}
+
+function createWallet(chain) {
+  return {
+    address: '0x' + '33'.repeat(20),
+    provider: chain,
+    populateTransaction: async tx => tx,
+    signTransaction: async tx => ethers.hexlify(ethers.toUtf8Bytes(
+      JSON.stringify(tx, (key, value) => (typeof value === 'bigint' ? value.toString() : value))
+    ))
+  };
+}
+
+const request = data => ({ to: '0x' + '44'.repeat(20), data, gasLimit: 200000n });
+
+describe('TransactionManager', () => {
+  let chain;
+  let manager;
+  
+  beforeEach(() => {
+    chain = new FakeChain();
+    manager = new TransactionManager(createWallet(chain), { pollInterval: 10, retryBaseDelay: 1 }, ERRORS);
+  });
+  
+  afterEach(() => {
+    manager.stop();
+  });
+  
+  it('replaces a pending tx at the same nonce with higher fees', async () => {
+    const first = await manager.submit('ETH/USD', request('0x01'));
+    const second = await manager.submit('ETH/USD', request('0x02'));
+    
+    assert.equal(second.nonce, first.nonce);
+    assert.ok(second.fees.maxFeePerGas > first.fees.maxFeePerGas);
+    assert.ok(second.fees.maxPriorityFeePerGas > first.fees.maxPriorityFeePerGas);
+    assert.deepEqual(await first.outcome, {
+      key: 'ETH/USD', nonce: 0, hash: first.hash, replacements: 0, status: 'replaced', replacedBy: second.hash
+    });
+    
+    chain.mine(second.hash);
+    const outcome = await second.outcome;
+    assert.equal(outcome.status, 'confirmed');
+    assert.equal(outcome.hash, second.hash);
+    assert.equal(outcome.superseded, false);
+    assert.equal(manager.pending.size, 0);
+  });
+  
+  it('confirms with the replaced tx when that one is mined first', async () => {
+    const first = await manager.submit('ETH/USD', request('0x01'));
+    const second = await manager.submit('ETH/USD', request('0x02'));
+    
+    chain.mine(first.hash);
+    const outcome = await second.outcome;
+    
+    assert.equal(outcome.status, 'confirmed');
+    assert.equal(outcome.superseded, true);
+    assert.equal(outcome.hash, first.hash);
+    assert.equal(outcome.receipt.hash, first.hash);
+    assert.equal(outcome.nonce, first.nonce);
+  });
+  
+  it('decodes the revert of a replaced tx from its own call data', async () => {
+    const first = await manager.submit('ETH/USD', request('0x01'));
+    const second = await manager.submit('ETH/USD', request('0x02'));
+    
+    chain.mine(first.hash, 0);
+    const outcome = await second.outcome;
+    
+    assert.equal(outcome.status, 'reverted');
+    assert.equal(outcome.superseded, true);
+    assert.equal(outcome.error, 'StaleTimestamp(1, 2)');
+    assert.equal(chain.calls[0].data, '0x01');
+  });
+  
+  it('gives each key its own nonce', async () => {
+    const eth = await manager.submit('ETH/USD', request('0x01'));
+    const btc = await manager.submit('BTC/USD', request('0x02'));
+    
+    assert.equal(eth.nonce, 0);
+    assert.equal(btc.nonce, 1);
+  });
+  
+  it('bumps the fees of a stuck tx and gives up after the last bump', async () => {
+    manager.options.stuckTimeout = 0;
+    manager.options.maxReplacements = 2;
+    
+    const submission = await manager.submit('ETH/USD', request('0x01'));
+    const outcome = await submission.outcome;
+    
+    assert.equal(outcome.status, 'dropped');
+    assert.equal(outcome.reason, 'not mined after 2 fee bumps');
+    assert.equal(submission.ownHashes.length, 3);
+    assert.equal(chain.transactions.size, 3);
+    // The unused nonce is handed out again once the manager has resynced
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert.equal(manager.nextNonce, 0);
+  });
+  
+  it('confirms a stuck tx whose earlier version is mined', async () => {
+    manager.options.stuckTimeout = 0;
+    manager.options.maxReplacements = 100;
+    
+    const submission = await manager.submit('ETH/USD', request('0x01'));
+    const [original] = submission.ownHashes;
+    await new Promise(resolve => setTimeout(resolve, 30));
+    chain.mine(original);
+    const outcome = await submission.outcome;
+    
+    assert.equal(outcome.status, 'confirmed');
+    assert.equal(outcome.hash, original);
+    assert.equal(outcome.superseded, false);
+  });
+  
+  it('resyncs a nonce the node has already seen', async () => {
+    manager.nextNonce = 2;
+    chain.nonce = 4;
+    
+    const submission = await manager.submit('ETH/USD', request('0x01'));
+    
+    assert.equal(submission.nonce, 4);
+    assert.equal(manager.nextNonce, 5);
+  });
+});
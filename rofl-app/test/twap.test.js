@@ -0,0 +1,88 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { TwapTracker } = require('../src/twap');
+const { toFixedPoint } = require('../src/aggregator');
+
+function tracker(twap = {}) {
+  return new TwapTracker({
+    decimals: 8,
+    twap: { enabled: true, windows: [60, 300], maxSampleGap: 120, ...twap }
+  });
+}
+
+describe('TwapTracker', () => {
+  it('reports nothing before any sample', () => {
+    const twap = tracker();
+    
+    assert.equal(twap.average(60, 1000), null);
+    assert.deepEqual(twap.compute(1000), []);
+  });
+  
+  it('reports a window only once the samples cover all of it', () => {
+    const twap = tracker();
+    twap.record(100, 1000);
+    
+    assert.equal(twap.average(60, 1059), null);
+    assert.equal(twap.average(60, 1060), 100);
+    assert.deepEqual(twap.compute(1100), [{ window: 60, price: toFixedPoint(100, 8) }]);
+  });
+  
+  it('weights each price by how long it held', () => {
+    const twap = tracker();
+    twap.record(100, 1000);
+    twap.record(200, 1030);
+    twap.record(400, 1045);
+    
+    // Over [1000, 1060]: 100 for 30s, 200 for 15s, 400 for 15s
+    assert.equal(twap.average(60, 1060), (100 * 30 + 200 * 15 + 400 * 15) / 60);
+    // Over [1040, 1060] the sample before the window start counts from the start
+    assert.equal(twap.average(20, 1060), (200 * 5 + 400 * 15) / 20);
+  });
+  
+  it('evicts samples older than the longest window but keeps the one in effect at its start', () => {
+    const twap = tracker();
+    for (let timestamp = 1000; timestamp <= 1600; timestamp += 60) {
+      twap.record(timestamp, timestamp);
+    }
+    
+    // The longest window at 1600 starts at 1300, where the sample of 1300 is in effect
+    assert.deepEqual(twap.samples.map(sample => sample.timestamp), [1300, 1360, 1420, 1480, 1540, 1600]);
+    assert.notEqual(twap.average(300, 1600), null);
+  });
+  
+  it('restarts the history after a gap longer than maxSampleGap', () => {
+    const twap = tracker();
+    twap.record(100, 1000);
+    twap.record(100, 1100);
+    
+    twap.record(300, 1221);
+    
+    assert.deepEqual(twap.samples, [{ price: 300, timestamp: 1221 }]);
+    assert.equal(twap.average(60, 1260), null);
+  });
+  
+  it('ignores samples that are not newer than the last one', () => {
+    const twap = tracker();
+    twap.record(100, 1000);
+    twap.record(500, 1000);
+    twap.record(500, 990);
+    
+    assert.deepEqual(twap.samples, [{ price: 100, timestamp: 1000 }]);
+  });
+  
+  it('restores persisted samples through the same checks', () => {
+    const twap = tracker();
+    
+    twap.restore([{ price: 100, timestamp: 1000 }, { price: 200, timestamp: 1060 }, { price: 300, timestamp: 1500 }]);
+    
+    assert.deepEqual(twap.samples, [{ price: 300, timestamp: 1500 }]);
+  });
+  
+  it('computes nothing when disabled', () => {
+    const twap = tracker({ enabled: false });
+    twap.record(100, 1000);
+    
+    assert.equal(twap.enabled, false);
+    assert.deepEqual(twap.compute(2000), []);
+  });
+});
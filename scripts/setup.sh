@@ -220,7 +220,7 @@ setup_docker() {
     log_success "Docker environment setup completed"
     log_info "Services are running at:"
     log_info "- Frontend: http://localhost:3000"
-    log_info "- ROFL App Health: http://localhost:3001/health"
+    log_info "- ROFL App Health: http://localhost:3001/health/ready"
 }
 
 # Main menu
@@ -69,8 +69,10 @@ test_rofl_app() {
         
         # Test attestation module
         node -e "
-            const { ROFLAttestation } = require('./src/attestation');
-            const attestation = new ROFLAttestation('test-app-id');
+            const { ethers } = require('ethers');
+            const { ROFLAttestation, MockBackend } = require('./src/attestation');
+            const backend = new MockBackend({ signerKey: ethers.Wallet.createRandom().privateKey });
+            const attestation = new ROFLAttestation('test-app-id', backend);
             console.log('✓ Attestation module loaded successfully');
         "
     fi